@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+import { existsSync } from "fs"
+import { dirname, join, resolve } from "path"
+import { fileURLToPath } from "url"
+import { evaluate, suggestThreshold } from "./evaluate.js"
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+
+const USAGE = `Usage: stimulus-speak-then evaluate --model <wake_word.onnx> <positives> <negatives>
+
+Runs a wake word model over labelled WAV files and reports false-accept and
+false-reject rates per threshold. <positives> and <negatives> are WAV files or
+directories searched recursively.
+
+Options:
+  --model <file>              Wake word model to evaluate (required)
+  --models-path <dir>         Directory with melspectrogram.onnx and embedding_model.onnx
+                              (default: the models bundled with this package)
+  --thresholds <list>         Comma-separated thresholds (default: 0.05 to 0.95)
+  --max-false-accept <rate>   Exit with 1 unless a threshold keeps false accepts at or below rate
+  --max-false-reject <rate>   Exit with 1 unless a threshold keeps false rejects at or below rate
+  --json                      Print results as JSON
+  --verbose                   Print the score of every file
+`
+
+function number(option, text) {
+  const value = Number(text)
+  if (text.trim() === "" || Number.isNaN(value)) throw new Error(`${option} needs numbers, got "${text}"`)
+  return value
+}
+
+function parseArgs(args) {
+  const options = { paths: [] }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    const value = () => {
+      if (i + 1 >= args.length) throw new Error(`${arg} needs a value`)
+      return args[++i]
+    }
+
+    switch (arg) {
+      case "--model": options.model = value(); break
+      case "--models-path": options.modelsPath = value(); break
+      case "--thresholds": options.thresholds = value().split(",").map(t => number(arg, t)).sort((a, b) => a - b); break
+      case "--max-false-accept": options.maxFalseAccept = number(arg, value()); break
+      case "--max-false-reject": options.maxFalseReject = number(arg, value()); break
+      case "--json": options.json = true; break
+      case "--verbose": options.verbose = true; break
+      case "--help": options.help = true; break
+      default:
+        if (arg.startsWith("--")) throw new Error(`Unknown option ${arg}`)
+        options.paths.push(arg)
+    }
+  }
+
+  return options
+}
+
+async function loadRuntime() {
+  try {
+    return await import("onnxruntime-node")
+  } catch {
+    throw new Error("The evaluate command needs onnxruntime-node: npm install --save-dev onnxruntime-node")
+  }
+}
+
+const percent = (rate) => `${(rate * 100).toFixed(1)}%`.padStart(8)
+
+function report({ positives, negatives, rows }, suggestion) {
+  console.log(`\n${positives} positive and ${negatives} negative files\n`)
+  console.log("threshold  false accept  false reject")
+  rows.forEach(({ threshold, falseAccept, falseReject }) => {
+    const marker = suggestion?.threshold === threshold ? "  <- suggested" : ""
+    console.log(`${threshold.toFixed(2).padStart(9)}  ${percent(falseAccept)}      ${percent(falseReject)}${marker}`)
+  })
+
+  if (suggestion) {
+    console.log(`\nSuggested threshold: ${suggestion.threshold}`)
+  } else {
+    console.log("\nNo threshold meets the requested limits")
+  }
+}
+
+async function runEvaluate(options) {
+  const [positives, negatives] = options.paths
+  if (!options.model || !positives || !negatives) throw new Error(USAGE)
+
+  for (const path of [options.model, positives, negatives]) {
+    if (!existsSync(path)) throw new Error(`Not found: ${path}`)
+  }
+
+  const ort = await loadRuntime()
+  const result = await evaluate(ort, {
+    model: resolve(options.model),
+    modelsPath: resolve(options.modelsPath ?? join(__dirname, "..", "models")),
+    positives,
+    negatives,
+    thresholds: options.thresholds,
+    onFile: options.verbose && !options.json ? (path, score) => console.log(`${score.toFixed(3)}  ${path}`) : null
+  })
+  const suggestion = suggestThreshold(result.rows, options)
+
+  if (options.json) {
+    console.log(JSON.stringify({ ...result, suggestedThreshold: suggestion?.threshold ?? null }, null, 2))
+  } else {
+    report(result, suggestion)
+  }
+
+  return suggestion ? 0 : 1
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2)
+
+  try {
+    const options = parseArgs(args)
+    if (options.help || !command || command === "--help") {
+      console.log(USAGE)
+      return
+    }
+    if (command !== "evaluate") throw new Error(`Unknown command "${command}"\n\n${USAGE}`)
+
+    process.exitCode = await runEvaluate(options)
+  } catch (err) {
+    console.error(err.message)
+    process.exitCode = 1
+  }
+}
+
+main()
@@ -0,0 +1,158 @@
+import { readFileSync, readdirSync, statSync } from "fs"
+import { join, extname } from "path"
+import { WakePipeline, FrameBuffer, loadSessions, classify, SAMPLE_RATE, FRAME_SAMPLES } from "../src/wake_pipeline.js"
+
+const DEFAULT_THRESHOLDS = Array.from({ length: 19 }, (_, i) => Number(((i + 1) * 0.05).toFixed(2)))
+
+// Silence around each clip: the pipeline needs ~2s of audio before it scores anything
+const LEADING_PADDING = 2
+const TRAILING_PADDING = 1
+
+const FORMAT_PCM = 1
+const FORMAT_FLOAT = 3
+const FORMAT_EXTENSIBLE = 0xfffe
+
+function readSample(view, offset, format, bits) {
+  if (format === FORMAT_FLOAT) return bits === 64 ? view.getFloat64(offset, true) : view.getFloat32(offset, true)
+
+  switch (bits) {
+    case 8: return (view.getUint8(offset) - 128) / 128
+    case 16: return view.getInt16(offset, true) / 32768
+    case 24: return ((view.getInt8(offset + 2) << 16) | view.getUint16(offset, true)) / 8388608
+    case 32: return view.getInt32(offset, true) / 2147483648
+    default: throw new Error(`Unsupported WAV bit depth: ${bits}`)
+  }
+}
+
+// Decodes PCM or float WAV data to mono samples
+export function readWav(buffer) {
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+  const text = (offset) => String.fromCharCode(...buffer.subarray(offset, offset + 4))
+
+  if (text(0) !== "RIFF" || text(8) !== "WAVE") throw new Error("Not a WAV file")
+
+  let format = null
+  let offset = 12
+  while (offset + 8 <= buffer.byteLength) {
+    const id = text(offset)
+    const size = view.getUint32(offset + 4, true)
+    const body = offset + 8
+
+    if (id === "fmt ") {
+      const tag = view.getUint16(body, true)
+      format = {
+        // Extensible files keep the real format in the first two bytes of the sub-format GUID
+        tag: tag === FORMAT_EXTENSIBLE ? view.getUint16(body + 24, true) : tag,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bits: view.getUint16(body + 14, true)
+      }
+    } else if (id === "data") {
+      if (!format) throw new Error("WAV data before fmt chunk")
+      if (![FORMAT_PCM, FORMAT_FLOAT].includes(format.tag)) throw new Error(`Unsupported WAV format: ${format.tag}`)
+
+      const bytes = format.bits / 8
+      const length = Math.floor(Math.min(size, buffer.byteLength - body) / (bytes * format.channels))
+      const samples = new Float32Array(length)
+      for (let i = 0; i < length; i++) {
+        let sum = 0
+        for (let c = 0; c < format.channels; c++) {
+          sum += readSample(view, body + (i * format.channels + c) * bytes, format.tag, format.bits)
+        }
+        samples[i] = sum / format.channels
+      }
+      return { sampleRate: format.sampleRate, samples }
+    }
+
+    // Chunks are padded to an even length
+    offset = body + size + (size % 2)
+  }
+
+  throw new Error("WAV file has no data chunk")
+}
+
+export function findWavFiles(path) {
+  if (statSync(path).isFile()) return extname(path).toLowerCase() === ".wav" ? [path] : []
+
+  return readdirSync(path).sort().flatMap(name => findWavFiles(join(path, name)))
+}
+
+// Highest wake score anywhere in the clip
+export async function scoreClip(ort, sessions, { samples, sampleRate }) {
+  const pipeline = new WakePipeline(ort, sessions, [])
+  const frames = []
+  const buffer = new FrameBuffer(sampleRate, SAMPLE_RATE, FRAME_SAMPLES, (frame) => frames.push(frame))
+  let max = 0
+
+  const clip = [
+    new Float32Array(LEADING_PADDING * sampleRate),
+    samples,
+    new Float32Array(TRAILING_PADDING * sampleRate)
+  ]
+
+  // Feed a second at a time so long recordings are never framed all at once
+  for (const part of clip) {
+    for (let start = 0; start < part.length; start += sampleRate) {
+      buffer.push(part.subarray(start, start + sampleRate))
+      for (const frame of frames.splice(0)) {
+        await pipeline.process(frame, async (features) => {
+          max = Math.max(max, await classify(ort, sessions.wake[0], features))
+        })
+      }
+    }
+  }
+
+  return max
+}
+
+export function rates(positives, negatives, thresholds = DEFAULT_THRESHOLDS) {
+  const share = (scores, test) => scores.length === 0 ? 0 : scores.filter(test).length / scores.length
+
+  return thresholds.map(threshold => ({
+    threshold,
+    falseAccept: share(negatives, score => score >= threshold),
+    falseReject: share(positives, score => score < threshold)
+  }))
+}
+
+// Fewest total errors within the limits; ties go to the higher threshold to favour fewer false accepts
+export function suggestThreshold(rows, { maxFalseAccept = 1, maxFalseReject = 1 } = {}) {
+  let best = null
+
+  for (const row of rows) {
+    if (row.falseAccept > maxFalseAccept || row.falseReject > maxFalseReject) continue
+    if (!best || row.falseAccept + row.falseReject <= best.falseAccept + best.falseReject) best = row
+  }
+
+  return best
+}
+
+export async function evaluate(ort, { model, modelsPath, positives, negatives, thresholds, onFile }) {
+  // Rates over no files are all 0, which would pass any limit
+  const files = { positives: findWavFiles(positives), negatives: findWavFiles(negatives) }
+  for (const [set, paths] of Object.entries(files)) {
+    if (paths.length === 0) throw new Error(`No .wav files in ${set}: ${set === "positives" ? positives : negatives}`)
+  }
+
+  const shared = await loadSessions(ort, modelsPath, [], {})
+  const sessions = { ...shared, wake: [await ort.InferenceSession.create(model)] }
+
+  const score = async (paths) => {
+    const scores = []
+    for (const path of paths) {
+      const value = await scoreClip(ort, sessions, readWav(readFileSync(path)))
+      onFile?.(path, value)
+      scores.push(value)
+    }
+    return scores
+  }
+
+  const positiveScores = await score(files.positives)
+  const negativeScores = await score(files.negatives)
+
+  return {
+    positives: positiveScores.length,
+    negatives: negativeScores.length,
+    rows: rates(positiveScores, negativeScores, thresholds)
+  }
+}
@@ -0,0 +1,163 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeAll, afterAll } from "vitest"
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from "fs"
+import { tmpdir } from "os"
+import { join } from "path"
+import { readWav, findWavFiles, scoreClip, rates, suggestThreshold, evaluate } from "./evaluate.js"
+
+function wav({ sampleRate = 16000, channels = 1, bits = 16, format = 1, samples = [] }) {
+  const bytes = bits / 8
+  const data = Buffer.alloc(samples.length * bytes)
+  samples.forEach((value, i) => {
+    if (format === 3) data.writeFloatLE(value, i * bytes)
+    else if (bits === 16) data.writeInt16LE(value, i * bytes)
+    else if (bits === 8) data.writeUInt8(value, i * bytes)
+  })
+
+  const header = Buffer.alloc(44)
+  header.write("RIFF", 0)
+  header.writeUInt32LE(36 + data.length, 4)
+  header.write("WAVE", 8)
+  header.write("fmt ", 12)
+  header.writeUInt32LE(16, 16)
+  header.writeUInt16LE(format, 20)
+  header.writeUInt16LE(channels, 22)
+  header.writeUInt32LE(sampleRate, 24)
+  header.writeUInt32LE(sampleRate * channels * bytes, 28)
+  header.writeUInt16LE(channels * bytes, 32)
+  header.writeUInt16LE(bits, 34)
+  header.write("data", 36)
+  header.writeUInt32LE(data.length, 40)
+  return Buffer.concat([header, data])
+}
+
+describe("readWav", () => {
+  it("reads 16-bit PCM", () => {
+    const { sampleRate, samples } = readWav(wav({ samples: [16384, -32768] }))
+
+    expect(sampleRate).toBe(16000)
+    expect(Array.from(samples)).toEqual([0.5, -1])
+  })
+
+  it("reads 8-bit PCM", () => {
+    expect(Array.from(readWav(wav({ bits: 8, samples: [192, 128] })).samples)).toEqual([0.5, 0])
+  })
+
+  it("reads 32-bit float", () => {
+    expect(Array.from(readWav(wav({ format: 3, bits: 32, samples: [0.25, -0.5] })).samples)).toEqual([0.25, -0.5])
+  })
+
+  it("mixes channels down to mono", () => {
+    const { sampleRate, samples } = readWav(wav({ sampleRate: 44100, channels: 2, samples: [16384, 0, -16384, -16384] }))
+
+    expect(sampleRate).toBe(44100)
+    expect(Array.from(samples)).toEqual([0.25, -0.5])
+  })
+
+  it("skips unknown chunks", () => {
+    const file = wav({ samples: [16384] })
+    const list = Buffer.alloc(10)
+    list.write("LIST", 0)
+    list.writeUInt32LE(1, 4)
+    const withList = Buffer.concat([file.subarray(0, 36), list, file.subarray(36)])
+
+    expect(Array.from(readWav(withList).samples)).toEqual([0.5])
+  })
+
+  it("rejects other files", () => {
+    expect(() => readWav(Buffer.from("not a wav file at all, clearly"))).toThrow("Not a WAV file")
+  })
+})
+
+describe("findWavFiles", () => {
+  let dir
+
+  beforeAll(() => {
+    dir = mkdtempSync(join(tmpdir(), "speak-then-"))
+    mkdirSync(join(dir, "nested"))
+    writeFileSync(join(dir, "b.wav"), "")
+    writeFileSync(join(dir, "notes.txt"), "")
+    writeFileSync(join(dir, "nested", "a.WAV"), "")
+  })
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true })
+  })
+
+  it("finds WAV files recursively", () => {
+    expect(findWavFiles(dir)).toEqual([join(dir, "b.wav"), join(dir, "nested", "a.WAV")])
+  })
+
+  it("accepts a single file", () => {
+    expect(findWavFiles(join(dir, "b.wav"))).toEqual([join(dir, "b.wav")])
+  })
+})
+
+describe("scoreClip", () => {
+  it("returns the highest wake score, padding short clips", async () => {
+    const ort = { Tensor: vi.fn(function (type, data) { this.data = data }) }
+    let calls = 0
+    const sessions = {
+      mel: { run: vi.fn().mockResolvedValue({ output: { data: new Float32Array(32 * 8) } }) },
+      emb: { run: vi.fn().mockResolvedValue({ conv2d_19: { data: new Float32Array(96) } }) },
+      wake: [{ run: vi.fn(async () => ({ out: { data: [++calls === 3 ? 0.8 : 0.1] } })) }]
+    }
+
+    const score = await scoreClip(ort, sessions, { sampleRate: 16000, samples: new Float32Array(1280) })
+
+    expect(score).toBe(0.8)
+  })
+})
+
+describe("rates", () => {
+  it("computes false accepts and false rejects per threshold", () => {
+    expect(rates([0.9, 0.6, 0.2], [0.1, 0.55], [0.5, 0.7])).toEqual([
+      { threshold: 0.5, falseAccept: 0.5, falseReject: 1 / 3 },
+      { threshold: 0.7, falseAccept: 0, falseReject: 2 / 3 }
+    ])
+  })
+})
+
+describe("suggestThreshold", () => {
+  const rows = [
+    { threshold: 0.3, falseAccept: 0.2, falseReject: 0 },
+    { threshold: 0.5, falseAccept: 0.05, falseReject: 0.05 },
+    { threshold: 0.7, falseAccept: 0, falseReject: 0.1 },
+    { threshold: 0.9, falseAccept: 0, falseReject: 0.4 }
+  ]
+
+  it("picks the threshold with the fewest errors", () => {
+    expect(suggestThreshold(rows).threshold).toBe(0.7)
+  })
+
+  it("respects limits", () => {
+    expect(suggestThreshold(rows, { maxFalseReject: 0.05 }).threshold).toBe(0.5)
+  })
+
+  it("returns null when no threshold meets the limits", () => {
+    expect(suggestThreshold(rows, { maxFalseAccept: 0, maxFalseReject: 0 })).toBeNull()
+  })
+})
+
+describe("evaluate", () => {
+  let dir
+
+  beforeAll(() => {
+    dir = mkdtempSync(join(tmpdir(), "speak-then-"))
+    mkdirSync(join(dir, "positives"))
+    mkdirSync(join(dir, "negatives"))
+    writeFileSync(join(dir, "positives", "a.wav"), wav({ samples: [0] }))
+  })
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true })
+  })
+
+  it("refuses a set without WAV files", async () => {
+    const ort = { InferenceSession: { create: vi.fn() } }
+
+    await expect(evaluate(ort, { positives: join(dir, "positives"), negatives: join(dir, "negatives") }))
+      .rejects.toThrow(`No .wav files in negatives: ${join(dir, "negatives")}`)
+    expect(ort.InferenceSession.create).not.toHaveBeenCalled()
+  })
+})
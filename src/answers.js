@@ -0,0 +1,45 @@
+import { normalize, fold } from "./matching.js"
+
+// Yes and no to "are you sure?" per language (the part of lang before "-"), compared without accents
+const LANGUAGES = {
+  en: {
+    question: "Are you sure?",
+    yes: ["yes", "yeah", "yep", "sure", "confirm", "do it", "go ahead", "ok", "okay"],
+    no: ["no", "nope", "cancel", "don't", "stop", "never mind"]
+  },
+  fr: {
+    question: "Êtes-vous sûr ?",
+    yes: ["oui", "ouais", "d'accord", "confirmer", "confirme"],
+    no: ["non", "annuler", "annule", "laisse tomber"]
+  },
+  es: {
+    question: "¿Estás seguro?",
+    yes: ["sí", "claro", "vale", "de acuerdo", "confirmar", "confirma"],
+    no: ["no", "cancelar", "cancela", "déjalo"]
+  },
+  de: {
+    question: "Sind Sie sicher?",
+    yes: ["ja", "jawohl", "genau", "okay", "bestätigen"],
+    no: ["nein", "abbrechen", "stopp", "lieber nicht"]
+  }
+}
+
+function wordsFor(lang) {
+  return LANGUAGES[lang.split("-")[0].toLowerCase()] ?? LANGUAGES.en
+}
+
+export function defaultQuestion(lang = "en-US") {
+  return wordsFor(lang).question
+}
+
+// true for yes, false for no and null for anything else. The answer has to come first,
+// so "yes please" counts but "I don't know" doesn't.
+export function answer(transcript, lang = "en-US") {
+  const heard = fold(normalize(transcript, lang))
+  const says = (phrases) => phrases.some(phrase => heard === fold(phrase) || heard.startsWith(`${fold(phrase)} `))
+  const { yes, no } = wordsFor(lang)
+
+  if (says(yes)) return true
+  if (says(no)) return false
+  return null
+}
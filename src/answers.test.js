@@ -0,0 +1,37 @@
+import { describe, it, expect } from "vitest"
+import { answer, defaultQuestion } from "./answers.js"
+
+describe("answer", () => {
+  it("reads yes and no", () => {
+    expect(answer("Yes.")).toBe(true)
+    expect(answer("go ahead")).toBe(true)
+    expect(answer("No")).toBe(false)
+    expect(answer("never mind")).toBe(false)
+  })
+
+  it("accepts words after the answer", () => {
+    expect(answer("yes please")).toBe(true)
+    expect(answer("no thanks")).toBe(false)
+  })
+
+  it("ignores anything else", () => {
+    expect(answer("I don't know")).toBe(null)
+    expect(answer("yesterday")).toBe(null)
+    expect(answer("")).toBe(null)
+  })
+
+  it("uses the words of the language", () => {
+    expect(answer("Sí", "es-MX")).toBe(true)
+    expect(answer("si", "es-ES")).toBe(true)
+    expect(answer("non merci", "fr-FR")).toBe(false)
+    expect(answer("Ja, bitte", "de-DE")).toBe(true)
+    expect(answer("oui", "en-US")).toBe(null)
+  })
+})
+
+describe("defaultQuestion", () => {
+  it("asks in the language, or English", () => {
+    expect(defaultQuestion("de-AT")).toBe("Sind Sie sicher?")
+    expect(defaultQuestion("ja-JP")).toBe("Are you sure?")
+  })
+})
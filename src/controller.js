@@ -1,54 +1,263 @@
 import { Controller } from "@hotwired/stimulus"
 import SpeakThen from "./speak_then.js"
+import { isTextField } from "./dictation.js"
 
 export default class extends Controller {
   static values = {
     confidence: { type: Number, default: 0.5 },
     sleep: { type: Number, default: 5000 },
+    vad: { type: Boolean, default: false },
+    vadThreshold: { type: Number, default: -45 },
+    initialSilence: { type: Number, default: 3000 },
+    trailingSilence: { type: Number, default: 1000 },
     modelsPath: { type: String, default: "/models" },
     wakeModel: { type: String, default: "hey_jarvis_v0.1.onnx" },
+    wakeModels: { type: Array, default: [] },
     lang: { type: String, default: "en-US" },
+    maxAlternatives: { type: Number, default: 3 },
+    recognitionConfidence: { type: Number, default: 0 },
+    matchThreshold: { type: Number, default: 0.8 },
+    minCoverage: { type: Number, default: 0.25 },
+    interimResults: { type: Boolean, default: false },
+    interimStability: { type: Number, default: 2 },
+    sequenceDelay: { type: Number, default: 0 },
+    confirmTimeout: { type: Number, default: 5000 },
+    speakQuestions: { type: Boolean, default: false },
+    synonyms: { type: Object, default: {} },
+    recognizer: { type: String, default: "web-speech" },
+    keywordModels: { type: Object, default: {} },
+    keywordConfidence: { type: Number, default: 0.5 },
+    worker: { type: Boolean, default: false },
+    workerUrl: { type: String, default: "" },
+    audioSource: { type: String, default: "microphone" },
+    deviceId: { type: String, default: "" },
+    autostart: { type: Boolean, default: false },
+    modelVersion: { type: String, default: "1" },
+    cacheModels: { type: Boolean, default: true },
+    earcons: { type: Boolean, default: false },
+    earconSounds: { type: Object, default: {} },
+    feedbackVolume: { type: Number, default: 0.2 },
+    mode: { type: String, default: "wake-word" },
+    hotkey: { type: String, default: "" },
+    dictationStop: { type: String, default: "" },
+    meterInterval: { type: Number, default: 0 },
+    indicatorText: { type: Object, default: { awake: "Listening..." } },
+    state: { type: String, default: "stopped" },
     debug: { type: Boolean, default: false }
   }
 
-  static targets = ["indicator"]
+  static targets = ["indicator", "dictation", "meter"]
 
-  async connect() {
+  // Each defaults to speak-then-<state>, e.g. data-speak-then-loading-class="opacity-50"
+  static classes = ["stopped", "loading", "permission", "sleeping", "awake", "confirming", "error"]
+
+  connect() {
     this.speakThen = new SpeakThen(this.element, {
       basePath: this.modelsPathValue,
       wakeModel: this.wakeModelValue,
+      wakeModels: this.wakeModelsValue,
       confidence: this.confidenceValue,
       sleepAfter: this.sleepValue,
+      vad: this.vadValue,
+      vadThreshold: this.vadThresholdValue,
+      initialSilence: this.initialSilenceValue,
+      trailingSilence: this.trailingSilenceValue,
       lang: this.langValue,
+      maxAlternatives: this.maxAlternativesValue,
+      recognitionConfidence: this.recognitionConfidenceValue,
+      matchThreshold: this.matchThresholdValue,
+      minCoverage: this.minCoverageValue,
+      interimResults: this.interimResultsValue,
+      interimStability: this.interimStabilityValue,
+      sequenceDelay: this.sequenceDelayValue,
+      confirmTimeout: this.confirmTimeoutValue,
+      speakQuestions: this.speakQuestionsValue,
+      synonyms: this.synonymsValue,
+      recognizer: this.recognizerValue,
+      keywordModels: this.keywordModelsValue,
+      keywordConfidence: this.keywordConfidenceValue,
+      worker: this.workerUrlValue || this.workerValue,
+      audioSource: this.audioSourceValue,
+      deviceId: this.deviceIdValue,
+      modelVersion: this.modelVersionValue,
+      cacheModels: this.cacheModelsValue,
+      // earcon-sounds overrides single earcons with an audio URL, or false to silence them
+      earcons: this.earconsValue && this.earconSoundsValue,
+      feedbackVolume: this.feedbackVolumeValue,
+      mode: this.modeValue,
+      hotkey: this.hotkeyValue,
+      dictationStop: this.dictationStopValue,
+      // A meter target needs levels even when no interval is set
+      meterInterval: this.meterIntervalValue || (this.hasMeterTarget ? 100 : 0),
       debug: this.debugValue,
-      onWake: () => this.onWake(),
+      onWake: (detection) => this.onWake(detection),
       onSleep: () => this.onSleep(),
-      onError: (error) => this.onError(error)
+      onError: (error) => this.onError(error),
+      onDeviceChange: (device) => this.onDeviceChange(device),
+      onPermissionChange: (state, error) => this.onPermissionChange(state, error),
+      onStateChange: (change) => this.onStateChange(change),
+      onModelProgress: (progress) => this.dispatch("model-progress", { detail: progress }),
+      onModelsLoaded: () => this.dispatch("models-loaded"),
+      onTranscript: (heard) => this.dispatch("transcript", { detail: heard }),
+      onUnrecognized: (heard) => this.dispatch("unrecognized", { detail: heard }),
+      onDictationStart: (dictation) => this.dispatch("dictation-start", { detail: dictation }),
+      onDictationEnd: (dictation) => this.dispatch("dictation-end", { detail: dictation }),
+      onConfirmationPending: (confirmation) => this.dispatch("confirmation-pending", { detail: confirmation }),
+      onConfirmationResolved: (confirmation) => this.dispatch("confirmation-resolved", { detail: confirmation }),
+      onLevel: (level) => this.onLevel(level),
+      onWakeScore: (score) => this.onWakeScore(score)
     })
 
-    await this.speakThen.start()
+    this.speakThen.watchPermission()
+    if (this.autostartValue) this.start()
   }
 
   disconnect() {
+    this.stop()
+    this.speakThen?.unwatchPermission()
+  }
+
+  // Bind to a button so the microphone prompt appears in context:
+  // data-action="speak-then#start"
+  start() {
+    if (!this.speakThen || this.speakThen.started) return Promise.resolve()
+
+    const starting = this.starting ??= this.speakThen.start()
+      .catch(error => {
+        // Denials are reported through speak-then:permission-denied
+        if (error.name !== "NotAllowedError") this.onError(error)
+      })
+      .finally(() => {
+        if (this.starting === starting) this.starting = null
+      })
+    return starting
+  }
+
+  // SpeakThen ends a pending start() itself, so the next start() begins a new one
+  stop() {
+    this.starting = null
     this.speakThen?.stop()
   }
 
-  onWake() {
-    this.element.classList.add("speak-then-awake")
+  // Manual wake from a button, or push-to-talk with
+  // data-action="pointerdown->speak-then#wake pointerup->speak-then#sleep"
+  // In push-to-talk mode these hold and release like the hotkey, so letting go waits for
+  // the answer to a pending question and answering doesn't end listening while held
+  wake() {
+    if (this.modeValue === "push-to-talk") this.speakThen?.hold()
+    else this.speakThen?.wake()
+  }
+
+  sleep() {
+    if (this.modeValue === "push-to-talk") this.speakThen?.release()
+    else this.speakThen?.sleep()
+  }
+
+  // Writes speech into the field the action is on, the dictation target or the focused field:
+  // data-action="speak:take_notes->speak-then#dictate"
+  dictate(event) {
+    const field = [event?.target, this.hasDictationTarget && this.dictationTarget, document.activeElement].find(isTextField)
+    this.speakThen?.dictate(field)
+  }
+
+  stopDictating() {
+    this.speakThen?.stopDictating()
+  }
+
+  // Buttons in a confirmation dialog: data-action="speak-then#confirm" and "speak-then#cancel"
+  confirm() {
+    this.speakThen?.answer(true)
+  }
+
+  cancel() {
+    this.speakThen?.answer(false)
+  }
+
+  get permission() {
+    return this.speakThen?.permission ?? "unknown"
+  }
+
+  refresh() {
+    this.speakThen?.refresh()
+  }
+
+  pushAudio(samples, sampleRate) {
+    this.speakThen?.pushAudio(samples, sampleRate)
+  }
+
+  listDevices() {
+    return this.speakThen?.listDevices() ?? Promise.resolve([])
+  }
+
+  // For a <select> of inputs: data-action="change->speak-then#selectDevice"
+  selectDevice(event) {
+    this.deviceIdValue = event.target.value
+  }
+
+  deviceIdValueChanged(deviceId) {
+    // Stimulus also calls this before connect, when there is nothing to switch yet
+    this.speakThen?.setDevice(deviceId).catch(error => this.onError(error))
+  }
+
+  langValueChanged(lang) {
+    this.speakThen?.setLang(lang).catch(error => this.onError(error))
+  }
+
+  stateValueChanged(state, previous) {
+    if (previous) this.element.classList.remove(...this.classesFor(previous))
+    this.element.classList.add(...this.classesFor(state))
+
     if (this.hasIndicatorTarget) {
-      this.indicatorTarget.textContent = "Listening..."
+      this.indicatorTarget.textContent = this.indicatorTextValue[state] ?? ""
     }
-    this.dispatch("wake")
+  }
+
+  classesFor(state) {
+    const key = `${state}Classes`
+    const name = `has${state[0].toUpperCase()}${state.slice(1)}Class`
+    return this[name] ? this[key] : [`speak-then-${state}`]
+  }
+
+  onStateChange({ from, to }) {
+    this.stateValue = to
+    this.dispatch("state-change", { detail: { from, to } })
+  }
+
+  onWake(detection) {
+    this.dispatch("wake", { detail: detection })
   }
 
   onSleep() {
-    this.element.classList.remove("speak-then-awake")
-    if (this.hasIndicatorTarget) {
-      this.indicatorTarget.textContent = ""
-    }
     this.dispatch("sleep")
   }
 
+  onPermissionChange(state, error) {
+    if (state === "granted") this.dispatch("permission-granted", { detail: { state } })
+    if (state === "denied") this.dispatch("permission-denied", { detail: { state, error } })
+  }
+
+  // <meter> and <progress> targets show the input level; any target also gets CSS variables
+  // for styling, e.g. width: calc(var(--speak-then-level) * 100%)
+  onLevel(level) {
+    this.meterTargets.forEach(meter => {
+      if (meter instanceof HTMLMeterElement || meter instanceof HTMLProgressElement) meter.value = level.level
+      meter.style.setProperty("--speak-then-level", level.level.toFixed(3))
+    })
+    this.dispatch("level", { detail: level })
+  }
+
+  onWakeScore(score) {
+    this.meterTargets.forEach(meter => {
+      meter.style.setProperty("--speak-then-wake-score", score.score.toFixed(3))
+      meter.style.setProperty("--speak-then-wake-threshold", score.threshold)
+    })
+    this.dispatch("wake-score", { detail: score })
+  }
+
+  onDeviceChange(device) {
+    this.dispatch("device-change", { detail: device })
+  }
+
   onError(error) {
     this.dispatch("error", { detail: { error } })
   }
@@ -6,8 +6,24 @@ vi.mock("./speak_then.js", () => ({
   default: vi.fn().mockImplementation((element, config) => ({
     element,
     config,
+    started: false,
+    permission: "unknown",
     start: vi.fn().mockResolvedValue(undefined),
-    stop: vi.fn()
+    stop: vi.fn(),
+    watchPermission: vi.fn().mockResolvedValue("unknown"),
+    unwatchPermission: vi.fn(),
+    refresh: vi.fn(),
+    pushAudio: vi.fn(),
+    wake: vi.fn(),
+    sleep: vi.fn(),
+    hold: vi.fn(),
+    release: vi.fn(),
+    dictate: vi.fn(),
+    stopDictating: vi.fn(),
+    answer: vi.fn(),
+    listDevices: vi.fn().mockResolvedValue([]),
+    setDevice: vi.fn().mockResolvedValue(undefined),
+    setLang: vi.fn().mockResolvedValue(undefined)
   }))
 }))
 
@@ -45,11 +61,27 @@ describe("SpeakThenController", () => {
       )
     })
 
-    it("calls start() on SpeakThen", async () => {
+    it("does not start until asked", async () => {
+      const instance = SpeakThen.mock.results[0].value
+      expect(instance.start).not.toHaveBeenCalled()
+    })
+
+    it("calls start() on SpeakThen with autostart", async () => {
+      vi.clearAllMocks()
+      element.setAttribute("data-speak-then-autostart-value", "true")
+      element.remove()
+      document.body.appendChild(element)
+      await nextTick()
+
       const instance = SpeakThen.mock.results[0].value
       expect(instance.start).toHaveBeenCalled()
     })
 
+    it("watches the microphone permission", async () => {
+      const instance = SpeakThen.mock.results[0].value
+      expect(instance.watchPermission).toHaveBeenCalled()
+    })
+
     it("passes default config values", async () => {
       expect(SpeakThen).toHaveBeenCalledWith(
         element,
@@ -57,7 +89,9 @@ describe("SpeakThenController", () => {
           basePath: "/models",
           confidence: 0.5,
           sleepAfter: 5000,
-          lang: "en-US"
+          lang: "en-US",
+          worker: false,
+          audioSource: "microphone"
         })
       )
     })
@@ -72,8 +106,20 @@ describe("SpeakThenController", () => {
       element.setAttribute("data-controller", "speak-then")
       element.setAttribute("data-speak-then-confidence-value", "0.8")
       element.setAttribute("data-speak-then-sleep-value", "10000")
+      element.setAttribute("data-speak-then-vad-value", "true")
+      element.setAttribute("data-speak-then-trailing-silence-value", "1500")
       element.setAttribute("data-speak-then-models-path-value", "/custom/models")
       element.setAttribute("data-speak-then-lang-value", "de-DE")
+      element.setAttribute("data-speak-then-match-threshold-value", "0.9")
+      element.setAttribute("data-speak-then-min-coverage-value", "0.5")
+      element.setAttribute("data-speak-then-recognition-confidence-value", "0.6")
+      element.setAttribute("data-speak-then-interim-results-value", "true")
+      element.setAttribute("data-speak-then-interim-stability-value", "3")
+      element.setAttribute("data-speak-then-synonyms-value", '{"next":["skip"]}')
+      element.setAttribute("data-speak-then-wake-models-value", '["hey_jarvis_v0.1.onnx",{"model":"hey_mycroft_v0.1.onnx","scope":"#editor"}]')
+      element.setAttribute("data-speak-then-worker-url-value", "/assets/wake_worker.js")
+      element.setAttribute("data-speak-then-recognizer-value", "keyword")
+      element.setAttribute("data-speak-then-keyword-models-value", '{"next":"next.onnx"}')
       document.body.appendChild(element)
 
       await nextTick()
@@ -93,6 +139,20 @@ describe("SpeakThenController", () => {
       )
     })
 
+    it("passes custom min coverage value", () => {
+      expect(SpeakThen).toHaveBeenCalledWith(
+        element,
+        expect.objectContaining({ minCoverage: 0.5 })
+      )
+    })
+
+    it("passes voice activity settings", () => {
+      expect(SpeakThen).toHaveBeenCalledWith(
+        element,
+        expect.objectContaining({ vad: true, vadThreshold: -45, initialSilence: 3000, trailingSilence: 1500 })
+      )
+    })
+
     it("passes custom models path", () => {
       expect(SpeakThen).toHaveBeenCalledWith(
         element,
@@ -106,6 +166,54 @@ describe("SpeakThenController", () => {
         expect.objectContaining({ lang: "de-DE" })
       )
     })
+
+    it("passes custom matching values", () => {
+      expect(SpeakThen).toHaveBeenCalledWith(
+        element,
+        expect.objectContaining({ matchThreshold: 0.9, recognitionConfidence: 0.6, maxAlternatives: 3 })
+      )
+    })
+
+    it("passes interim result values", () => {
+      expect(SpeakThen).toHaveBeenCalledWith(
+        element,
+        expect.objectContaining({ interimResults: true, interimStability: 3 })
+      )
+    })
+
+    it("passes no sequence delay by default", () => {
+      expect(SpeakThen).toHaveBeenCalledWith(element, expect.objectContaining({ sequenceDelay: 0 }))
+    })
+
+    it("passes synonyms", () => {
+      expect(SpeakThen).toHaveBeenCalledWith(
+        element,
+        expect.objectContaining({ synonyms: { next: ["skip"] } })
+      )
+    })
+
+    it("passes wake models", () => {
+      expect(SpeakThen).toHaveBeenCalledWith(
+        element,
+        expect.objectContaining({
+          wakeModels: ["hey_jarvis_v0.1.onnx", { model: "hey_mycroft_v0.1.onnx", scope: "#editor" }]
+        })
+      )
+    })
+
+    it("passes the worker URL", () => {
+      expect(SpeakThen).toHaveBeenCalledWith(
+        element,
+        expect.objectContaining({ worker: "/assets/wake_worker.js" })
+      )
+    })
+
+    it("passes the recognizer and keyword models", () => {
+      expect(SpeakThen).toHaveBeenCalledWith(
+        element,
+        expect.objectContaining({ recognizer: "keyword", keywordModels: { next: "next.onnx" }, keywordConfidence: 0.5 })
+      )
+    })
   })
 
   describe("disconnect", () => {
@@ -119,54 +227,519 @@ describe("SpeakThenController", () => {
     })
   })
 
-  describe("onWake", () => {
-    it("adds speak-then-awake class to element", async () => {
+  describe("start and stop actions", () => {
+    let instance
+    let controller
+
+    beforeEach(() => {
+      instance = SpeakThen.mock.results[0].value
+      controller = application.getControllerForElementAndIdentifier(element, "speak-then")
+    })
+
+    it("starts SpeakThen once while starting", async () => {
+      await Promise.all([controller.start(), controller.start()])
+
+      expect(instance.start).toHaveBeenCalledTimes(1)
+    })
+
+    it("does not start twice", async () => {
+      instance.started = true
+
+      await controller.start()
+
+      expect(instance.start).not.toHaveBeenCalled()
+    })
+
+    it("dispatches start failures as errors", async () => {
+      const handler = vi.fn()
+      element.addEventListener("speak-then:error", handler)
+      const error = new Error("Models not found")
+      instance.start.mockRejectedValueOnce(error)
+
+      await controller.start()
+
+      expect(handler.mock.calls[0][0].detail).toEqual({ error })
+    })
+
+    it("leaves permission denials to the permission events", async () => {
+      const handler = vi.fn()
+      element.addEventListener("speak-then:error", handler)
+      instance.start.mockRejectedValueOnce(Object.assign(new Error("Permission denied"), { name: "NotAllowedError" }))
+
+      await controller.start()
+
+      expect(handler).not.toHaveBeenCalled()
+    })
+
+    it("stops SpeakThen", () => {
+      controller.stop()
+
+      expect(instance.stop).toHaveBeenCalled()
+    })
+
+    it("stops right away while starting", () => {
+      controller.start()
+      controller.stop()
+
+      expect(instance.stop).toHaveBeenCalledTimes(1)
+    })
+
+    it("starts again after stopping mid-start", async () => {
+      const first = controller.start()
+      controller.stop()
+      const second = controller.start()
+      await Promise.all([first, second])
+      await nextTick()
+
+      expect(second).not.toBe(first)
+      expect(instance.start).toHaveBeenCalledTimes(2)
+      expect(instance.stop).toHaveBeenCalledTimes(1)
+      expect(controller.starting).toBeNull()
+    })
+  })
+
+  describe("permission", () => {
+    it("exposes the permission state", () => {
       const instance = SpeakThen.mock.results[0].value
-      instance.config.onWake()
+      const controller = application.getControllerForElementAndIdentifier(element, "speak-then")
+      instance.permission = "prompt"
 
-      expect(element.classList.contains("speak-then-awake")).toBe(true)
+      expect(controller.permission).toBe("prompt")
     })
 
-    it("dispatches wake event", async () => {
+    it("dispatches permission-granted", () => {
       const handler = vi.fn()
-      element.addEventListener("speak-then:wake", handler)
+      element.addEventListener("speak-then:permission-granted", handler)
+
+      SpeakThen.mock.results[0].value.config.onPermissionChange("granted")
+
+      expect(handler.mock.calls[0][0].detail).toEqual({ state: "granted" })
+    })
+
+    it("dispatches permission-denied with the error", () => {
+      const handler = vi.fn()
+      element.addEventListener("speak-then:permission-denied", handler)
+      const error = new Error("Permission denied")
+
+      SpeakThen.mock.results[0].value.config.onPermissionChange("denied", error)
+
+      expect(handler.mock.calls[0][0].detail).toEqual({ state: "denied", error })
+    })
 
+    it("dispatches nothing while the prompt is pending", () => {
+      const granted = vi.fn()
+      const denied = vi.fn()
+      element.addEventListener("speak-then:permission-granted", granted)
+      element.addEventListener("speak-then:permission-denied", denied)
+
+      SpeakThen.mock.results[0].value.config.onPermissionChange("prompt")
+
+      expect(granted).not.toHaveBeenCalled()
+      expect(denied).not.toHaveBeenCalled()
+    })
+
+    it("stops watching on disconnect", async () => {
       const instance = SpeakThen.mock.results[0].value
-      instance.config.onWake()
+
+      element.remove()
+      await nextTick()
+
+      expect(instance.unwatchPermission).toHaveBeenCalled()
+    })
+  })
+
+  describe("refresh", () => {
+    it("re-discovers commands on SpeakThen", () => {
+      const instance = SpeakThen.mock.results[0].value
+      const controller = application.getControllerForElementAndIdentifier(element, "speak-then")
+
+      controller.refresh()
+
+      expect(instance.refresh).toHaveBeenCalled()
+    })
+  })
+
+  describe("pushAudio", () => {
+    it("forwards samples to SpeakThen", () => {
+      const instance = SpeakThen.mock.results[0].value
+      const controller = application.getControllerForElementAndIdentifier(element, "speak-then")
+      const samples = new Int16Array(1280)
+
+      controller.pushAudio(samples, 48000)
+
+      expect(instance.pushAudio).toHaveBeenCalledWith(samples, 48000)
+    })
+  })
+
+  describe("models", () => {
+    it("passes the model cache settings", () => {
+      expect(SpeakThen).toHaveBeenCalledWith(element, expect.objectContaining({ modelVersion: "1", cacheModels: true }))
+    })
+
+    it("dispatches model-progress", () => {
+      const handler = vi.fn()
+      element.addEventListener("speak-then:model-progress", handler)
+
+      SpeakThen.mock.results[0].value.config.onModelProgress({ url: "/models/a.onnx", loaded: 10, total: 20 })
+
+      expect(handler.mock.calls[0][0].detail).toEqual({ url: "/models/a.onnx", loaded: 10, total: 20 })
+    })
+
+    it("dispatches models-loaded", () => {
+      const handler = vi.fn()
+      element.addEventListener("speak-then:models-loaded", handler)
+
+      SpeakThen.mock.results[0].value.config.onModelsLoaded()
 
       expect(handler).toHaveBeenCalled()
     })
+  })
 
-    it("updates indicator target text", async () => {
+  describe("transcripts", () => {
+    it("dispatches transcript", () => {
+      const handler = vi.fn()
+      element.addEventListener("speak-then:transcript", handler)
+      const heard = { transcript: "next", alternatives: [{ transcript: "next", confidence: 0.9 }], recognized: true }
+
+      SpeakThen.mock.results[0].value.config.onTranscript(heard)
+
+      expect(handler.mock.calls[0][0].detail).toEqual(heard)
+    })
+
+    it("dispatches unrecognized with suggestions", () => {
+      const handler = vi.fn()
+      element.addEventListener("speak-then:unrecognized", handler)
+      const heard = { transcript: "nex slide", alternatives: [], suggestions: [{ phrase: "next slide", score: 0.9 }] }
+
+      SpeakThen.mock.results[0].value.config.onUnrecognized(heard)
+
+      expect(handler.mock.calls[0][0].detail).toEqual(heard)
+    })
+  })
+
+  describe("meter", () => {
+    const connectWith = async (attributes, html = "") => {
       vi.clearAllMocks()
       document.body.innerHTML = ""
 
       element = document.createElement("div")
       element.setAttribute("data-controller", "speak-then")
-      element.innerHTML = '<span data-speak-then-target="indicator"></span>'
+      Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value))
+      element.innerHTML = html
       document.body.appendChild(element)
 
       await nextTick()
+    }
 
+    it("meters nothing by default", () => {
+      expect(SpeakThen).toHaveBeenCalledWith(element, expect.objectContaining({ meterInterval: 0 }))
+    })
+
+    it("meters every 100ms for a meter target", async () => {
+      await connectWith({}, `<meter data-speak-then-target="meter"></meter>`)
+
+      expect(SpeakThen).toHaveBeenCalledWith(element, expect.objectContaining({ meterInterval: 100 }))
+    })
+
+    it("passes a custom interval", async () => {
+      await connectWith({ "data-speak-then-meter-interval-value": "250" })
+
+      expect(SpeakThen).toHaveBeenCalledWith(element, expect.objectContaining({ meterInterval: 250 }))
+    })
+
+    it("dispatches level and wake-score", () => {
+      const level = vi.fn()
+      const wakeScore = vi.fn()
+      element.addEventListener("speak-then:level", level)
+      element.addEventListener("speak-then:wake-score", wakeScore)
+      const score = { wakeWord: "hey_jarvis", score: 0.3, threshold: 0.5, scores: { hey_jarvis: 0.3 } }
+
+      SpeakThen.mock.results[0].value.config.onLevel({ level: 0.5, db: -30 })
+      SpeakThen.mock.results[0].value.config.onWakeScore(score)
+
+      expect(level.mock.calls[0][0].detail).toEqual({ level: 0.5, db: -30 })
+      expect(wakeScore.mock.calls[0][0].detail).toEqual(score)
+    })
+
+    it("drives meter targets", async () => {
+      await connectWith({}, `<meter data-speak-then-target="meter"></meter><div data-speak-then-target="meter"></div>`)
+      const { config } = SpeakThen.mock.results[0].value
+
+      config.onLevel({ level: 0.5, db: -30 })
+      config.onWakeScore({ wakeWord: "hey_jarvis", score: 0.3, threshold: 0.5, scores: { hey_jarvis: 0.3 } })
+
+      const [meter, bar] = element.children
+      expect(meter.value).toBe(0.5)
+      expect(bar.style.getPropertyValue("--speak-then-level")).toBe("0.500")
+      expect(bar.style.getPropertyValue("--speak-then-wake-score")).toBe("0.300")
+      expect(bar.style.getPropertyValue("--speak-then-wake-threshold")).toBe("0.5")
+    })
+  })
+
+  describe("language", () => {
+    it("switches language when the value changes", async () => {
       const instance = SpeakThen.mock.results[0].value
-      instance.config.onWake()
 
-      const indicator = element.querySelector('[data-speak-then-target="indicator"]')
-      expect(indicator.textContent).toBe("Listening...")
+      element.setAttribute("data-speak-then-lang-value", "fr-FR")
+      await nextTick()
+
+      expect(instance.setLang).toHaveBeenCalledWith("fr-FR")
+    })
+
+    it("dispatches failures as errors", async () => {
+      const handler = vi.fn()
+      element.addEventListener("speak-then:error", handler)
+      const error = new Error("Keyword models not found")
+      SpeakThen.mock.results[0].value.setLang.mockRejectedValueOnce(error)
+
+      element.setAttribute("data-speak-then-lang-value", "fr-FR")
+      await nextTick()
+
+      expect(handler.mock.calls[0][0].detail).toEqual({ error })
     })
   })
 
-  describe("onSleep", () => {
-    it("removes speak-then-awake class from element", async () => {
+  describe("manual wake", () => {
+    it("passes wake-word mode and no hotkey by default", () => {
+      expect(SpeakThen).toHaveBeenCalledWith(element, expect.objectContaining({ mode: "wake-word", hotkey: "" }))
+    })
+
+    it("passes the mode and hotkey values", async () => {
+      vi.clearAllMocks()
+      element.setAttribute("data-speak-then-mode-value", "push-to-talk")
+      element.setAttribute("data-speak-then-hotkey-value", "Control+Space")
+      element.remove()
+      document.body.appendChild(element)
+      await nextTick()
+
+      expect(SpeakThen).toHaveBeenCalledWith(element, expect.objectContaining({ mode: "push-to-talk", hotkey: "Control+Space" }))
+    })
+
+    it("wakes and sleeps from actions", async () => {
+      element.innerHTML = `
+        <button data-action="pointerdown->speak-then#wake pointerup->speak-then#sleep">Talk</button>
+      `
+      await nextTick()
+      const instance = SpeakThen.mock.results[0].value
+      const button = element.querySelector("button")
+
+      button.dispatchEvent(new Event("pointerdown"))
+      expect(instance.wake).toHaveBeenCalledWith()
+
+      button.dispatchEvent(new Event("pointerup"))
+      expect(instance.sleep).toHaveBeenCalled()
+    })
+
+    it("holds and releases from actions in push-to-talk mode", async () => {
+      vi.clearAllMocks()
+      element.setAttribute("data-speak-then-mode-value", "push-to-talk")
+      element.innerHTML = `
+        <button data-action="pointerdown->speak-then#wake pointerup->speak-then#sleep">Talk</button>
+      `
+      element.remove()
+      document.body.appendChild(element)
+      await nextTick()
+      const instance = SpeakThen.mock.results[0].value
+      const button = element.querySelector("button")
+
+      button.dispatchEvent(new Event("pointerdown"))
+      expect(instance.hold).toHaveBeenCalled()
+
+      button.dispatchEvent(new Event("pointerup"))
+      expect(instance.release).toHaveBeenCalled()
+      expect(instance.wake).not.toHaveBeenCalled()
+      expect(instance.sleep).not.toHaveBeenCalled()
+    })
+  })
+
+  describe("dictation", () => {
+    it("dictates into the field the action is on", async () => {
+      element.innerHTML = `<textarea data-action="speak:take_notes->speak-then#dictate"></textarea>`
+      await nextTick()
+      const instance = SpeakThen.mock.results[0].value
+      const textarea = element.querySelector("textarea")
+
+      textarea.dispatchEvent(new CustomEvent("speak:take_notes"))
+
+      expect(instance.dictate).toHaveBeenCalledWith(textarea)
+    })
+
+    it("falls back to the dictation target", async () => {
+      element.innerHTML = `
+        <button data-action="speak-then#dictate">Dictate</button>
+        <input data-speak-then-target="dictation">
+        <button data-action="speak-then#stopDictating">Done</button>
+      `
+      await nextTick()
+      const instance = SpeakThen.mock.results[0].value
+      const [dictate, done] = element.querySelectorAll("button")
+
+      dictate.click()
+      expect(instance.dictate).toHaveBeenCalledWith(element.querySelector("input"))
+
+      done.click()
+      expect(instance.stopDictating).toHaveBeenCalled()
+    })
+
+    it("passes the stop phrase", async () => {
+      vi.clearAllMocks()
+      element.setAttribute("data-speak-then-dictation-stop-value", "over and out")
+      element.remove()
+      document.body.appendChild(element)
+      await nextTick()
+
+      expect(SpeakThen).toHaveBeenCalledWith(element, expect.objectContaining({ dictationStop: "over and out" }))
+    })
+
+    it("dispatches dictation-start and dictation-end", () => {
+      const start = vi.fn()
+      const end = vi.fn()
+      element.addEventListener("speak-then:dictation-start", start)
+      element.addEventListener("speak-then:dictation-end", end)
+      const field = document.createElement("textarea")
+      const { config } = SpeakThen.mock.results[0].value
+
+      config.onDictationStart({ field })
+      config.onDictationEnd({ field, text: "Hello." })
+
+      expect(start.mock.calls[0][0].detail).toEqual({ field })
+      expect(end.mock.calls[0][0].detail).toEqual({ field, text: "Hello." })
+    })
+  })
+
+  describe("confirmation", () => {
+    it("passes the confirmation settings", () => {
+      expect(SpeakThen).toHaveBeenCalledWith(element, expect.objectContaining({ confirmTimeout: 5000, speakQuestions: false }))
+    })
+
+    it("answers from confirm and cancel actions", async () => {
+      element.innerHTML = `
+        <button data-action="speak-then#confirm">Yes</button>
+        <button data-action="speak-then#cancel">No</button>
+      `
+      await nextTick()
+      const instance = SpeakThen.mock.results[0].value
+      const [yes, no] = element.querySelectorAll("button")
+
+      yes.click()
+      no.click()
+
+      expect(instance.answer.mock.calls).toEqual([[true], [false]])
+    })
+
+    it("dispatches confirmation-pending and confirmation-resolved", () => {
+      const pending = vi.fn()
+      const resolved = vi.fn()
+      element.addEventListener("speak-then:confirmation-pending", pending)
+      element.addEventListener("speak-then:confirmation-resolved", resolved)
+      const { config } = SpeakThen.mock.results[0].value
+      const confirmation = { phrase: "delete", question: "Are you sure?", element, transcript: "delete" }
+
+      config.onConfirmationPending(confirmation)
+      config.onConfirmationResolved({ ...confirmation, result: "cancelled" })
+
+      expect(pending.mock.calls[0][0].detail).toEqual(confirmation)
+      expect(resolved.mock.calls[0][0].detail).toEqual({ ...confirmation, result: "cancelled" })
+    })
+  })
+
+  describe("feedback", () => {
+    it("passes no earcons by default", () => {
+      expect(SpeakThen).toHaveBeenCalledWith(element, expect.objectContaining({ earcons: false, feedbackVolume: 0.2 }))
+    })
+
+    it("passes earcon sounds when earcons are enabled", async () => {
+      vi.clearAllMocks()
+      element.setAttribute("data-speak-then-earcons-value", "true")
+      element.setAttribute("data-speak-then-earcon-sounds-value", '{"wake":"/sounds/wake.mp3","sleep":false}')
+      element.remove()
+      document.body.appendChild(element)
+      await nextTick()
+
+      expect(SpeakThen).toHaveBeenCalledWith(element, expect.objectContaining({
+        earcons: { wake: "/sounds/wake.mp3", sleep: false }
+      }))
+    })
+  })
+
+  describe("devices", () => {
+    it("passes an empty deviceId by default", () => {
+      expect(SpeakThen.mock.calls[0][1].deviceId).toBe("")
+    })
+
+    it("passes the deviceId value", async () => {
+      vi.clearAllMocks()
+      element.setAttribute("data-speak-then-device-id-value", "usb")
+      element.remove()
+      document.body.appendChild(element)
+      await nextTick()
+
+      expect(SpeakThen).toHaveBeenCalledWith(element, expect.objectContaining({ deviceId: "usb" }))
+    })
+
+    it("switches device when the value changes", async () => {
+      const instance = SpeakThen.mock.results[0].value
+
+      element.setAttribute("data-speak-then-device-id-value", "usb")
+      await nextTick()
+
+      expect(instance.setDevice).toHaveBeenCalledWith("usb")
+    })
+
+    it("selects the device from a change event", async () => {
+      const instance = SpeakThen.mock.results[0].value
+      const controller = application.getControllerForElementAndIdentifier(element, "speak-then")
+
+      controller.selectDevice({ target: { value: "usb" } })
+      await nextTick()
+
+      expect(controller.deviceIdValue).toBe("usb")
+      expect(instance.setDevice).toHaveBeenCalledWith("usb")
+    })
+
+    it("lists devices through SpeakThen", async () => {
       const instance = SpeakThen.mock.results[0].value
+      const controller = application.getControllerForElementAndIdentifier(element, "speak-then")
 
+      await controller.listDevices()
+
+      expect(instance.listDevices).toHaveBeenCalled()
+    })
+
+    it("dispatches device-change with the active device", () => {
+      const handler = vi.fn()
+      element.addEventListener("speak-then:device-change", handler)
+
+      const instance = SpeakThen.mock.results[0].value
+      instance.config.onDeviceChange({ deviceId: "usb", label: "USB Headset" })
+
+      expect(handler.mock.calls[0][0].detail).toEqual({ deviceId: "usb", label: "USB Headset" })
+    })
+  })
+
+  describe("onWake", () => {
+    it("dispatches wake event", async () => {
+      const handler = vi.fn()
+      element.addEventListener("speak-then:wake", handler)
+
+      const instance = SpeakThen.mock.results[0].value
       instance.config.onWake()
-      expect(element.classList.contains("speak-then-awake")).toBe(true)
 
-      instance.config.onSleep()
-      expect(element.classList.contains("speak-then-awake")).toBe(false)
+      expect(handler).toHaveBeenCalled()
+    })
+
+    it("includes the wake word in the event detail", async () => {
+      const handler = vi.fn()
+      element.addEventListener("speak-then:wake", handler)
+
+      const instance = SpeakThen.mock.results[0].value
+      instance.config.onWake({ wakeWord: "hey_mycroft", score: 0.9 })
+
+      expect(handler.mock.calls[0][0].detail).toEqual({ wakeWord: "hey_mycroft", score: 0.9 })
     })
+  })
 
+  describe("onSleep", () => {
     it("dispatches sleep event", async () => {
       const handler = vi.fn()
       element.addEventListener("speak-then:sleep", handler)
@@ -176,24 +749,124 @@ describe("SpeakThenController", () => {
 
       expect(handler).toHaveBeenCalled()
     })
+  })
 
-    it("clears indicator target text", async () => {
+  describe("state", () => {
+    const changeState = (from, to) => SpeakThen.mock.results[0].value.config.onStateChange({ from, to })
+
+    const connectWith = async (attributes, html = "") => {
       vi.clearAllMocks()
       document.body.innerHTML = ""
 
       element = document.createElement("div")
       element.setAttribute("data-controller", "speak-then")
-      element.innerHTML = '<span data-speak-then-target="indicator">Listening...</span>'
+      Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value))
+      element.innerHTML = html
       document.body.appendChild(element)
 
       await nextTick()
+    }
 
-      const instance = SpeakThen.mock.results[0].value
-      instance.config.onSleep()
+    it("starts out stopped", () => {
+      const controller = application.getControllerForElementAndIdentifier(element, "speak-then")
+
+      expect(controller.stateValue).toBe("stopped")
+      expect(element.classList.contains("speak-then-stopped")).toBe(true)
+    })
+
+    it("exposes the state as a value", async () => {
+      changeState("stopped", "loading")
+      await nextTick()
+
+      expect(element.getAttribute("data-speak-then-state-value")).toBe("loading")
+    })
+
+    it("dispatches state-change with from and to", () => {
+      const handler = vi.fn()
+      element.addEventListener("speak-then:state-change", handler)
+
+      changeState("stopped", "loading")
+
+      expect(handler.mock.calls[0][0].detail).toEqual({ from: "stopped", to: "loading" })
+    })
+
+    it("adds speak-then-awake class to element", async () => {
+      changeState("sleeping", "awake")
+      await nextTick()
+
+      expect(element.classList.contains("speak-then-awake")).toBe(true)
+    })
+
+    it("removes speak-then-awake class from element", async () => {
+      changeState("sleeping", "awake")
+      await nextTick()
+      expect(element.classList.contains("speak-then-awake")).toBe(true)
+
+      changeState("awake", "sleeping")
+      await nextTick()
+      expect(element.classList.contains("speak-then-awake")).toBe(false)
+      expect(element.classList.contains("speak-then-sleeping")).toBe(true)
+    })
+
+    it("uses a custom class while confirming", async () => {
+      await connectWith({ "data-speak-then-confirming-class": "asking" })
+
+      changeState("awake", "confirming")
+      await nextTick()
+
+      expect(element.classList.contains("asking")).toBe(true)
+    })
+
+    it("uses custom classes for a state", async () => {
+      await connectWith({ "data-speak-then-loading-class": "spinner busy" })
+
+      changeState("stopped", "loading")
+      await nextTick()
+
+      expect(element.classList.contains("spinner")).toBe(true)
+      expect(element.classList.contains("busy")).toBe(true)
+      expect(element.classList.contains("speak-then-loading")).toBe(false)
+
+      changeState("loading", "sleeping")
+      await nextTick()
+      expect(element.classList.contains("spinner")).toBe(false)
+    })
+
+    it("updates indicator target text", async () => {
+      await connectWith({}, '<span data-speak-then-target="indicator"></span>')
+
+      changeState("sleeping", "awake")
+      await nextTick()
+
+      const indicator = element.querySelector('[data-speak-then-target="indicator"]')
+      expect(indicator.textContent).toBe("Listening...")
+    })
+
+    it("clears indicator target text", async () => {
+      await connectWith({}, '<span data-speak-then-target="indicator">Listening...</span>')
+
+      changeState("awake", "sleeping")
+      await nextTick()
 
       const indicator = element.querySelector('[data-speak-then-target="indicator"]')
       expect(indicator.textContent).toBe("")
     })
+
+    it("uses custom indicator text per state", async () => {
+      await connectWith(
+        { "data-speak-then-indicator-text-value": '{"loading":"Loading models...","awake":"Go ahead"}' },
+        '<span data-speak-then-target="indicator"></span>'
+      )
+      const indicator = element.querySelector('[data-speak-then-target="indicator"]')
+
+      changeState("stopped", "loading")
+      await nextTick()
+      expect(indicator.textContent).toBe("Loading models...")
+
+      changeState("sleeping", "awake")
+      await nextTick()
+      expect(indicator.textContent).toBe("Go ahead")
+    })
   })
 
   describe("onError", () => {
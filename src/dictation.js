@@ -0,0 +1,193 @@
+import { normalize, fold } from "./matching.js"
+
+// Spoken punctuation, editing phrases and the default stop phrase per language (the part of
+// lang before "-"). Phrases are compared without accents.
+const LANGUAGES = {
+  en: {
+    punctuation: {
+      "period": ".", "full stop": ".", "comma": ",", "question mark": "?", "exclamation mark": "!",
+      "exclamation point": "!", "colon": ":", "semicolon": ";", "new line": "\n", "new paragraph": "\n\n"
+    },
+    undo: ["delete that", "scratch that"],
+    stop: "stop dictation"
+  },
+  fr: {
+    punctuation: {
+      "point": ".", "virgule": ",", "point d'interrogation": "?", "point d'exclamation": "!",
+      "deux points": ":", "point virgule": ";", "à la ligne": "\n", "nouvelle ligne": "\n",
+      "nouveau paragraphe": "\n\n"
+    },
+    undo: ["efface ça", "supprime ça"],
+    stop: "arrête la dictée"
+  },
+  es: {
+    punctuation: {
+      "punto": ".", "coma": ",", "signo de interrogación": "?", "signo de exclamación": "!",
+      "dos puntos": ":", "punto y coma": ";", "nueva línea": "\n", "nuevo párrafo": "\n\n"
+    },
+    undo: ["borra eso"],
+    stop: "termina el dictado"
+  },
+  de: {
+    punctuation: {
+      "punkt": ".", "komma": ",", "fragezeichen": "?", "ausrufezeichen": "!", "doppelpunkt": ":",
+      "semikolon": ";", "neue zeile": "\n", "neuer absatz": "\n\n"
+    },
+    undo: ["lösch das"],
+    stop: "diktat beenden"
+  }
+}
+
+// Longest first, so "point virgule" wins over "point"
+const PATTERNS = Object.fromEntries(Object.entries(LANGUAGES).map(([language, { punctuation }]) => {
+  const words = Object.keys(punctuation).map(fold).sort((a, b) => b.length - a.length)
+  const marks = Object.fromEntries(Object.entries(punctuation).map(([word, mark]) => [fold(word), mark]))
+  return [language, { pattern: new RegExp(`(?<=^|\\s)(${words.join("|")})(?=\\s|$)`, "giu"), marks }]
+}))
+
+const TEXT_INPUTS = ["text", "search", "email", "url", "tel"]
+
+export function isTextField(element) {
+  if (!(element instanceof HTMLElement)) return false
+  if (element instanceof HTMLTextAreaElement) return !element.disabled && !element.readOnly
+  if (element instanceof HTMLInputElement) return TEXT_INPUTS.includes(element.type) && !element.disabled && !element.readOnly
+  return element.isContentEditable || ["", "true", "plaintext-only"].includes(element.getAttribute("contenteditable"))
+}
+
+// Writes recognized speech into a text field at the caret, replacing any selection. Interim
+// results show up as they are heard and are replaced by the final result.
+export class Dictation {
+  constructor(field, { lang = "en-US", stopPhrase = null, onStop = null } = {}) {
+    const language = lang.split("-")[0].toLowerCase()
+    this.field = field
+    this.lang = lang
+    this.words = LANGUAGES[language] ?? LANGUAGES.en
+    this.punctuation = PATTERNS[language] ?? PATTERNS.en
+    this.stopPhrase = fold(normalize(stopPhrase || this.words.stop, lang))
+    this.onStop = onStop
+    this.chunks = []
+    this.interim = ""
+
+    if (field instanceof HTMLInputElement || field instanceof HTMLTextAreaElement) {
+      const { value, selectionStart, selectionEnd } = field
+      this.before = value.slice(0, selectionStart ?? value.length)
+      this.after = value.slice(selectionEnd ?? value.length)
+      this.insertion = null
+    } else {
+      this.insertion = this.insertionPoint()
+    }
+  }
+
+  // Dictated text in a contenteditable goes into its own element until finish(), so the
+  // markup around it is left alone
+  insertionPoint() {
+    const span = document.createElement("span")
+    const selection = window.getSelection?.()
+    const range = selection?.rangeCount ? selection.getRangeAt(0) : null
+
+    if (range && this.field.contains(range.commonAncestorContainer)) {
+      range.deleteContents()
+      range.insertNode(span)
+    } else {
+      this.field.append(span)
+    }
+
+    const before = document.createRange()
+    before.setStart(this.field, 0)
+    before.setEndBefore(span)
+    this.before = before.toString()
+    return span
+  }
+
+  get text() {
+    return this.chunks.join("")
+  }
+
+  hear(transcript, final) {
+    const spoken = fold(normalize(transcript, this.lang))
+
+    if (!final) {
+      this.interim = this.join(this.before + this.text, this.punctuate(transcript))
+    } else if (spoken === this.stopPhrase) {
+      this.interim = ""
+      this.render()
+      this.onStop?.()
+      return
+    } else if (this.words.undo.some(phrase => fold(phrase) === spoken)) {
+      this.interim = ""
+      this.chunks.pop()
+    } else {
+      this.interim = ""
+      const chunk = this.join(this.before + this.text, this.punctuate(transcript))
+      if (chunk) this.chunks.push(chunk)
+    }
+    this.render()
+  }
+
+  // "hello comma world period" → "hello, world."
+  punctuate(transcript) {
+    const { pattern, marks } = this.punctuation
+    const folded = fold(transcript)
+    let text = ""
+    let last = 0
+    for (const match of folded.matchAll(pattern)) {
+      text += transcript.slice(last, match.index) + marks[match[0].toLowerCase()]
+      last = match.index + match[0].length
+    }
+    text += transcript.slice(last)
+
+    return text
+      .replace(/[ \t]+([.,?!:;])/g, "$1")
+      .replace(/[ \t]*\n[ \t]*/g, "\n")
+      .replace(/[ \t]+/g, " ")
+      .replace(/^ | $/g, "")
+  }
+
+  // Spaces chunk from what came before and capitalizes it at the start of a sentence
+  join(previous, chunk) {
+    if (!chunk) return ""
+
+    if (previous.trim() === "" || /[.?!]\s*$|\n$/.test(previous)) {
+      chunk = chunk.replace(/^\p{Ll}/u, letter => letter.toLocaleUpperCase(this.lang))
+    }
+    chunk = chunk.replace(/([.?!] |\n)(\p{Ll})/gu, (_, end, letter) => end + letter.toLocaleUpperCase(this.lang))
+
+    const spaced = previous === "" || /\s$/.test(previous) || /^[.,?!:;\n]/.test(chunk)
+    return spaced ? chunk : ` ${chunk}`
+  }
+
+  render() {
+    let text = this.text + this.interim
+
+    if (this.insertion) {
+      this.insertion.replaceChildren(...text.split("\n").flatMap((line, i) =>
+        i === 0 ? [document.createTextNode(line)] : [document.createElement("br"), document.createTextNode(line)]
+      ))
+    } else {
+      // Single-line inputs can't hold line breaks
+      if (this.field instanceof HTMLInputElement) text = text.replace(/\n+/g, " ")
+      this.field.value = this.before + text + this.after
+      const caret = this.before.length + text.length
+      if (this.field.selectionStart !== null) this.field.setSelectionRange(caret, caret)
+    }
+
+    this.field.dispatchEvent(new Event("input", { bubbles: true }))
+  }
+
+  // Drops interim text and leaves the field as if the user had typed the dictated text
+  finish() {
+    if (this.interim) {
+      this.interim = ""
+      this.render()
+    }
+
+    if (this.insertion) {
+      this.insertion.replaceWith(...this.insertion.childNodes)
+      this.field.normalize()
+      this.insertion = null
+    } else {
+      this.field.dispatchEvent(new Event("change", { bubbles: true }))
+    }
+    return this.text
+  }
+}
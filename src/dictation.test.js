@@ -0,0 +1,198 @@
+import { describe, it, expect, vi, beforeEach } from "vitest"
+import { Dictation, isTextField } from "./dictation.js"
+
+describe("isTextField", () => {
+  it("accepts text inputs, textareas and contenteditable elements", () => {
+    document.body.innerHTML = `
+      <input><input type="email"><textarea></textarea><div contenteditable="true"></div>
+    `
+
+    expect([...document.body.children].every(isTextField)).toBe(true)
+  })
+
+  it("rejects other elements and fields that can't be edited", () => {
+    document.body.innerHTML = `
+      <input type="checkbox"><input disabled><textarea readonly></textarea><div contenteditable="false"></div><button></button>
+    `
+
+    expect([...document.body.children].some(isTextField)).toBe(false)
+    expect(isTextField(null)).toBe(false)
+  })
+})
+
+describe("Dictation", () => {
+  let field
+
+  beforeEach(() => {
+    document.body.innerHTML = `<textarea></textarea>`
+    field = document.querySelector("textarea")
+  })
+
+  it("writes final results as sentences", () => {
+    const dictation = new Dictation(field)
+
+    dictation.hear("the pump is leaking", true)
+    dictation.hear("replace the seal", true)
+
+    expect(field.value).toBe("The pump is leaking replace the seal")
+  })
+
+  it("turns spoken punctuation into marks", () => {
+    const dictation = new Dictation(field)
+
+    dictation.hear("the pump is leaking period is the seal worn question mark", true)
+    dictation.hear("yes comma badly", true)
+
+    expect(field.value).toBe("The pump is leaking. Is the seal worn? Yes, badly")
+  })
+
+  it("starts new lines and paragraphs", () => {
+    const dictation = new Dictation(field)
+
+    dictation.hear("room one new line room two new paragraph", true)
+    dictation.hear("notes", true)
+
+    expect(field.value).toBe("Room one\nRoom two\n\nNotes")
+  })
+
+  it("shows interim results until the final one replaces them", () => {
+    const dictation = new Dictation(field)
+    dictation.hear("checked", true)
+
+    dictation.hear("the val", false)
+    expect(field.value).toBe("Checked the val")
+
+    dictation.hear("the valve", true)
+    expect(field.value).toBe("Checked the valve")
+  })
+
+  it("deletes the last phrase", () => {
+    const dictation = new Dictation(field)
+    dictation.hear("first phrase", true)
+    dictation.hear("second phrase", true)
+
+    dictation.hear("Delete that", true)
+
+    expect(field.value).toBe("First phrase")
+  })
+
+  it("stops on the stop phrase without writing it", () => {
+    const onStop = vi.fn()
+    const dictation = new Dictation(field, { onStop })
+    dictation.hear("all done", true)
+
+    dictation.hear("stop dictation", false)
+    dictation.hear("Stop dictation.", true)
+
+    expect(onStop).toHaveBeenCalled()
+    expect(dictation.finish()).toBe("All done")
+    expect(field.value).toBe("All done")
+  })
+
+  it("takes a custom stop phrase", () => {
+    const onStop = vi.fn()
+    const dictation = new Dictation(field, { stopPhrase: "Over and out", onStop })
+
+    dictation.hear("over and out", true)
+
+    expect(onStop).toHaveBeenCalled()
+  })
+
+  it("uses the words of the language", () => {
+    const onStop = vi.fn()
+    const dictation = new Dictation(field, { lang: "fr-FR", onStop })
+
+    dictation.hear("la pompe fuit point virgule le joint est usé point", true)
+    dictation.hear("efface ça", true)
+    dictation.hear("la pompe fuit point d'interrogation", true)
+    dictation.hear("arrête la dictée", true)
+
+    expect(field.value).toBe("La pompe fuit?")
+    expect(onStop).toHaveBeenCalled()
+  })
+
+  it("inserts at the caret and replaces the selection", () => {
+    field.value = "Pressure: high. Checked."
+    field.setSelectionRange(10, 14)
+    const dictation = new Dictation(field)
+
+    dictation.hear("normal", true)
+
+    expect(field.value).toBe("Pressure: normal. Checked.")
+    expect(field.selectionStart).toBe(16)
+  })
+
+  it("continues the text before the caret", () => {
+    field.value = "Pressure is high."
+    const dictation = new Dictation(field)
+
+    dictation.hear("valve replaced", true)
+
+    expect(field.value).toBe("Pressure is high. Valve replaced")
+  })
+
+  it("keeps single-line inputs on one line", () => {
+    document.body.innerHTML = `<input>`
+    const input = document.querySelector("input")
+    const dictation = new Dictation(input)
+
+    dictation.hear("room one new line room two", true)
+
+    expect(input.value).toBe("Room one Room two")
+  })
+
+  it("fires input on every change and change when finished", () => {
+    const input = vi.fn()
+    const change = vi.fn()
+    field.addEventListener("input", input)
+    field.addEventListener("change", change)
+    const dictation = new Dictation(field)
+
+    dictation.hear("hello", false)
+    dictation.hear("hello", true)
+    dictation.finish()
+
+    expect(input).toHaveBeenCalledTimes(2)
+    expect(change).toHaveBeenCalledTimes(1)
+  })
+
+  it("drops interim text when finished", () => {
+    const dictation = new Dictation(field)
+    dictation.hear("kept", true)
+    dictation.hear("half heard", false)
+
+    expect(dictation.finish()).toBe("Kept")
+    expect(field.value).toBe("Kept")
+  })
+
+  describe("contenteditable", () => {
+    let editor
+
+    beforeEach(() => {
+      document.body.innerHTML = `<div contenteditable="true"><p>Report</p></div>`
+      editor = document.querySelector("div")
+    })
+
+    it("writes at the end without touching the markup", () => {
+      const dictation = new Dictation(editor)
+
+      dictation.hear("all clear new line signed off", true)
+      dictation.finish()
+
+      expect(editor.innerHTML).toBe("<p>Report</p> all clear<br>Signed off")
+    })
+
+    it("writes at the caret", () => {
+      const range = document.createRange()
+      range.setStart(editor.querySelector("p").firstChild, 6)
+      window.getSelection().removeAllRanges()
+      window.getSelection().addRange(range)
+      const dictation = new Dictation(editor)
+
+      dictation.hear("for unit four", true)
+      dictation.finish()
+
+      expect(editor.innerHTML).toBe("<p>Report for unit four</p>")
+    })
+  })
+})
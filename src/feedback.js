@@ -0,0 +1,111 @@
+// Earcons and spoken confirmations for users who can't see the indicator. Both come back in
+// through the microphone, so SpeakThen mutes its listening while they play.
+
+const KINDS = ["wake", "match", "unrecognized", "sleep"]
+
+// [frequency (Hz), duration (s)] notes: rising to wake, falling to sleep, low for not understood
+const TONES = {
+  wake: [[660, 0.08], [880, 0.12]],
+  match: [[880, 0.1]],
+  unrecognized: [[330, 0.12], [262, 0.16]],
+  sleep: [[880, 0.08], [660, 0.12]]
+}
+
+// earcons: false for none, true for generated tones, or { wake, match, unrecognized, sleep }
+// where each is true (the tone), an audio URL or false. Kinds left out play the tone.
+function earconSources(earcons) {
+  if (!earcons) return {}
+  const overrides = typeof earcons === "object" ? earcons : {}
+  return Object.fromEntries(KINDS.map(kind => [kind, overrides[kind] ?? true]))
+}
+
+export class Feedback {
+  constructor({ earcons = false, lang = "en-US", volume = 0.2, debug = false } = {}) {
+    this.sources = earconSources(earcons)
+    this.lang = lang
+    this.volume = volume
+    this.debug = debug
+    this.context = null
+    this.speaking = 0
+  }
+
+  log(...args) {
+    if (this.debug) console.log("[Feedback]", ...args)
+  }
+
+  has(kind) {
+    return Boolean(this.sources[kind])
+  }
+
+  // Resolves once the earcon has finished playing
+  play(kind) {
+    const source = this.sources[kind]
+    if (!source) return Promise.resolve()
+
+    this.log("Earcon:", kind)
+    return source === true ? this.tone(TONES[kind]) : this.sound(source)
+  }
+
+  tone(notes) {
+    this.context ??= new AudioContext()
+    const context = this.context
+    const start = context.currentTime
+    let time = start
+
+    for (const [frequency, duration] of notes) {
+      const oscillator = context.createOscillator()
+      const gain = context.createGain()
+      oscillator.frequency.value = frequency
+      gain.gain.setValueAtTime(this.volume, time)
+      gain.gain.exponentialRampToValueAtTime(0.001, time + duration)
+      oscillator.connect(gain).connect(context.destination)
+      oscillator.start(time)
+      oscillator.stop(time + duration)
+      time += duration
+    }
+
+    return new Promise(resolve => setTimeout(resolve, (time - start) * 1000))
+  }
+
+  async sound(url) {
+    const audio = new Audio(url)
+    audio.volume = Math.min(1, this.volume * 5)
+    const ended = new Promise(resolve => {
+      audio.onended = resolve
+      audio.onerror = resolve
+    })
+
+    try {
+      await audio.play()
+    } catch (e) {
+      // Autoplay policies block audio until the page has had a click or key press
+      console.warn("Could not play earcon:", url, e.message)
+      return
+    }
+    await ended
+  }
+
+  // Resolves once speechSynthesis has finished saying text
+  say(text) {
+    if (typeof speechSynthesis === "undefined") return Promise.resolve()
+
+    this.log("Saying:", text)
+    this.speaking++
+    return new Promise(resolve => {
+      const utterance = new SpeechSynthesisUtterance(text)
+      utterance.lang = this.lang
+      utterance.onend = utterance.onerror = () => {
+        this.speaking--
+        resolve()
+      }
+      speechSynthesis.speak(utterance)
+    })
+  }
+
+  stop() {
+    // Leave speech the page queued itself alone
+    if (this.speaking > 0) speechSynthesis.cancel()
+    this.context?.close()
+    this.context = null
+  }
+}
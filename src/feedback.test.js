@@ -0,0 +1,122 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest"
+import { Feedback } from "./feedback.js"
+
+const mockNode = () => ({
+  frequency: { value: 0 },
+  gain: { setValueAtTime: vi.fn(), exponentialRampToValueAtTime: vi.fn() },
+  connect: vi.fn(function () { return this }),
+  start: vi.fn(),
+  stop: vi.fn()
+})
+
+describe("Feedback", () => {
+  let context
+
+  beforeEach(() => {
+    context = {
+      currentTime: 0,
+      destination: {},
+      createOscillator: vi.fn(mockNode),
+      createGain: vi.fn(mockNode),
+      close: vi.fn()
+    }
+    global.AudioContext = vi.fn(() => context)
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+    delete global.Audio
+    delete global.speechSynthesis
+    delete global.SpeechSynthesisUtterance
+  })
+
+  describe("earcons", () => {
+    it("plays nothing by default", async () => {
+      const feedback = new Feedback()
+
+      await feedback.play("wake")
+
+      expect(feedback.has("wake")).toBe(false)
+      expect(AudioContext).not.toHaveBeenCalled()
+    })
+
+    it("plays a tone for every kind when enabled", () => {
+      const feedback = new Feedback({ earcons: true })
+
+      expect(["wake", "match", "unrecognized", "sleep"].every(kind => feedback.has(kind))).toBe(true)
+    })
+
+    it("resolves once the tone has finished", async () => {
+      vi.useFakeTimers()
+      const feedback = new Feedback({ earcons: true })
+      const done = vi.fn()
+
+      feedback.play("wake").then(done)
+      await vi.advanceTimersByTimeAsync(150)
+      expect(done).not.toHaveBeenCalled()
+
+      await vi.advanceTimersByTimeAsync(100)
+      expect(done).toHaveBeenCalled()
+      expect(context.createOscillator).toHaveBeenCalledTimes(2)
+    })
+
+    it("plays audio URLs and silences kinds set to false", async () => {
+      const audio = { play: vi.fn(async () => audio.onended()) }
+      global.Audio = vi.fn(() => audio)
+      const feedback = new Feedback({ earcons: { wake: "/sounds/wake.mp3", sleep: false } })
+
+      await feedback.play("wake")
+
+      expect(Audio).toHaveBeenCalledWith("/sounds/wake.mp3")
+      expect(feedback.has("sleep")).toBe(false)
+      expect(feedback.has("match")).toBe(true)
+    })
+
+    it("resolves when autoplay is blocked", async () => {
+      vi.spyOn(console, "warn").mockImplementation(() => {})
+      global.Audio = vi.fn(() => ({ play: vi.fn().mockRejectedValue(new Error("NotAllowedError")) }))
+      const feedback = new Feedback({ earcons: { wake: "/sounds/wake.mp3" } })
+
+      await expect(feedback.play("wake")).resolves.toBeUndefined()
+      expect(console.warn).toHaveBeenCalled()
+    })
+  })
+
+  describe("speech", () => {
+    beforeEach(() => {
+      global.SpeechSynthesisUtterance = vi.fn(function (text) { this.text = text })
+      global.speechSynthesis = {
+        speak: vi.fn(),
+        cancel: vi.fn(function () { this.speak.mock.calls.forEach(([u]) => u.onend()) })
+      }
+    })
+
+    it("says text in the configured language", async () => {
+      const feedback = new Feedback({ lang: "de-DE" })
+
+      const said = feedback.say("Gespeichert")
+      const utterance = speechSynthesis.speak.mock.calls[0][0]
+      utterance.onend()
+      await said
+
+      expect(utterance).toMatchObject({ text: "Gespeichert", lang: "de-DE" })
+    })
+
+    it("cancels its own speech on stop", async () => {
+      const feedback = new Feedback()
+
+      const said = feedback.say("Saved")
+      feedback.stop()
+
+      await expect(said).resolves.toBeUndefined()
+      expect(speechSynthesis.cancel).toHaveBeenCalled()
+    })
+
+    it("leaves other speech alone on stop", () => {
+      new Feedback().stop()
+
+      expect(speechSynthesis.cancel).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,43 @@
+// Push-to-talk keys written like "Space", "Control+Space" or "Alt+KeyM". The last part is
+// compared with KeyboardEvent.code and .key, ignoring case; the rest are modifiers.
+
+const MODIFIERS = {
+  control: "ctrlKey",
+  ctrl: "ctrlKey",
+  alt: "altKey",
+  option: "altKey",
+  shift: "shiftKey",
+  meta: "metaKey",
+  cmd: "metaKey"
+}
+
+export class Hotkey {
+  constructor(spec) {
+    const parts = spec.split("+").map(part => part.trim().toLowerCase())
+    this.key = parts.pop()
+    this.modifiers = parts.map(part => {
+      if (!MODIFIERS[part]) throw new Error(`Unknown modifier "${part}" in hotkey "${spec}"`)
+      return MODIFIERS[part]
+    })
+  }
+
+  // A plain key would fire while typing; hotkeys with modifiers also work in text fields
+  matches(event) {
+    if (this.modifiers.length === 0 && editable(event.target)) return false
+    return this.isKey(event) && Object.values(MODIFIERS).every(flag => Boolean(event[flag]) === this.modifiers.includes(flag))
+  }
+
+  // Releasing the key ends push-to-talk even when the modifiers were let go first
+  releases(event) {
+    return this.isKey(event)
+  }
+
+  isKey(event) {
+    return event.code?.toLowerCase() === this.key || event.key?.toLowerCase() === this.key ||
+      (this.key === "space" && event.key === " ")
+  }
+}
+
+function editable(target) {
+  return Boolean(target?.isContentEditable || target?.closest?.("input, textarea, select"))
+}
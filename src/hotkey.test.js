@@ -0,0 +1,41 @@
+import { describe, it, expect } from "vitest"
+import { Hotkey } from "./hotkey.js"
+
+const key = (code, key, modifiers = {}, target = document.body) => ({ code, key, target, ...modifiers })
+
+describe("Hotkey", () => {
+  it("matches a plain key by code or key", () => {
+    const hotkey = new Hotkey("F2")
+
+    expect(hotkey.matches(key("F2", "F2"))).toBe(true)
+    expect(new Hotkey("t").matches(key("KeyT", "t"))).toBe(true)
+    expect(hotkey.matches(key("F3", "F3"))).toBe(false)
+  })
+
+  it("matches Space by its key", () => {
+    expect(new Hotkey("Space").matches(key("", " "))).toBe(true)
+  })
+
+  it("requires exactly the given modifiers", () => {
+    const hotkey = new Hotkey("Control+Space")
+
+    expect(hotkey.matches(key("Space", " ", { ctrlKey: true }))).toBe(true)
+    expect(hotkey.matches(key("Space", " "))).toBe(false)
+    expect(hotkey.matches(key("Space", " ", { ctrlKey: true, shiftKey: true }))).toBe(false)
+  })
+
+  it("ignores plain keys typed into text fields", () => {
+    const input = document.createElement("input")
+
+    expect(new Hotkey("Space").matches(key("Space", " ", {}, input))).toBe(false)
+    expect(new Hotkey("Alt+Space").matches(key("Space", " ", { altKey: true }, input))).toBe(true)
+  })
+
+  it("releases on the key whatever the modifiers", () => {
+    expect(new Hotkey("Control+Space").releases(key("Space", " "))).toBe(true)
+  })
+
+  it("rejects unknown modifiers", () => {
+    expect(() => new Hotkey("Hyper+Space")).toThrow('Unknown modifier "hyper" in hotkey "Hyper+Space"')
+  })
+})
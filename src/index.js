@@ -1,2 +1,3 @@
 export { default as SpeakThen } from "./speak_then.js"
 export { default as SpeakThenController } from "./controller.js"
+export { WebSpeechRecognizer, KeywordRecognizer } from "./recognizers.js"
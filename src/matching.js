@@ -0,0 +1,130 @@
+// Share of the score that depends on how much of the utterance the phrase covers,
+// so "next" outranks "the next one is wrong" without ruling the latter out
+const COVERAGE_WEIGHT = 0.2
+
+// Lowercases by the rules of lang and drops punctuation around words, including the
+// spaced "?" and "!" of French and the opening "¿" and "¡" of Spanish
+export function normalize(text, lang = "en-US") {
+  return text
+    .normalize("NFC")
+    .toLocaleLowerCase(lang)
+    .replace(/[.,!?;:"»”…。、！？]+(?=\s|$)/g, "")
+    .replace(/(^|\s)[¿¡«“„"]+/g, "$1")
+    .replace(/\s+/g, " ")
+    .trim()
+}
+
+// Words that string commands together in one utterance ("next and then pause"), longest first
+const CONNECTORS = {
+  en: ["and then", "after that", "then", "and"],
+  fr: ["et puis", "et ensuite", "ensuite", "puis", "et"],
+  es: ["y luego", "y después", "después", "luego", "y"],
+  de: ["und dann", "danach", "dann", "und"]
+}
+
+// Splits a transcript into the commands it strings together, in spoken order: at connectors
+// for the language of lang, and where the same words repeat ("next next next")
+export function splitCommands(transcript, lang = "en-US") {
+  const connectors = (CONNECTORS[lang.split("-")[0].toLowerCase()] ?? CONNECTORS.en).map(c => fold(c).split(" "))
+  const words = transcript.split(" ").filter(Boolean)
+  const folded = words.map(fold)
+  const parts = [[]]
+
+  for (let i = 0; i < words.length;) {
+    const connector = connectors.find(c => c.every((word, j) => folded[i + j] === word))
+    if (connector) {
+      parts.push([])
+      i += connector.length
+    } else {
+      parts.at(-1).push(words[i++])
+    }
+  }
+
+  return parts.filter(part => part.length > 0).flatMap(repeats).map(part => part.join(" "))
+}
+
+function repeats(words) {
+  for (let size = 1; size <= words.length / 2; size++) {
+    if (words.length % size !== 0) continue
+    if (words.every((word, i) => fold(word) === fold(words[i % size]))) {
+      return Array.from({ length: words.length / size }, (_, i) => words.slice(i * size, (i + 1) * size))
+    }
+  }
+  return [words]
+}
+
+// Drops accents ("é" → "e") one character at a time, so the folded text lines up with the
+// original and slot values can be read back with their accents
+export function fold(text) {
+  return text.replace(/[^\u0000-\u007f]/g, char => {
+    const base = char.normalize("NFD").replace(/\p{M}/gu, "")
+    return base.length === 1 ? base : char
+  })
+}
+
+export function distance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+    }
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+export function similarity(a, b) {
+  if (a === b) return 1
+  const longest = Math.max(a.length, b.length)
+  return longest === 0 ? 1 : 1 - distance(a, b) / longest
+}
+
+function weigh(similarity, size, total) {
+  return similarity * (1 - COVERAGE_WEIGHT + COVERAGE_WEIGHT * (size / total))
+}
+
+// Finds the run of whole words in the transcript closest to the phrase.
+// Windows one word shorter or longer catch words the recognizer merged or split.
+export function findPhrase(phrase, transcript) {
+  const words = transcript.split(" ").filter(Boolean)
+  const length = phrase.split(" ").length
+  let best = null
+
+  for (const size of [length, length - 1, length + 1]) {
+    if (size < 1 || size > words.length) continue
+
+    for (let start = 0; start + size <= words.length; start++) {
+      const score = similarity(words.slice(start, start + size).join(" "), phrase)
+      if (!best || score > best.similarity) best = { similarity: score, start, size }
+    }
+  }
+
+  if (!best) return null
+  return { ...best, score: weigh(best.similarity, best.size, words.length), coverage: Math.min(best.size / words.length, 1) }
+}
+
+// Matches a compiled {slot} pattern on word boundaries and returns the raw slot text. Pass the
+// unfolded transcript as original to read slots from it; regexes need the d flag for that.
+export function findPattern(regex, transcript, original = transcript) {
+  const match = transcript.match(regex)
+  if (!match) return null
+
+  const words = transcript.split(" ").filter(Boolean)
+  const before = transcript.slice(0, match.index).split(" ").filter(Boolean).length
+  const size = match[0].trim().split(" ").length
+
+  return {
+    similarity: 1,
+    start: before,
+    size,
+    score: weigh(1, size, words.length),
+    coverage: size / words.length,
+    values: match.indices
+      ? match.indices.slice(1).map(([start, end]) => original.slice(start, end).trim())
+      : match.slice(1).map(value => value.trim())
+  }
+}
@@ -0,0 +1,117 @@
+import { describe, it, expect } from "vitest"
+import { normalize, fold, splitCommands, distance, similarity, findPhrase, findPattern } from "./matching.js"
+
+describe("normalize", () => {
+  it("lowercases and strips trailing punctuation", () => {
+    expect(normalize("  Next, please!  ")).toBe("next please")
+  })
+
+  it("keeps decimals and hyphenated words", () => {
+    expect(normalize("Set volume to 2.5 non-stop")).toBe("set volume to 2.5 non-stop")
+  })
+
+  it("strips French and Spanish punctuation", () => {
+    expect(normalize("Suivant !", "fr-FR")).toBe("suivant")
+    expect(normalize("« Page suivante » ?", "fr-FR")).toBe("page suivante")
+    expect(normalize("¿Siguiente?", "es-ES")).toBe("siguiente")
+  })
+
+  it("keeps apostrophes inside words", () => {
+    expect(normalize("Quelle heure est-il ? L'heure", "fr-FR")).toBe("quelle heure est-il l'heure")
+  })
+
+  it("lowercases by the rules of the language", () => {
+    expect(normalize("İLERİ", "tr-TR")).toBe("ileri")
+  })
+})
+
+describe("fold", () => {
+  it("drops accents without changing the length", () => {
+    expect(fold("désactivé über año")).toBe("desactive uber ano")
+    expect(fold("désactivé")).toHaveLength("désactivé".length)
+  })
+
+  it("leaves characters without a single base letter alone", () => {
+    expect(fold("straße 한")).toBe("straße 한")
+  })
+})
+
+describe("splitCommands", () => {
+  it("splits at connectors", () => {
+    expect(splitCommands("next and then pause")).toEqual(["next", "pause"])
+    expect(splitCommands("mute then next and louder")).toEqual(["mute", "next", "louder"])
+  })
+
+  it("splits repeated words", () => {
+    expect(splitCommands("next next next")).toEqual(["next", "next", "next"])
+    expect(splitCommands("go back go back and pause")).toEqual(["go back", "go back", "pause"])
+  })
+
+  it("keeps a single command whole", () => {
+    expect(splitCommands("set volume to ten")).toEqual(["set volume to ten"])
+    expect(splitCommands("next next one")).toEqual(["next next one"])
+  })
+
+  it("drops connectors at the ends", () => {
+    expect(splitCommands("and then next and")).toEqual(["next"])
+  })
+
+  it("uses the connectors of the language", () => {
+    expect(splitCommands("suivant et puis pause", "fr-FR")).toEqual(["suivant", "pause"])
+    expect(splitCommands("siguiente y después pausa", "es-ES")).toEqual(["siguiente", "pausa"])
+    expect(splitCommands("weiter und dann pause", "de-DE")).toEqual(["weiter", "pause"])
+  })
+})
+
+describe("distance", () => {
+  it("counts edits", () => {
+    expect(distance("next", "next")).toBe(0)
+    expect(distance("next", "text")).toBe(1)
+    expect(distance("", "abc")).toBe(3)
+  })
+})
+
+describe("similarity", () => {
+  it("scales edits by length", () => {
+    expect(similarity("pause", "pause")).toBe(1)
+    expect(similarity("music", "musik")).toBe(0.8)
+  })
+})
+
+describe("findPhrase", () => {
+  it("locates whole words", () => {
+    expect(findPhrase("next", "skip to next")).toMatchObject({ start: 2, size: 1, similarity: 1 })
+  })
+
+  it("does not match inside a word", () => {
+    expect(findPhrase("stop", "non-stop").similarity).toBeLessThan(0.8)
+  })
+
+  it("matches words the recognizer merged", () => {
+    expect(findPhrase("play music", "playmusic").similarity).toBeGreaterThan(0.8)
+  })
+
+  it("weighs coverage of the utterance", () => {
+    expect(findPhrase("next", "next").score).toBe(1)
+    expect(findPhrase("next", "the next one is wrong").score).toBeLessThan(findPhrase("next", "next please").score)
+    expect(findPhrase("next", "the next one is wrong").coverage).toBe(0.2)
+  })
+
+  it("returns null for an empty transcript", () => {
+    expect(findPhrase("next", "")).toBeNull()
+  })
+})
+
+describe("findPattern", () => {
+  it("reads slots from the original text", () => {
+    const match = findPattern(/(?:^| )aller a (.+?)$/d, "aller a l'ecole", "aller à l'école")
+
+    expect(match.values).toEqual(["l'école"])
+  })
+
+  it("returns slot values and position", () => {
+    const match = findPattern(/(?:^| )go to (.+?)$/, "please go to page two")
+
+    expect(match).toMatchObject({ start: 1, size: 4, values: ["page two"] })
+  })
+})
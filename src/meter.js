@@ -0,0 +1,56 @@
+// Input level and wake word scores for meters and for tuning thresholds
+
+// Frames quieter than this read as silence
+const FLOOR_DB = -60
+
+// RMS loudness of a frame of samples (-1 to 1), in dBFS and mapped from FLOOR_DB..0 to 0..1
+export function loudness(samples) {
+  let sum = 0
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i]
+  const rms = samples.length > 0 ? Math.sqrt(sum / samples.length) : 0
+  const db = rms > 0 ? Math.max(20 * Math.log10(rms), FLOOR_DB) : FLOOR_DB
+  return { level: 1 - db / FLOOR_DB, db }
+}
+
+// Reports the loudest level and the highest score per wake word at most once per interval,
+// so a meter doesn't redraw for every 80ms frame and short peaks still show
+export class Meter {
+  constructor(interval, { onLevel = null, onWakeScore = null } = {}) {
+    this.interval = interval
+    this.onLevel = onLevel
+    this.onWakeScore = onWakeScore
+    this.peak = null
+    this.scores = null
+    this.levelAt = 0
+    this.scoresAt = 0
+  }
+
+  level(reading) {
+    if (!this.peak || reading.level > this.peak.level) this.peak = reading
+
+    const now = Date.now()
+    if (now - this.levelAt < this.interval) return
+    this.levelAt = now
+    this.onLevel?.(this.peak)
+    this.peak = null
+  }
+
+  // scores is [{ wakeWord, score, threshold }] for every wake word
+  wakeScores(scores) {
+    this.scores ??= {}
+    for (const entry of scores) {
+      if (entry.score > (this.scores[entry.wakeWord]?.score ?? -1)) this.scores[entry.wakeWord] = entry
+    }
+
+    const now = Date.now()
+    if (now - this.scoresAt < this.interval) return
+    this.scoresAt = now
+
+    const all = Object.values(this.scores)
+    this.scores = null
+    if (all.length === 0) return
+
+    const best = all.reduce((a, b) => b.score > a.score ? b : a)
+    this.onWakeScore?.({ ...best, scores: Object.fromEntries(all.map(({ wakeWord, score }) => [wakeWord, score])) })
+  }
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest"
+import { Meter, loudness } from "./meter.js"
+
+describe("loudness", () => {
+  it("measures RMS in dBFS", () => {
+    const { level, db } = loudness(new Float32Array(1280).fill(0.1))
+
+    expect(db).toBeCloseTo(-20)
+    expect(level).toBeCloseTo(2 / 3)
+  })
+
+  it("reads silence as the floor", () => {
+    expect(loudness(new Float32Array(1280))).toEqual({ level: 0, db: -60 })
+    expect(loudness(new Float32Array(1280).fill(0.0001))).toEqual({ level: 0, db: -60 })
+  })
+
+  it("reads full scale as 1", () => {
+    expect(loudness(new Float32Array(1280).fill(1))).toEqual({ level: 1, db: 0 })
+  })
+})
+
+describe("Meter", () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(1000)
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it("reports the loudest level once per interval", () => {
+    const onLevel = vi.fn()
+    const meter = new Meter(100, { onLevel })
+
+    meter.level({ level: 0.2, db: -48 })
+    vi.advanceTimersByTime(40)
+    meter.level({ level: 0.6, db: -24 })
+    vi.advanceTimersByTime(40)
+    meter.level({ level: 0.3, db: -42 })
+    vi.advanceTimersByTime(40)
+    meter.level({ level: 0.1, db: -54 })
+
+    expect(onLevel.mock.calls).toEqual([[{ level: 0.2, db: -48 }], [{ level: 0.6, db: -24 }]])
+  })
+
+  it("reports the best wake word with every word's highest score", () => {
+    const onWakeScore = vi.fn()
+    const meter = new Meter(100, { onWakeScore })
+
+    meter.wakeScores([{ wakeWord: "hey_jarvis", score: 0.1, threshold: 0.5 }, { wakeWord: "alexa", score: 0.2, threshold: 0.6 }])
+    vi.advanceTimersByTime(50)
+    meter.wakeScores([{ wakeWord: "hey_jarvis", score: 0.4, threshold: 0.5 }, { wakeWord: "alexa", score: 0.3, threshold: 0.6 }])
+    vi.advanceTimersByTime(50)
+    meter.wakeScores([{ wakeWord: "hey_jarvis", score: 0.05, threshold: 0.5 }, { wakeWord: "alexa", score: 0.1, threshold: 0.6 }])
+
+    expect(onWakeScore).toHaveBeenLastCalledWith({
+      wakeWord: "hey_jarvis",
+      score: 0.4,
+      threshold: 0.5,
+      scores: { hey_jarvis: 0.4, alexa: 0.3 }
+    })
+    expect(onWakeScore).toHaveBeenCalledTimes(2)
+  })
+})
@@ -0,0 +1,106 @@
+// Downloads ONNX models once per page and keeps them in the Cache API, so reopening the page
+// on a flaky connection doesn't fetch megabytes again. Cached models are keyed by version;
+// bump it when the files change.
+
+const CACHE_PREFIX = "stimulus-speak-then-models-"
+
+// Downloads in flight or done, shared by every SpeakThen and preload() on the page
+const downloads = new Map()
+
+async function openCache(version) {
+  // The Cache API only exists in secure contexts
+  if (typeof caches === "undefined") return null
+
+  try {
+    const name = `${CACHE_PREFIX}${version}`
+    for (const key of await caches.keys()) {
+      if (key.startsWith(CACHE_PREFIX) && key !== name) await caches.delete(key)
+    }
+    return await caches.open(name)
+  } catch {
+    return null
+  }
+}
+
+async function readBody(response, onProgress) {
+  // Content-Length is the compressed size when the server gzips, so it can undercount
+  const length = Number(response.headers.get("Content-Length")) || 0
+
+  if (!response.body) {
+    const bytes = new Uint8Array(await response.arrayBuffer())
+    onProgress?.(bytes.byteLength, bytes.byteLength)
+    return bytes
+  }
+
+  const reader = response.body.getReader()
+  const chunks = []
+  let loaded = 0
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    chunks.push(value)
+    loaded += value.byteLength
+    onProgress?.(loaded, Math.max(length, loaded))
+  }
+
+  const bytes = new Uint8Array(loaded)
+  let offset = 0
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset)
+    offset += chunk.byteLength
+  }
+  return bytes
+}
+
+async function download(url, { version, cache, onProgress }) {
+  const store = cache ? await openCache(version) : null
+  const cached = await store?.match(url)
+  if (cached) return new Uint8Array(await cached.arrayBuffer())
+
+  const response = await fetch(url)
+  if (!response.ok) throw new Error(`Failed to load model ${url}: ${response.status}`)
+
+  const bytes = await readBody(response, onProgress)
+  try {
+    await store?.put(url, new Response(bytes, { headers: { "Content-Type": "application/octet-stream" } }))
+  } catch (e) {
+    // A full quota only costs the next visit a download
+    console.warn("Could not cache model:", url, e.message)
+  }
+  return bytes
+}
+
+export async function fetchModel(url, { version = "1", cache = true, onProgress } = {}) {
+  const key = `${version} ${url}`
+  if (!downloads.has(key)) {
+    const pending = download(url, { version, cache, onProgress })
+    downloads.set(key, pending)
+    pending.catch(() => downloads.delete(key))
+  }
+
+  const bytes = await downloads.get(key)
+  onProgress?.(bytes.byteLength, bytes.byteLength)
+  return bytes
+}
+
+// Fetches several models in parallel and reports combined progress as { url, loaded, total }
+export function fetchModels(urls, { onProgress, ...options } = {}) {
+  const progress = new Map(urls.map(url => [url, { loaded: 0, total: 0 }]))
+
+  const report = (url, loaded, total) => {
+    progress.set(url, { loaded, total })
+    let sum = { loaded: 0, total: 0 }
+    for (const file of progress.values()) sum = { loaded: sum.loaded + file.loaded, total: sum.total + file.total }
+    onProgress?.({ url, ...sum })
+  }
+
+  return Promise.all(urls.map(url => fetchModel(url, {
+    ...options,
+    onProgress: (loaded, total) => report(url, loaded, total)
+  })))
+}
+
+// For tests and pages that switch model versions at runtime
+export function clearModelDownloads() {
+  downloads.clear()
+}
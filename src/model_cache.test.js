@@ -0,0 +1,139 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest"
+import { fetchModel, fetchModels, clearModelDownloads } from "./model_cache.js"
+
+const text = (bytes) => new TextDecoder().decode(bytes)
+
+const chunked = (chunks, length) => new Response(new ReadableStream({
+  start(controller) {
+    chunks.forEach(chunk => controller.enqueue(new Uint8Array(chunk)))
+    controller.close()
+  }
+}), { headers: { "Content-Length": String(length) } })
+
+function mockCaches() {
+  const stores = new Map()
+  return {
+    stores,
+    keys: vi.fn(async () => [...stores.keys()]),
+    delete: vi.fn(async (name) => stores.delete(name)),
+    open: vi.fn(async (name) => {
+      if (!stores.has(name)) stores.set(name, new Map())
+      const store = stores.get(name)
+      return {
+        match: async (url) => store.get(url)?.clone(),
+        put: vi.fn(async (url, response) => { store.set(url, response) })
+      }
+    })
+  }
+}
+
+describe("model cache", () => {
+  beforeEach(() => {
+    clearModelDownloads()
+    global.fetch = vi.fn(async (url) => new Response(url))
+  })
+
+  afterEach(() => {
+    delete global.caches
+  })
+
+  it("downloads a model once per page", async () => {
+    const [a, b] = await Promise.all([fetchModel("/models/a.onnx"), fetchModel("/models/a.onnx")])
+
+    expect(text(a)).toBe("/models/a.onnx")
+    expect(b).toBe(a)
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it("reports download progress", async () => {
+    fetch.mockResolvedValue(chunked([[1, 2, 3], [4, 5]], 5))
+    const onProgress = vi.fn()
+
+    await fetchModel("/models/a.onnx", { onProgress })
+
+    expect(onProgress.mock.calls).toEqual([[3, 5], [5, 5], [5, 5]])
+  })
+
+  it("never reports more loaded than the total", async () => {
+    // Compressed responses report the compressed length
+    fetch.mockResolvedValue(chunked([[1, 2, 3], [4, 5]], 2))
+    const onProgress = vi.fn()
+
+    await fetchModel("/models/a.onnx", { onProgress })
+
+    expect(onProgress.mock.calls[0]).toEqual([3, 3])
+  })
+
+  it("combines progress across models", async () => {
+    fetch.mockImplementation(async (url) => url.endsWith("a.onnx") ? chunked([[1, 2]], 2) : chunked([[1, 2, 3]], 3))
+    const onProgress = vi.fn()
+
+    await fetchModels(["/models/a.onnx", "/models/b.onnx"], { onProgress })
+
+    expect(onProgress).toHaveBeenLastCalledWith({ url: expect.any(String), loaded: 5, total: 5 })
+  })
+
+  it("fails on HTTP errors and retries on the next call", async () => {
+    fetch.mockResolvedValueOnce(new Response("", { status: 404 }))
+
+    await expect(fetchModel("/models/a.onnx")).rejects.toThrow("Failed to load model /models/a.onnx: 404")
+    await expect(fetchModel("/models/a.onnx")).resolves.toBeInstanceOf(Uint8Array)
+  })
+
+  describe("with the Cache API", () => {
+    beforeEach(() => {
+      global.caches = mockCaches()
+    })
+
+    it("stores downloads under the version", async () => {
+      await fetchModel("/models/a.onnx", { version: "2" })
+
+      const store = caches.stores.get("stimulus-speak-then-models-2")
+      expect(store.has("/models/a.onnx")).toBe(true)
+    })
+
+    it("reads models back on the next visit", async () => {
+      await fetchModel("/models/a.onnx")
+      clearModelDownloads()
+
+      const bytes = await fetchModel("/models/a.onnx")
+
+      expect(text(bytes)).toBe("/models/a.onnx")
+      expect(fetch).toHaveBeenCalledTimes(1)
+    })
+
+    it("downloads again for a new version and drops the old one", async () => {
+      await fetchModel("/models/a.onnx", { version: "1" })
+
+      await fetchModel("/models/a.onnx", { version: "2" })
+
+      expect(fetch).toHaveBeenCalledTimes(2)
+      expect([...caches.stores.keys()]).toEqual(["stimulus-speak-then-models-2"])
+    })
+
+    it("leaves other caches alone", async () => {
+      caches.stores.set("app-assets", new Map())
+
+      await fetchModel("/models/a.onnx")
+
+      expect(caches.stores.has("app-assets")).toBe(true)
+    })
+
+    it("skips the cache when disabled", async () => {
+      await fetchModel("/models/a.onnx", { cache: false })
+
+      expect(caches.open).not.toHaveBeenCalled()
+    })
+
+    it("still returns the model when storing it fails", async () => {
+      vi.spyOn(console, "warn").mockImplementation(() => {})
+      caches.open.mockResolvedValue({
+        match: async () => undefined,
+        put: vi.fn().mockRejectedValue(new Error("QuotaExceededError"))
+      })
+
+      await expect(fetchModel("/models/a.onnx")).resolves.toBeInstanceOf(Uint8Array)
+      expect(console.warn).toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,248 @@
+import { fold } from "./matching.js"
+
+// Number words per language (the part of lang before "-"). Words are compared without accents,
+// and ordinals map to the cardinal word they end in ("twenty first" reads as "twenty one").
+const LANGUAGES = {
+  en: {
+    units: {
+      zero: 0, oh: 0, a: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+      ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+      seventeen: 17, eighteen: 18, nineteen: 19
+    },
+    tens: { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 },
+    hundred: ["hundred"],
+    scales: { thousand: 1e3, million: 1e6, billion: 1e9 },
+    ordinals: {
+      first: "one", second: "two", third: "three", fourth: "four", fifth: "five", sixth: "six",
+      seventh: "seven", eighth: "eight", ninth: "nine", tenth: "ten", eleventh: "eleven", twelfth: "twelve",
+      thirteenth: "thirteen", fourteenth: "fourteen", fifteenth: "fifteen", sixteenth: "sixteen",
+      seventeenth: "seventeen", eighteenth: "eighteen", nineteenth: "nineteen", twentieth: "twenty",
+      thirtieth: "thirty", fortieth: "forty", fiftieth: "fifty", sixtieth: "sixty", seventieth: "seventy",
+      eightieth: "eighty", ninetieth: "ninety", hundredth: "hundred", thousandth: "thousand"
+    },
+    // "a" only counts before a scale: "a hundred", not "a"
+    article: "a",
+    and: ["and"],
+    point: ["point"],
+    minus: ["minus", "negative"],
+    // How recognizers write digits: "12,000.5"
+    separators: { group: ",", decimal: "\\." },
+    // Whether a word can add to the words before it in the same hundred: "twenty one" is 21,
+    // "one two" and "twenty twenty" are two numbers
+    follows: (before, value) => before >= 20 && below(before, value)
+  },
+  fr: {
+    units: {
+      zéro: 0, un: 1, une: 1, deux: 2, trois: 3, quatre: 4, cinq: 5, six: 6, sept: 7, huit: 8, neuf: 9,
+      dix: 10, onze: 11, douze: 12, treize: 13, quatorze: 14, quinze: 15, seize: 16
+    },
+    tens: {
+      vingt: 20, trente: 30, quarante: 40, cinquante: 50, soixante: 60, septante: 70, huitante: 80,
+      octante: 80, nonante: 90, quatrevingt: 80
+    },
+    hundred: ["cent", "cents"],
+    scales: { mille: 1e3, million: 1e6, millions: 1e6, milliard: 1e9, milliards: 1e9 },
+    ordinals: {
+      premier: "un", première: "un", unième: "un", second: "deux", seconde: "deux", deuxième: "deux",
+      troisième: "trois", quatrième: "quatre", cinquième: "cinq", sixième: "six", septième: "sept",
+      huitième: "huit", neuvième: "neuf", dixième: "dix", onzième: "onze", douzième: "douze",
+      vingtième: "vingt", trentième: "trente", centième: "cent", millième: "mille"
+    },
+    // "quatre-vingt-dix" is 4 × 20 + 10; read "quatre vingt" as one word
+    compounds: [[/\bquatre vingts?\b/g, "quatrevingt"]],
+    and: ["et"],
+    point: ["virgule"],
+    minus: ["moins"],
+    separators: { group: "[\\s.]", decimal: "," },
+    // "dix sept" is 17, "soixante dix" 70 and "quatre vingt douze" 92
+    follows: (before, value) => (before >= 20 && below(before, value)) ||
+      (before === 10 && value >= 7 && value <= 9) ||
+      ((before === 60 || before === 80) && value >= 10 && value < 20)
+  },
+  es: {
+    units: {
+      cero: 0, un: 1, uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8,
+      nueve: 9, diez: 10, once: 11, doce: 12, trece: 13, catorce: 14, quince: 15, dieciséis: 16,
+      diecisiete: 17, dieciocho: 18, diecinueve: 19, veintiún: 21, veintiuno: 21, veintiuna: 21,
+      veintidós: 22, veintitrés: 23, veinticuatro: 24, veinticinco: 25, veintiséis: 26, veintisiete: 27,
+      veintiocho: 28, veintinueve: 29, doscientos: 200, doscientas: 200, trescientos: 300,
+      trescientas: 300, cuatrocientos: 400, cuatrocientas: 400, quinientos: 500, quinientas: 500,
+      seiscientos: 600, seiscientas: 600, setecientos: 700, setecientas: 700, ochocientos: 800,
+      ochocientas: 800, novecientos: 900, novecientas: 900
+    },
+    tens: {
+      veinte: 20, treinta: 30, cuarenta: 40, cincuenta: 50, sesenta: 60, setenta: 70, ochenta: 80, noventa: 90
+    },
+    hundred: ["cien", "ciento"],
+    scales: { mil: 1e3, millón: 1e6, millones: 1e6 },
+    ordinals: {
+      primer: "uno", primero: "uno", primera: "uno", segundo: "dos", segunda: "dos", tercer: "tres",
+      tercero: "tres", tercera: "tres", cuarto: "cuatro", cuarta: "cuatro", quinto: "cinco", quinta: "cinco",
+      sexto: "seis", sexta: "seis", séptimo: "siete", séptima: "siete", octavo: "ocho", octava: "ocho",
+      noveno: "nueve", novena: "nueve", décimo: "diez", décima: "diez"
+    },
+    and: ["y"],
+    point: ["coma", "punto"],
+    minus: ["menos"],
+    separators: { group: "[\\s.]", decimal: "," },
+    // "doscientos veinte" is 220
+    follows: (before, value) => before >= 20 && below(before, value)
+  },
+  de: {
+    units: {
+      null: 0, ein: 1, eins: 1, eine: 1, zwei: 2, zwo: 2, drei: 3, vier: 4, fünf: 5, sechs: 6, sieben: 7,
+      acht: 8, neun: 9, zehn: 10, elf: 11, zwölf: 12, dreizehn: 13, vierzehn: 14, fünfzehn: 15,
+      sechzehn: 16, siebzehn: 17, achtzehn: 18, neunzehn: 19
+    },
+    tens: {
+      zwanzig: 20, dreißig: 30, vierzig: 40, fünfzig: 50, sechzig: 60, siebzig: 70, achtzig: 80, neunzig: 90
+    },
+    hundred: ["hundert"],
+    scales: { tausend: 1e3, million: 1e6, millionen: 1e6, milliarde: 1e9, milliarden: 1e9 },
+    ordinals: inflect({
+      erste: "eins", zweite: "zwei", dritte: "drei", vierte: "vier", fünfte: "fünf", sechste: "sechs",
+      siebte: "sieben", achte: "acht", neunte: "neun", zehnte: "zehn", elfte: "elf", zwölfte: "zwölf",
+      zwanzigste: "zwanzig", dreißigste: "dreißig"
+    }),
+    // Numbers are written as one word: "zweihundertdreiundzwanzig" is 2 × 100 + 3 + 20
+    compounds: [
+      [/(hundert|tausend)(?=\p{L})/gu, "$1 "],
+      [/(?<=\p{L})(hundert|tausend)/gu, " $1"],
+      [/(ein|zwei|drei|vier|funf|sechs|sieben|acht|neun)und(?=\p{L})/gu, "$1 "]
+    ],
+    and: ["und"],
+    point: ["komma"],
+    minus: ["minus"],
+    separators: { group: "[\\s.]", decimal: "," },
+    // The unit comes first: "drei zwanzig" is what is left of "dreiundzwanzig"
+    follows: (before, value) => before < 10 && value >= 20 && value < 100 && value % 10 === 0
+  }
+}
+
+// Whether value fits in the zeros at the end of before: 5 fits in 20, 20 in 200, nothing in 19
+function below(before, value) {
+  let place = 1
+  while (before % (place * 10) === 0) place *= 10
+  return value > 0 && value < place
+}
+
+// German ordinals take an ending: "der dritte", "am dritten", "ein dritter"
+function inflect(ordinals) {
+  return Object.fromEntries(Object.entries(ordinals).flatMap(([word, cardinal]) =>
+    ["", "r", "n", "s", "m"].map(ending => [`${word}${ending}`, cardinal])
+  ))
+}
+
+// No prototype, so words like "constructor" aren't mistaken for numbers
+function foldKeys(table) {
+  const entries = Object.entries(table).map(([word, value]) => [fold(word), typeof value === "string" ? fold(value) : value])
+  return Object.assign(Object.create(null), Object.fromEntries(entries))
+}
+
+const WORDS = Object.fromEntries(Object.entries(LANGUAGES).map(([language, words]) => [language, {
+  ...words,
+  units: foldKeys(words.units),
+  tens: foldKeys(words.tens),
+  scales: foldKeys(words.scales),
+  ordinals: foldKeys(words.ordinals),
+  numeral: new RegExp(`^(-?)(\\d{1,3}(?:${words.separators.group}\\d{3})+|\\d+)(?:${words.separators.decimal}(\\d+))?$`)
+}]))
+
+const NUMERIC = /^-?\d+(\.\d+)?$/
+const DIGITS = /^-?[\d\s.,]+$/
+
+function wordsFor(lang) {
+  return WORDS[lang.split("-")[0].toLowerCase()] ?? WORDS.en
+}
+
+// "12 000,5" in French is 12000.5. Groups must have three digits, so "1 2" is not 12 or 3.
+function parseNumeral(text, words) {
+  const match = text.match(words.numeral)
+  if (!match) return null
+  const [, minus, integer, fraction] = match
+  return Number(`${minus}${integer.replace(/\D/g, "")}${fraction ? `.${fraction}` : ""}`)
+}
+
+function tokenize(text, words) {
+  let folded = fold(text.toLowerCase()).replace(/[-,]/g, " ").replace(/\s+/g, " ")
+  for (const [pattern, replacement] of words.compounds ?? []) folded = folded.replace(pattern, replacement)
+  return folded.split(" ").filter(t => t && !words.and.includes(t))
+}
+
+function parseDigits(tokens, words) {
+  let digits = ""
+  for (const token of tokens) {
+    if (/^\d+$/.test(token)) digits += token
+    else if (words.units[token] !== undefined && words.units[token] < 10 && token !== words.article) digits += words.units[token]
+    else return null
+  }
+  return digits || null
+}
+
+function parseInteger(tokens, words) {
+  const { units, tens, hundred, scales, ordinals, article } = words
+  let total = 0
+  let current = 0
+  // What the words since the last hundred or scale add up to
+  let part = 0
+  let seen = false
+
+  for (const [i, raw] of tokens.entries()) {
+    // Ordinals only make sense as the last word ("twenty third", not "second floor")
+    const token = i === tokens.length - 1 && ordinals[raw] ? ordinals[raw] : raw
+
+    if (/^\d+$/.test(token)) {
+      // Digits only start a number or follow a scale ("3 million 200"); "1 2" is not 3
+      if (current !== 0) return null
+      current += Number(token)
+      part += Number(token)
+    } else if (units[token] !== undefined || tens[token] !== undefined) {
+      if (token === article && !scales[tokens[i + 1]] && !hundred.includes(tokens[i + 1])) return null
+      const value = units[token] ?? tens[token]
+      if (part !== 0 && !words.follows(part, value)) return null
+      current += value
+      part += value
+    } else if (hundred.includes(token)) {
+      current = (current || 1) * 100
+      part = 0
+    } else if (scales[token] !== undefined) {
+      total += (current || 1) * scales[token]
+      current = 0
+      part = 0
+    } else {
+      return null
+    }
+    seen = true
+  }
+
+  return seen ? total + current : null
+}
+
+// Converts a spoken or written number ("12", "twenty three", "two point five", "third") to a Number,
+// reading number words in the language of lang ("vingt et un", "dreiundzwanzig"; English otherwise).
+// Returns null when the text is not entirely a number.
+export function parseNumber(text, lang = "en") {
+  const value = String(text).trim()
+  const words = wordsFor(lang)
+  // Written in digits: with the language's separators, or as in code ("2.5")
+  if (DIGITS.test(value)) return parseNumeral(value, words) ?? (NUMERIC.test(value) ? Number(value) : null)
+
+  let tokens = tokenize(value, words)
+  let sign = 1
+  if (words.minus.includes(tokens[0])) {
+    sign = -1
+    tokens = tokens.slice(1)
+  }
+  if (tokens.length === 0) return null
+
+  const point = tokens.findIndex(token => words.point.includes(token))
+  if (point !== -1) {
+    const whole = point === 0 ? 0 : parseInteger(tokens.slice(0, point), words)
+    const fraction = parseDigits(tokens.slice(point + 1), words)
+    if (whole === null || fraction === null) return null
+    return sign * Number(`${whole}.${fraction}`)
+  }
+
+  const integer = parseInteger(tokens, words)
+  return integer === null ? null : sign * integer
+}
@@ -0,0 +1,117 @@
+import { describe, it, expect } from "vitest"
+import { parseNumber } from "./number_words.js"
+
+describe("parseNumber", () => {
+  it("parses digits", () => {
+    expect(parseNumber("12")).toBe(12)
+    expect(parseNumber("2.5")).toBe(2.5)
+    expect(parseNumber("-3")).toBe(-3)
+  })
+
+  it("parses digits with the language's separators", () => {
+    expect(parseNumber("1,000")).toBe(1000)
+    expect(parseNumber("12,000.5")).toBe(12000.5)
+    expect(parseNumber("2,5", "fr-FR")).toBe(2.5)
+    expect(parseNumber("12 000", "fr-FR")).toBe(12000)
+    expect(parseNumber("1.000", "de-DE")).toBe(1000)
+    expect(parseNumber("2.5", "de-DE")).toBe(2.5)
+  })
+
+  it("doesn't add up separate digit groups", () => {
+    expect(parseNumber("1 2")).toBeNull()
+    expect(parseNumber("1,2")).toBeNull()
+    expect(parseNumber("1,0000")).toBeNull()
+    expect(parseNumber("twenty 5")).toBeNull()
+    expect(parseNumber("3 million 200")).toBe(3000200)
+  })
+
+  it("parses number words", () => {
+    expect(parseNumber("five")).toBe(5)
+    expect(parseNumber("twenty three")).toBe(23)
+    expect(parseNumber("twenty-three")).toBe(23)
+    expect(parseNumber("one hundred and five")).toBe(105)
+    expect(parseNumber("a hundred")).toBe(100)
+    expect(parseNumber("two thousand twenty four")).toBe(2024)
+    expect(parseNumber("3 million")).toBe(3000000)
+  })
+
+  it("parses decimals and negatives", () => {
+    expect(parseNumber("two point five")).toBe(2.5)
+    expect(parseNumber("point five")).toBe(0.5)
+    expect(parseNumber("minus ten")).toBe(-10)
+  })
+
+  it("parses trailing ordinals", () => {
+    expect(parseNumber("third")).toBe(3)
+    expect(parseNumber("twenty first")).toBe(21)
+  })
+
+  it("returns null for text that is not a number", () => {
+    expect(parseNumber("loud")).toBeNull()
+    expect(parseNumber("five minutes")).toBeNull()
+    expect(parseNumber("a")).toBeNull()
+    expect(parseNumber("")).toBeNull()
+    expect(parseNumber("constructor")).toBeNull()
+  })
+
+  it("doesn't add up separate number words", () => {
+    expect(parseNumber("one two")).toBeNull()
+    expect(parseNumber("twenty twenty")).toBeNull()
+    expect(parseNumber("nineteen ninety")).toBeNull()
+    expect(parseNumber("ten five")).toBeNull()
+    expect(parseNumber("twenty three four")).toBeNull()
+    expect(parseNumber("one hundred twenty one")).toBe(121)
+    expect(parseNumber("nineteen hundred ninety nine")).toBe(1999)
+  })
+
+  describe("in other languages", () => {
+    it("parses French", () => {
+      expect(parseNumber("vingt et un", "fr-FR")).toBe(21)
+      expect(parseNumber("soixante-dix-sept", "fr-FR")).toBe(77)
+      expect(parseNumber("quatre-vingt-dix", "fr-FR")).toBe(90)
+      expect(parseNumber("deux cents", "fr-FR")).toBe(200)
+      expect(parseNumber("deux mille vingt-quatre", "fr-FR")).toBe(2024)
+      expect(parseNumber("deux virgule cinq", "fr-FR")).toBe(2.5)
+      expect(parseNumber("troisième", "fr-FR")).toBe(3)
+    })
+
+    it("doesn't add up separate number words in other languages", () => {
+      expect(parseNumber("dix sept", "fr-FR")).toBe(17)
+      expect(parseNumber("soixante onze", "fr-FR")).toBe(71)
+      expect(parseNumber("quatre vingt dix neuf", "fr-FR")).toBe(99)
+      expect(parseNumber("un deux", "fr-FR")).toBeNull()
+      expect(parseNumber("vingt dix", "fr-FR")).toBeNull()
+      expect(parseNumber("doscientos trescientos", "es")).toBeNull()
+      expect(parseNumber("doscientos veintitrés", "es")).toBe(223)
+      expect(parseNumber("dos tres", "es")).toBeNull()
+      expect(parseNumber("zwei drei", "de-DE")).toBeNull()
+      expect(parseNumber("zwanzig drei", "de-DE")).toBeNull()
+    })
+
+    it("parses Spanish", () => {
+      expect(parseNumber("veintitrés", "es-ES")).toBe(23)
+      expect(parseNumber("treinta y cinco", "es-MX")).toBe(35)
+      expect(parseNumber("ciento cinco", "es")).toBe(105)
+      expect(parseNumber("doscientos mil", "es")).toBe(200000)
+      expect(parseNumber("menos diez", "es")).toBe(-10)
+      expect(parseNumber("tercero", "es")).toBe(3)
+    })
+
+    it("parses German compounds", () => {
+      expect(parseNumber("dreiundzwanzig", "de-DE")).toBe(23)
+      expect(parseNumber("zweihundertfünfundvierzig", "de-DE")).toBe(245)
+      expect(parseNumber("zweitausenddreihundert", "de-DE")).toBe(2300)
+      expect(parseNumber("drei Komma fünf", "de-DE")).toBe(3.5)
+      expect(parseNumber("dritten", "de-DE")).toBe(3)
+    })
+
+    it("ignores missing accents", () => {
+      expect(parseNumber("veintitres", "es")).toBe(23)
+      expect(parseNumber("funf", "de")).toBe(5)
+    })
+
+    it("falls back to English for other languages", () => {
+      expect(parseNumber("twenty three", "nl-NL")).toBe(23)
+    })
+  })
+})
@@ -0,0 +1,183 @@
+import * as ort from "onnxruntime-web"
+
+// Speech-to-text backends used by SpeakThen after wake. A recognizer implements:
+//
+//   initialize({ detector })  optional, awaited once by SpeakThen.start()
+//   start({ lang, maxAlternatives, interimResults, onResult, onError })
+//   stop()
+//
+// and calls onResult({ alternatives: [{ transcript, confidence }], final, utterance }) for every
+// result. Recognizers that report interim results send final: false until the utterance is
+// done, with the same utterance id on every result for it.
+
+export class WebSpeechRecognizer {
+  constructor() {
+    this.recognition = null
+    this.running = false
+    // Result indexes start over with every recognition session
+    this.session = 0
+  }
+
+  start({ lang, maxAlternatives, interimResults = false, onResult, onError }) {
+    const SR = window.SpeechRecognition || window.webkitSpeechRecognition
+    if (!SR) {
+      const error = new Error("Speech recognition not supported in this browser")
+      console.error(error.message)
+      onError?.(error)
+      return
+    }
+
+    this.recognition = new SR()
+    this.recognition.continuous = true
+    this.recognition.interimResults = interimResults
+    this.recognition.maxAlternatives = maxAlternatives
+    this.recognition.lang = lang
+    this.running = true
+
+    this.recognition.onresult = (e) => {
+      // Interim results are revised in place until final; report every one that changed
+      for (let i = e.resultIndex ?? e.results.length - 1; i < e.results.length; i++) {
+        const result = e.results[i]
+        const alternatives = Array.from(result, ({ transcript, confidence }) => ({ transcript, confidence }))
+        onResult({ alternatives, final: result.isFinal ?? true, utterance: `${this.session}:${i}` })
+      }
+    }
+
+    this.recognition.onerror = (e) => {
+      if (!["no-speech", "aborted"].includes(e.error)) {
+        console.error("Speech error:", e.error)
+        onError?.(new Error(`Speech recognition error: ${e.error}`))
+      }
+    }
+
+    this.recognition.onend = () => {
+      if (this.running) {
+        try {
+          this.session++
+          this.recognition.start()
+        } catch (e) {
+          // Recognition may fail to restart if already running or browser restrictions
+          onError?.(e)
+        }
+      }
+    }
+
+    this.session++
+    this.recognition.start()
+  }
+
+  stop() {
+    this.running = false
+    this.recognition?.stop()
+  }
+}
+
+// Spots a fixed set of phrases on-device with openWakeWord-style classifier models
+// (one per phrase). Reuses the wake detector's microphone and embedding pipeline,
+// so nothing leaves the browser and no extra audio capture is opened.
+export class KeywordRecognizer {
+  constructor({ basePath = "/models", models = {}, confidence = 0.5, cooldown = 1000, debug = false } = {}) {
+    this.basePath = basePath
+    this.models = models
+    this.confidence = confidence
+    this.cooldown = cooldown
+    this.debug = debug
+    this.detector = null
+    this.sessions = new Map()
+    this.lastHeard = new Map()
+    this.removeListener = null
+  }
+
+  log(...args) {
+    if (this.debug) console.log("[Keyword]", ...args)
+  }
+
+  async initialize({ detector }) {
+    this.detector = detector
+    const opts = { executionProviders: ["wasm"] }
+
+    const sessions = await Promise.all(Object.entries(this.models).map(async ([phrase, model]) => {
+      return [phrase, await ort.InferenceSession.create(`${this.basePath}/${model}`, opts)]
+    }))
+
+    this.sessions = new Map(sessions)
+    this.log("Keyword models loaded:", Array.from(this.sessions.keys()))
+  }
+
+  start({ onResult, onError }) {
+    if (!this.detector) {
+      onError?.(new Error("KeywordRecognizer must be initialized before start()"))
+      return
+    }
+
+    this.onResult = onResult
+    this.onError = onError
+    this.removeListener = this.detector.addListener((features) => this.process(features))
+  }
+
+  async process(features) {
+    try {
+      const now = Date.now()
+      let best = null
+
+      for (const [phrase, session] of this.sessions) {
+        const score = await this.detector.classify(session, features)
+        // Scores stay high for several frames while a phrase is spoken
+        if (score < this.confidence || now - (this.lastHeard.get(phrase) ?? -Infinity) < this.cooldown) continue
+        if (!best || score > best.score) best = { phrase, score }
+      }
+
+      if (!best) return
+      this.log("Heard:", best.phrase, best.score.toFixed(3))
+      this.lastHeard.set(best.phrase, now)
+      this.onResult?.({ alternatives: [{ transcript: best.phrase, confidence: best.score }], final: true })
+    } catch (e) {
+      this.onError?.(e)
+    }
+  }
+
+  stop() {
+    this.removeListener?.()
+    this.removeListener = null
+  }
+}
+
+// One SpeakThen's handle on a recognizer shared through a SharedEngine. The recognizer starts
+// with the first handle and stops with the last; every started handle gets every result.
+export class SharedRecognizer {
+  constructor(hub) {
+    this.hub = hub
+    this.recognizer = hub.recognizer
+    this.onResult = null
+    this.onError = null
+  }
+
+  initialize(options) {
+    this.hub.initializing ??= Promise.resolve(this.recognizer.initialize?.(options)).catch(error => {
+      // The next start() tries again
+      this.hub.initializing = null
+      throw error
+    })
+    return this.hub.initializing
+  }
+
+  start({ onResult, onError, ...options }) {
+    const { clients } = this.hub
+    this.onResult = onResult
+    this.onError = onError
+    clients.add(this)
+    if (clients.size > 1) return
+
+    this.recognizer.start({
+      ...options,
+      onResult: (result) => clients.forEach(client => client.onResult(result)),
+      onError: (error) => clients.forEach(client => client.onError?.(error))
+    })
+  }
+
+  stop() {
+    const { clients } = this.hub
+    if (!clients.delete(this)) return
+    if (clients.size === 0) this.recognizer.stop()
+  }
+}
@@ -0,0 +1,254 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest"
+import * as ort from "onnxruntime-web"
+import { WebSpeechRecognizer, KeywordRecognizer, SharedRecognizer } from "./recognizers.js"
+
+vi.mock("onnxruntime-web", () => ({
+  InferenceSession: {
+    create: vi.fn(async (url) => ({ url }))
+  }
+}))
+
+afterEach(() => {
+  vi.clearAllMocks()
+})
+
+describe("WebSpeechRecognizer", () => {
+  let recognition
+
+  beforeEach(() => {
+    global.SpeechRecognition = vi.fn(() => {
+      recognition = { start: vi.fn(), stop: vi.fn() }
+      return recognition
+    })
+  })
+
+  afterEach(() => {
+    delete global.SpeechRecognition
+  })
+
+  it("configures and starts recognition", () => {
+    new WebSpeechRecognizer().start({ lang: "fr-FR", maxAlternatives: 5, onResult: vi.fn() })
+
+    expect(recognition).toMatchObject({ lang: "fr-FR", maxAlternatives: 5, continuous: true })
+    expect(recognition.start).toHaveBeenCalled()
+  })
+
+  it("reports every alternative of the latest result", () => {
+    const onResult = vi.fn()
+    new WebSpeechRecognizer().start({ onResult })
+
+    recognition.onresult({
+      results: [
+        [{ transcript: "old", confidence: 0.9 }],
+        [{ transcript: "next", confidence: 0.9 }, { transcript: "text", confidence: 0.4 }]
+      ]
+    })
+
+    expect(onResult).toHaveBeenCalledWith({
+      alternatives: [{ transcript: "next", confidence: 0.9 }, { transcript: "text", confidence: 0.4 }],
+      final: true,
+      utterance: "1:1"
+    })
+  })
+
+  it("requests interim results when asked", () => {
+    new WebSpeechRecognizer().start({ interimResults: true, onResult: vi.fn() })
+
+    expect(recognition.interimResults).toBe(true)
+  })
+
+  it("reports interim and final results with their utterance", () => {
+    const onResult = vi.fn()
+    new WebSpeechRecognizer().start({ interimResults: true, onResult })
+    const result = (transcript, isFinal) => Object.assign([{ transcript, confidence: 0 }], { isFinal })
+
+    recognition.onresult({ resultIndex: 0, results: [result("next", false)] })
+    recognition.onresult({ resultIndex: 0, results: [result("next", true), result("pa", false)] })
+
+    expect(onResult.mock.calls.map(([{ alternatives, final, utterance }]) => [alternatives[0].transcript, final, utterance])).toEqual([
+      ["next", false, "1:0"],
+      ["next", true, "1:0"],
+      ["pa", false, "1:1"]
+    ])
+  })
+
+  it("tells utterances of a restarted session apart", () => {
+    const onResult = vi.fn()
+    new WebSpeechRecognizer().start({ onResult })
+
+    recognition.onresult({ results: [[{ transcript: "next" }]] })
+    recognition.onend()
+    recognition.onresult({ results: [[{ transcript: "next" }]] })
+
+    expect(onResult.mock.calls[0][0].utterance).not.toBe(onResult.mock.calls[1][0].utterance)
+  })
+
+  it("restarts when the browser ends recognition", () => {
+    new WebSpeechRecognizer().start({ onResult: vi.fn() })
+
+    recognition.onend()
+
+    expect(recognition.start).toHaveBeenCalledTimes(2)
+  })
+
+  it("does not restart after stop()", () => {
+    const recognizer = new WebSpeechRecognizer()
+    recognizer.start({ onResult: vi.fn() })
+
+    recognizer.stop()
+    recognition.onend()
+
+    expect(recognition.start).toHaveBeenCalledTimes(1)
+  })
+
+  it("ignores no-speech errors", () => {
+    const onError = vi.fn()
+    new WebSpeechRecognizer().start({ onResult: vi.fn(), onError })
+
+    recognition.onerror({ error: "no-speech" })
+
+    expect(onError).not.toHaveBeenCalled()
+  })
+})
+
+describe("KeywordRecognizer", () => {
+  let detector
+  let scores
+
+  beforeEach(() => {
+    scores = {}
+    detector = {
+      listeners: new Set(),
+      addListener(listener) {
+        this.listeners.add(listener)
+        return () => this.listeners.delete(listener)
+      },
+      classify: vi.fn(async (session) => scores[session.url] ?? 0),
+      emit(features = new Float32Array(16 * 96)) {
+        return Promise.all([...this.listeners].map(listener => listener(features)))
+      }
+    }
+  })
+
+  const create = async (options = {}) => {
+    const recognizer = new KeywordRecognizer({
+      basePath: "/models",
+      models: { next: "next.onnx", pause: "pause.onnx" },
+      ...options
+    })
+    await recognizer.initialize({ detector })
+    return recognizer
+  }
+
+  it("loads one model per phrase", async () => {
+    await create()
+
+    expect(ort.InferenceSession.create).toHaveBeenCalledWith("/models/next.onnx", expect.anything())
+    expect(ort.InferenceSession.create).toHaveBeenCalledWith("/models/pause.onnx", expect.anything())
+  })
+
+  it("reports the best phrase above the threshold", async () => {
+    const recognizer = await create()
+    const onResult = vi.fn()
+    recognizer.start({ onResult })
+
+    scores = { "/models/next.onnx": 0.6, "/models/pause.onnx": 0.9 }
+    await detector.emit()
+
+    expect(onResult).toHaveBeenCalledWith({
+      alternatives: [{ transcript: "pause", confidence: 0.9 }],
+      final: true
+    })
+  })
+
+  it("ignores scores below the threshold", async () => {
+    const recognizer = await create({ confidence: 0.7 })
+    const onResult = vi.fn()
+    recognizer.start({ onResult })
+
+    scores = { "/models/next.onnx": 0.6 }
+    await detector.emit()
+
+    expect(onResult).not.toHaveBeenCalled()
+  })
+
+  it("reports a phrase once while its score stays high", async () => {
+    const recognizer = await create()
+    const onResult = vi.fn()
+    recognizer.start({ onResult })
+
+    scores = { "/models/next.onnx": 0.9 }
+    await detector.emit()
+    await detector.emit()
+
+    expect(onResult).toHaveBeenCalledTimes(1)
+  })
+
+  it("stops listening to the detector on stop()", async () => {
+    const recognizer = await create()
+    recognizer.start({ onResult: vi.fn() })
+
+    recognizer.stop()
+
+    expect(detector.listeners.size).toBe(0)
+  })
+
+  it("reports an error when started before initialize()", () => {
+    const onError = vi.fn()
+    new KeywordRecognizer().start({ onResult: vi.fn(), onError })
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: expect.stringContaining("initialized") }))
+  })
+})
+
+describe("SharedRecognizer", () => {
+  let recognizer
+  let hub
+
+  beforeEach(() => {
+    recognizer = { initialize: vi.fn(), start: vi.fn(), stop: vi.fn() }
+    hub = { recognizer, clients: new Set(), initializing: null }
+  })
+
+  it("initializes the recognizer once", async () => {
+    await Promise.all([new SharedRecognizer(hub).initialize({}), new SharedRecognizer(hub).initialize({})])
+
+    expect(recognizer.initialize).toHaveBeenCalledTimes(1)
+  })
+
+  it("retries after a failed initialization", async () => {
+    recognizer.initialize.mockRejectedValueOnce(new Error("404"))
+
+    await expect(new SharedRecognizer(hub).initialize({})).rejects.toThrow("404")
+    await expect(new SharedRecognizer(hub).initialize({})).resolves.toBeUndefined()
+    expect(recognizer.initialize).toHaveBeenCalledTimes(2)
+  })
+
+  it("starts with the first handle and gives every handle each result", () => {
+    const first = vi.fn()
+    const second = vi.fn()
+    new SharedRecognizer(hub).start({ lang: "en-US", onResult: first })
+    new SharedRecognizer(hub).start({ lang: "en-US", onResult: second })
+
+    recognizer.start.mock.calls[0][0].onResult({ alternatives: [{ transcript: "next" }], final: true })
+
+    expect(recognizer.start).toHaveBeenCalledTimes(1)
+    expect(recognizer.start).toHaveBeenCalledWith(expect.objectContaining({ lang: "en-US" }))
+    expect(first).toHaveBeenCalled()
+    expect(second).toHaveBeenCalled()
+  })
+
+  it("stops with the last handle", () => {
+    const a = new SharedRecognizer(hub)
+    const b = new SharedRecognizer(hub)
+    a.start({ onResult: vi.fn() })
+    b.start({ onResult: vi.fn() })
+
+    a.stop()
+    a.stop()
+    expect(recognizer.stop).not.toHaveBeenCalled()
+
+    b.stop()
+    expect(recognizer.stop).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,148 @@
+import { SharedRecognizer } from "./recognizers.js"
+
+// The microphone, audio graph, inference sessions and speech recognizers shared by every
+// SpeakThen on the page with the same wake word setup. Instances subscribe on start() and
+// unsubscribe on stop(); the last one out shuts the engine down. Commands stay per instance.
+
+const engines = new Map()
+
+// Recognizers deliver results a moment after the audio ends, so muting outlasts feedback by this much
+const ECHO_TAIL = 300
+
+export class SharedEngine {
+  static acquire(key, detector) {
+    if (!engines.has(key)) engines.set(key, new SharedEngine(key, detector))
+    return engines.get(key)
+  }
+
+  constructor(key, detector) {
+    this.key = key
+    this.detector = detector
+    this.subscribers = new Set()
+    // Subscribers waiting for the wake word; the rest are awake
+    this.listening = new Set()
+    this.recognizers = new Map()
+    this.initializing = null
+    this.starting = null
+    this.muting = 0
+    this.muted = false
+    this.unmuteTimer = null
+
+    detector.onError = (error) => this.notify("onError", error)
+    detector.onDeviceChange = (device) => this.notify("onDeviceChange", device)
+    detector.onProgress = (progress) => this.notify("onModelProgress", progress)
+    detector.onFailure = (error) => [...this.subscribers].forEach(s => s.fail(error))
+    detector.onLevel = (level) => this.subscribers.forEach(s => {
+      s.meter?.level(level)
+      // Feedback playing isn't the user speaking
+      if (!this.muted) s.vad?.hear(level)
+    })
+    detector.onScores = (scores) => this.subscribers.forEach(s => s.meter?.wakeScores(scores))
+  }
+
+  notify(callback, ...args) {
+    this.subscribers.forEach(subscriber => subscriber.config[callback]?.(...args))
+  }
+
+  subscribe(subscriber) {
+    this.subscribers.add(subscriber)
+    this.updateMetering()
+  }
+
+  // Levels and scores are only measured while a subscriber shows them or detects speech with them
+  updateMetering() {
+    const metering = [...this.subscribers].some(s => s.meter || s.vad)
+    if (metering !== Boolean(this.detector.metering)) this.detector.meter?.(metering)
+  }
+
+  // Recognizers given as a string config are shared; a recognizer object stays with its owner
+  recognizer(key, recognizer) {
+    if (key === null) return recognizer
+
+    if (!this.recognizers.has(key)) {
+      this.recognizers.set(key, { recognizer, clients: new Set(), initializing: null })
+    }
+    return new SharedRecognizer(this.recognizers.get(key))
+  }
+
+  initialize() {
+    this.initializing ??= this.detector.initialize().then(() => {
+      // Stopped while the models were loading, which may have spawned the worker since
+      this.abandon()
+    }, error => {
+      this.initializing = null
+      throw error
+    })
+    return this.initializing
+  }
+
+  async start(subscriber) {
+    this.starting ??= this.detector.start(({ wakeWord, score }) => {
+      if (this.muted) return
+      this.subscribers.forEach(s => s.wake(wakeWord, score))
+    }).catch(error => {
+      this.starting = null
+      throw error
+    })
+    await this.starting
+    // Stopped while the detector was starting, which may have opened the microphone since
+    if (!this.subscribers.has(subscriber)) return this.abandon()
+    this.resume(subscriber)
+  }
+
+  // Stops the detector once everyone left, unless a new engine for the same setup took it over
+  abandon() {
+    if (this.subscribers.size > 0 || engines.get(this.key)?.detector === this.detector) return
+    this.detector.stop()
+  }
+
+  get started() {
+    return this.detector.initialized
+  }
+
+  pause(subscriber) {
+    this.listening.delete(subscriber)
+    if (this.listening.size === 0) this.detector.pause()
+  }
+
+  resume(subscriber) {
+    const paused = this.listening.size === 0
+    this.listening.add(subscriber)
+    if (paused) this.detector.resume()
+  }
+
+  // Every subscriber shares the microphone, so feedback one of them plays mutes them all
+  mute() {
+    this.muting++
+    this.muted = true
+    clearTimeout(this.unmuteTimer)
+  }
+
+  unmute() {
+    if (--this.muting > 0) return
+
+    this.unmuteTimer = setTimeout(() => {
+      this.muted = false
+      // The detector's buffers still hold the feedback
+      if (this.listening.size > 0) this.detector.resume()
+    }, ECHO_TAIL)
+  }
+
+  unsubscribe(subscriber) {
+    if (!this.subscribers.delete(subscriber)) return
+    this.listening.delete(subscriber)
+
+    if (this.subscribers.size > 0) {
+      if (this.listening.size === 0) this.detector.pause()
+      this.updateMetering()
+      return
+    }
+
+    clearTimeout(this.unmuteTimer)
+    this.detector.stop()
+    this.initializing = null
+    this.starting = null
+    this.recognizers.clear()
+    if (engines.get(this.key) === this) engines.delete(this.key)
+  }
+}
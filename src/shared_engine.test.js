@@ -0,0 +1,187 @@
+import { describe, it, expect, vi, beforeEach } from "vitest"
+import { SharedEngine } from "./shared_engine.js"
+
+const subscriber = (config = {}) => ({ config, wake: vi.fn() })
+
+describe("SharedEngine", () => {
+  let detector
+  let engine
+
+  beforeEach(() => {
+    detector = {
+      initialized: false,
+      initialize: vi.fn().mockResolvedValue(undefined),
+      start: vi.fn(async function () { this.initialized = true }),
+      stop: vi.fn(),
+      pause: vi.fn(),
+      resume: vi.fn()
+    }
+    engine = SharedEngine.acquire(`test-${Math.random()}`, detector)
+  })
+
+  it("returns the same engine for the same key", () => {
+    expect(SharedEngine.acquire(engine.key, {})).toBe(engine)
+  })
+
+  it("initializes and starts the detector once", async () => {
+    const a = subscriber()
+    const b = subscriber()
+    engine.subscribe(a)
+    engine.subscribe(b)
+
+    await Promise.all([engine.initialize(), engine.initialize()])
+    await Promise.all([engine.start(a), engine.start(b)])
+
+    expect(detector.initialize).toHaveBeenCalledTimes(1)
+    expect(detector.start).toHaveBeenCalledTimes(1)
+    expect(engine.started).toBe(true)
+  })
+
+  it("retries after a failed start", async () => {
+    const a = subscriber()
+    engine.subscribe(a)
+    detector.initialize.mockRejectedValueOnce(new Error("404"))
+
+    await expect(engine.initialize()).rejects.toThrow("404")
+    await expect(engine.initialize()).resolves.toBeUndefined()
+  })
+
+  it("passes detections to every subscriber", async () => {
+    const a = subscriber()
+    const b = subscriber()
+    engine.subscribe(a)
+    engine.subscribe(b)
+    await engine.start(a)
+
+    detector.start.mock.calls[0][0]({ wakeWord: "hey_jarvis", score: 0.9 })
+
+    expect(a.wake).toHaveBeenCalledWith("hey_jarvis", 0.9)
+    expect(b.wake).toHaveBeenCalledWith("hey_jarvis", 0.9)
+  })
+
+  it("pauses detection only when every subscriber is awake", async () => {
+    const a = subscriber()
+    const b = subscriber()
+    engine.subscribe(a)
+    engine.subscribe(b)
+    await engine.start(a)
+    await engine.start(b)
+
+    engine.pause(a)
+    expect(detector.pause).not.toHaveBeenCalled()
+
+    engine.pause(b)
+    expect(detector.pause).toHaveBeenCalled()
+  })
+
+  it("forwards detector callbacks to subscribers' config", () => {
+    const onModelProgress = vi.fn()
+    engine.subscribe(subscriber({ onModelProgress }))
+
+    detector.onProgress({ loaded: 1, total: 2 })
+
+    expect(onModelProgress).toHaveBeenCalledWith({ loaded: 1, total: 2 })
+  })
+
+  it("fails every subscriber when detection stops for good", () => {
+    const a = { ...subscriber(), fail: vi.fn(() => engine.unsubscribe(a)) }
+    const b = { ...subscriber(), fail: vi.fn(() => engine.unsubscribe(b)) }
+    engine.subscribe(a)
+    engine.subscribe(b)
+    const error = new Error("Could not reacquire microphone")
+
+    detector.onFailure(error)
+
+    expect(a.fail).toHaveBeenCalledWith(error)
+    expect(b.fail).toHaveBeenCalledWith(error)
+    expect(detector.stop).toHaveBeenCalled()
+  })
+
+  it("meters only while a subscriber has a meter", () => {
+    detector.meter = vi.fn(function (enabled) { this.metering = enabled })
+    const plain = subscriber()
+    const metered = { ...subscriber(), meter: { level: vi.fn(), wakeScores: vi.fn() } }
+    engine.subscribe(plain)
+    expect(detector.meter).not.toHaveBeenCalled()
+
+    engine.subscribe(metered)
+    detector.onLevel({ level: 0.5, db: -30 })
+    detector.onScores([{ wakeWord: "hey_jarvis", score: 0.2, threshold: 0.5 }])
+    engine.unsubscribe(metered)
+
+    expect(detector.meter.mock.calls).toEqual([[true], [false]])
+    expect(metered.meter.level).toHaveBeenCalledWith({ level: 0.5, db: -30 })
+    expect(metered.meter.wakeScores).toHaveBeenCalledWith([{ wakeWord: "hey_jarvis", score: 0.2, threshold: 0.5 }])
+  })
+
+  it("doesn't pass feedback to voice activity detection", () => {
+    detector.meter = vi.fn()
+    const a = { ...subscriber(), vad: { hear: vi.fn() } }
+    engine.subscribe(a)
+
+    engine.mute()
+    detector.onLevel({ level: 0.5, db: -30 })
+    engine.unmute()
+
+    expect(detector.meter).toHaveBeenCalledWith(true)
+    expect(a.vad.hear).not.toHaveBeenCalled()
+  })
+
+  it("drops detections while muted and flushes the detector after", async () => {
+    vi.useFakeTimers()
+    const a = subscriber()
+    engine.subscribe(a)
+    await engine.start(a)
+    detector.resume.mockClear()
+
+    engine.mute()
+    detector.start.mock.calls[0][0]({ wakeWord: "hey_jarvis", score: 0.9 })
+    engine.unmute()
+    expect(engine.muted).toBe(true)
+
+    vi.advanceTimersByTime(300)
+    vi.useRealTimers()
+
+    expect(a.wake).not.toHaveBeenCalled()
+    expect(engine.muted).toBe(false)
+    expect(detector.resume).toHaveBeenCalled()
+  })
+
+  it("stays muted until every mute is undone", () => {
+    vi.useFakeTimers()
+    engine.mute()
+    engine.mute()
+
+    engine.unmute()
+    vi.advanceTimersByTime(300)
+    const muted = engine.muted
+    vi.useRealTimers()
+
+    expect(muted).toBe(true)
+  })
+
+  it("stops the detector and forgets the engine when the last subscriber leaves", async () => {
+    const a = subscriber()
+    const b = subscriber()
+    engine.subscribe(a)
+    engine.subscribe(b)
+
+    engine.unsubscribe(a)
+    expect(detector.stop).not.toHaveBeenCalled()
+
+    engine.unsubscribe(b)
+    expect(detector.stop).toHaveBeenCalled()
+    expect(SharedEngine.acquire(engine.key, detector)).not.toBe(engine)
+  })
+
+  it("shares recognizers by key but not recognizer objects", () => {
+    const recognizer = { start: vi.fn(), stop: vi.fn() }
+
+    const a = engine.recognizer("web-speech", recognizer)
+    const b = engine.recognizer("web-speech", { start: vi.fn(), stop: vi.fn() })
+
+    expect(a.recognizer).toBe(recognizer)
+    expect(b.recognizer).toBe(recognizer)
+    expect(engine.recognizer(null, recognizer)).toBe(recognizer)
+  })
+})
@@ -1,29 +1,200 @@
 import * as ort from "onnxruntime-web"
+import { parseNumber } from "./number_words.js"
+import { normalize, fold, splitCommands, findPhrase, findPattern } from "./matching.js"
+import { WebSpeechRecognizer, KeywordRecognizer } from "./recognizers.js"
+import { SharedEngine } from "./shared_engine.js"
+import { topModal, available, preferred } from "./targeting.js"
+import { Feedback } from "./feedback.js"
+import { Hotkey } from "./hotkey.js"
+import { Dictation, isTextField } from "./dictation.js"
+import { answer, defaultQuestion } from "./answers.js"
+import { fetchModels } from "./model_cache.js"
+import { Meter, loudness } from "./meter.js"
+import { VoiceActivity } from "./vad.js"
+import { WakePipeline, FrameBuffer, modelPaths, createSessions, classify, SAMPLE_RATE, FRAME_SAMPLES } from "./wake_pipeline.js"
 
-const SAMPLE_RATE = 16000
-const FRAME_SAMPLES = 1280
-const MELSPEC_WINDOW = 76
+const WORKLET = "speak-then-frames"
+const registeredContexts = new WeakSet()
+
+function isAudioNode(source) {
+  return typeof source?.connect === "function" && source.context !== undefined
+}
+
+function isMediaStream(source) {
+  return typeof source?.getAudioTracks === "function"
+}
+
+// Cuts audio into frames at 16kHz whatever the context's rate, and transfers each frame so the
+// receiver gets it without a copy. A context only accepts the processor once, and a
+// caller-supplied node's context outlives our start/stop.
+async function registerWorklet(audioContext) {
+  if (registeredContexts.has(audioContext)) return
+
+  const workletBlob = new Blob([`
+    ${FrameBuffer}
+    class P extends AudioWorkletProcessor {
+      constructor() {
+        super()
+        this.target = this.port
+        this.port.onmessage = (e) => { if (e.data.port) this.target = e.data.port }
+        this.buffer = new FrameBuffer(sampleRate, ${SAMPLE_RATE}, ${FRAME_SAMPLES}, (frame) => {
+          this.target.postMessage(frame, [frame.buffer])
+        })
+      }
+      process(inputs) {
+        if (inputs[0][0]) this.buffer.push(inputs[0][0])
+        return true
+      }
+    }
+    registerProcessor("${WORKLET}", P)
+  `], { type: "application/javascript" })
+  const workletUrl = URL.createObjectURL(workletBlob)
+
+  try {
+    await audioContext.audioWorklet.addModule(workletUrl)
+    registeredContexts.add(audioContext)
+  } finally {
+    URL.revokeObjectURL(workletUrl)
+  }
+}
+
+const SLOT = /\{(\w+)\}/g
+
+// "Did you mean" hints: at most this many, each at least this close to what was heard
+const SUGGESTIONS = 3
+const SUGGESTION_THRESHOLD = 0.5
+
+// Reads Stimulus action params (data-<identifier>-<name>-param) the same way Stimulus does
+function actionParams(element, identifier) {
+  if (!identifier) return {}
+
+  const params = {}
+  const pattern = new RegExp(`^data-${identifier}-(.+)-param$`, "i")
+  for (const { name, value } of element.attributes) {
+    const match = name.match(pattern)
+    if (!match) continue
+
+    const key = match[1].replace(/-(\w)/g, (_, c) => c.toUpperCase())
+    try {
+      params[key] = JSON.parse(value)
+    } catch {
+      params[key] = value
+    }
+  }
+  return params
+}
+
+// Lowercase the words but keep slot names as written
+function phraseKey(phrase) {
+  return phrase.split(SLOT).map((part, i) => i % 2 === 0 ? part.toLowerCase() : `{${part}}`).join("")
+}
+
+// Underscores separate words, except inside {slot} names
+function phraseFor(name) {
+  return name.trim().replace(/_(?![^{]*\})/g, " ")
+}
+
+// { "next": ["skip", "forward"] } with phrases written with spaces or underscores
+function synonymTable(synonyms = {}) {
+  return new Map(Object.entries(synonyms).map(([phrase, aliases]) => [phraseKey(phraseFor(phrase)), aliases.map(phraseFor)]))
+}
+
+// Phrase lists like data-speak-then-aliases="skip, forward" apply to every speak action on the
+// element; {"next": ["skip"], "previous": ["back"]} picks them per action name
+function listedPhrases(element, key, name) {
+  const value = element.dataset[key]
+  if (!value) return []
+  if (!value.trim().startsWith("{")) return value.split(",").map(phraseFor).filter(Boolean)
+
+  let phrases
+  try {
+    phrases = JSON.parse(value)[name] ?? []
+  } catch {
+    console.warn(`Ignoring invalid data-${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}:`, value)
+    return []
+  }
+  return (Array.isArray(phrases) ? phrases : phrases.split(",")).map(phraseFor).filter(Boolean)
+}
+
+// Dataset keys for lang, most specific first: "fr-CA" reads ...-fr-ca, then ...-fr
+function localeKeys(key, lang) {
+  const capitalize = (part) => part[0].toUpperCase() + part.slice(1)
+  const [language, region] = lang.toLowerCase().split("-")
+  return [region && `${key}${capitalize(language)}${capitalize(region)}`, `${key}${capitalize(language)}`].filter(Boolean)
+}
+
+// data-speak-then-confirm-text="Volume set to {level}" is spoken with the slots that were heard;
+// data-speak-then-confirm-text-fr="Volume réglé à {level}" in French
+function confirmation({ entries, slots }, lang) {
+  const keys = [...localeKeys("speakThenConfirmText", lang), "speakThenConfirmText"]
+  const template = keys.flatMap(key => entries.map(({ element }) => element.dataset[key])).find(Boolean)
+  return template?.replace(SLOT, (placeholder, slot) => slots[slot] ?? placeholder) ?? null
+}
+
+// data-speak-then-confirm asks before the command runs, with its value as the question
+function needsConfirmation({ entries }) {
+  return entries.some(({ element }) => element.dataset.speakThenConfirm !== undefined)
+}
+
+function question({ entries, slots }, lang) {
+  const keys = [...localeKeys("speakThenConfirm", lang), "speakThenConfirm"]
+  const template = keys.flatMap(key => entries.map(({ element }) => element.dataset[key])).find(Boolean)
+  return template?.replace(SLOT, (placeholder, slot) => slots[slot] ?? placeholder) ?? defaultQuestion(lang)
+}
+
+// Accepts "hey_mycroft_v0.1.onnx" or { model, name, confidence, scope, commands }
+function wakeWord(definition, confidence) {
+  const { model, ...options } = typeof definition === "string" ? { model: definition } : definition
+  return {
+    name: model.replace(/(_v[\d.]+)?\.onnx$/, ""),
+    confidence,
+    ...options,
+    model
+  }
+}
 
 class WakeWordDetector {
-  constructor(basePath, wakeModel, confidence, onError, debug = false) {
+  constructor(basePath, wakeWords, onError, debug = false, {
+    worker = false,
+    source = "microphone",
+    deviceId = null,
+    onDeviceChange = null,
+    modelVersion = "1",
+    cacheModels = true,
+    onProgress = null
+  } = {}) {
     this.basePath = basePath
-    this.wakeModel = wakeModel
-    this.confidence = confidence
+    this.wakeWords = wakeWords
     this.onError = onError
     this.debug = debug
-    this.sessions = {}
+    this.useWorker = worker
+    this.source = source
+    this.deviceId = deviceId || null
+    this.onDeviceChange = onDeviceChange
+    this.modelVersion = modelVersion
+    this.cacheModels = cacheModels
+    this.onProgress = onProgress
+    // Called when detection stops for good, e.g. the microphone can't be reacquired
+    this.onFailure = null
+    this.pipeline = null
+    this.worker = null
     this.audioContext = null
+    this.ownsContext = false
     this.worklet = null
+    this.input = null
     this.stream = null
-    this.melFrames = []
-    this.embeddingBuffer = []
+    this.ownsStream = false
+    this.pushBuffer = null
+    this.queue = Promise.resolve()
     this.onDetection = null
+    this.listeners = new Set()
+    this.metering = false
+    this.onLevel = null
+    this.onScores = null
     this.running = false
     this.initialized = false
-
-    // Pre-allocated buffers for inference (avoids GC pressure)
-    this.melInputBuffer = new Float32Array(MELSPEC_WINDOW * 32)
-    this.embInputBuffer = new Float32Array(16 * 96)
+    this.recovering = null
+    this.handleDeviceChange = this.handleDeviceChange.bind(this)
   }
 
   log(...args) {
@@ -32,19 +203,77 @@ class WakeWordDetector {
 
   async initialize() {
     this.log("Initializing models from", this.basePath)
-    const opts = { executionProviders: ["wasm"] }
+    const models = await this.fetchModels()
 
-    // Load all models in parallel for faster initialization
-    const [mel, emb, wake] = await Promise.all([
-      ort.InferenceSession.create(`${this.basePath}/melspectrogram.onnx`, opts),
-      ort.InferenceSession.create(`${this.basePath}/embedding_model.onnx`, opts),
-      ort.InferenceSession.create(`${this.basePath}/${this.wakeModel}`, opts)
-    ])
+    if (this.useWorker) {
+      await this.spawnWorker(models)
+    } else {
+      const sessions = await createSessions(ort, models)
+      this.pipeline = new WakePipeline(ort, sessions, this.wakeWords, (...args) => this.log(...args))
+    }
 
-    this.sessions = { mel, emb, wake }
     this.log("Models loaded successfully")
   }
 
+  async fetchModels() {
+    const paths = modelPaths(this.basePath, this.wakeWords)
+    const [mel, emb, ...wake] = await fetchModels([paths.mel, paths.emb, ...paths.wake], {
+      version: this.modelVersion,
+      cache: this.cacheModels,
+      onProgress: this.onProgress
+    })
+    return { mel, emb, wake }
+  }
+
+  async spawnWorker(models) {
+    this.worker?.terminate()
+    this.worker = typeof this.useWorker === "string"
+      ? new Worker(this.useWorker, { type: "module" })
+      : new Worker(new URL("./wake_worker.js", import.meta.url), { type: "module" })
+
+    await new Promise((resolve, reject) => {
+      this.worker.onmessage = ({ data }) => {
+        if (data.type === "ready") resolve()
+        if (data.type === "error") reject(new Error(data.message))
+      }
+      this.worker.onerror = (e) => reject(new Error(`Wake word worker failed: ${e.message}`))
+
+      // Models are copied rather than transferred; the download stays cached for reconnects
+      this.worker.postMessage({
+        type: "initialize",
+        models,
+        wakeWords: this.wakeWords.map(({ name, model, confidence }) => ({ name, model, confidence })),
+        wasm: { wasmPaths: ort.env.wasm.wasmPaths, numThreads: ort.env.wasm.numThreads },
+        debug: this.debug
+      })
+    })
+
+    this.worker.onmessage = ({ data }) => this.handleWorkerMessage(data)
+    this.worker.onerror = (e) => this.fail(new Error(`Wake word worker failed: ${e.message}`))
+    if (this.metering) this.worker.postMessage({ type: "meter", enabled: true })
+  }
+
+  handleWorkerMessage(data) {
+    switch (data.type) {
+      case "detection":
+        if (this.running) this.onDetection?.({ wakeWord: data.wakeWord, score: data.score })
+        break
+      case "features":
+        this.listeners.forEach(listener => listener(data.features))
+        break
+      case "level":
+        this.onLevel?.({ level: data.level, db: data.db })
+        break
+      case "scores":
+        if (this.running) this.onScores?.(data.scores)
+        break
+      case "error":
+        console.error("Wake word error:", data.message)
+        this.onError?.(new Error(data.message))
+        break
+    }
+  }
+
   async start(onDetection) {
     if (this.initialized) {
       throw new Error("WakeWordDetector already started. Call stop() first.")
@@ -53,241 +282,792 @@ class WakeWordDetector {
     this.log("Starting wake word detection")
     this.onDetection = onDetection
     this.running = true
-    this.melFrames = []
-    this.embeddingBuffer = []
+    this.pipeline?.reset()
+    this.worker?.postMessage({ type: "resume" })
 
-    this.log("Requesting microphone access")
-    this.stream = await navigator.mediaDevices.getUserMedia({
-      audio: { sampleRate: SAMPLE_RATE, channelCount: 1, echoCancellation: true, noiseSuppression: true }
-    })
-    this.log("Microphone access granted")
+    // Pushed audio needs no capture or audio graph
+    if (this.source !== "push") await this.connect(this.source)
 
-    this.audioContext = new AudioContext({ sampleRate: SAMPLE_RATE })
-
-    const workletBlob = new Blob([`
-      class P extends AudioWorkletProcessor {
-        constructor() { super(); this.buf = [] }
-        process(inputs) {
-          if (inputs[0].length) {
-            this.buf.push(...inputs[0][0])
-            while (this.buf.length >= ${FRAME_SAMPLES}) {
-              this.port.postMessage(this.buf.splice(0, ${FRAME_SAMPLES}))
-            }
-          }
-          return true
-        }
+    this.initialized = true
+  }
+
+  async connect(source) {
+    let input
+    if (isAudioNode(source)) {
+      this.audioContext = source.context
+      this.ownsContext = false
+      input = source
+    } else {
+      if (isMediaStream(source)) {
+        this.stream = source
+        this.ownsStream = false
+      } else {
+        this.stream = await this.openMicrophone(this.deviceId)
+        this.ownsStream = true
+        navigator.mediaDevices.addEventListener?.("devicechange", this.handleDeviceChange)
       }
-      registerProcessor("p", P)
-    `], { type: "application/javascript" })
-    const workletUrl = URL.createObjectURL(workletBlob)
 
-    try {
-      await this.audioContext.audioWorklet.addModule(workletUrl)
-    } finally {
-      URL.revokeObjectURL(workletUrl)
+      this.audioContext = new AudioContext({ sampleRate: SAMPLE_RATE })
+      this.ownsContext = true
     }
 
-    const source = this.audioContext.createMediaStreamSource(this.stream)
-    this.worklet = new AudioWorkletNode(this.audioContext, "p")
-    this.worklet.port.onmessage = (e) => this.running && this.processFrame(e.data)
-    source.connect(this.worklet)
+    await registerWorklet(this.audioContext)
 
-    this.initialized = true
+    input ??= this.audioContext.createMediaStreamSource(this.stream)
+    this.worklet = new AudioWorkletNode(this.audioContext, WORKLET)
+
+    if (this.worker) {
+      // Audio goes straight from the worklet to the worker without touching the main thread
+      const channel = new MessageChannel()
+      this.worklet.port.postMessage({ port: channel.port1 }, [channel.port1])
+      this.worker.postMessage({ type: "audio-port", port: channel.port2 }, [channel.port2])
+    } else {
+      this.worklet.port.onmessage = (e) => this.receive(e.data)
+    }
+    input.connect(this.worklet)
+    this.input = input
+    if (this.ownsStream) this.reportDevice()
   }
 
-  async processFrame(samples) {
-    try {
-      const audio = new ort.Tensor("float32", new Float32Array(samples), [1, samples.length])
-      const mel = await this.sessions.mel.run({ input: audio })
-      const melTensor = mel.output
-      const melData = Array.from(melTensor.data ?? Object.values(melTensor.cpuData))
-
-      for (let i = 0; i < melData.length / 32; i++) {
-        const frame = melData.slice(i * 32, (i + 1) * 32)
-        for (let j = 0; j < frame.length; j++) {
-          frame[j] = (frame[j] / 10.0) + 2.0
-        }
-        this.melFrames.push(frame)
+  async openMicrophone(deviceId) {
+    this.log("Requesting microphone access", deviceId ?? "")
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        sampleRate: SAMPLE_RATE,
+        channelCount: 1,
+        echoCancellation: true,
+        noiseSuppression: true,
+        ...(deviceId && { deviceId: { exact: deviceId } })
       }
+    })
+    this.log("Microphone access granted")
 
-      while (this.melFrames.length >= MELSPEC_WINDOW) {
-        // Reuse pre-allocated buffer
-        for (let i = 0; i < MELSPEC_WINDOW; i++) {
-          this.melInputBuffer.set(this.melFrames[i], i * 32)
-        }
+    // Unplugged headsets, Bluetooth disconnects and OS-level revocation end the track silently
+    stream.getTracks().forEach(track => { track.onended = () => this.recover() })
+    return stream
+  }
+
+  async listDevices() {
+    const devices = await navigator.mediaDevices.enumerateDevices()
+    return devices.filter(device => device.kind === "audioinput")
+  }
 
-        const emb = await this.sessions.emb.run({
-          input_1: new ort.Tensor("float32", this.melInputBuffer, [1, MELSPEC_WINDOW, 32, 1])
+  // Remembers the choice for the next start() and switches the live microphone, if we own one
+  async setDevice(deviceId) {
+    this.deviceId = deviceId || null
+    if (this.initialized && this.ownsStream) await this.switchDevice(this.deviceId)
+  }
+
+  async switchDevice(deviceId) {
+    const stream = await this.openMicrophone(deviceId)
+    if (!this.initialized) {
+      // Stopped while the permission prompt or device was pending
+      stream.getTracks().forEach(track => track.stop())
+      return
+    }
+    const previous = this.stream
+
+    this.input?.disconnect()
+    this.stream = stream
+    this.input = this.audioContext.createMediaStreamSource(stream)
+    this.input.connect(this.worklet)
+    previous?.getTracks().forEach(track => {
+      track.onended = null
+      track.stop()
+    })
+
+    this.reportDevice()
+  }
+
+  // Falls back to the default microphone when the selected one is gone
+  recover() {
+    if (!this.initialized || !this.ownsStream) return
+    this.recovering ??= (async () => {
+      this.log("Microphone lost, reacquiring")
+      try {
+        await this.switchDevice(this.deviceId).catch(error => {
+          if (!this.deviceId) throw error
+          this.log("Selected microphone unavailable, using default")
+          return this.switchDevice(null)
         })
+      } catch (e) {
+        this.fail(new Error(`Could not reacquire microphone: ${e.message}`))
+      } finally {
+        this.recovering = null
+      }
+    })()
+    return this.recovering
+  }
 
-        const embTensor = emb.conv2d_19
-        const embData = embTensor.data ?? Object.values(embTensor.cpuData)
-        this.embeddingBuffer.push(Array.from(embData))
+  fail(error) {
+    console.error(error.message)
+    this.onError?.(error)
+    this.onFailure?.(error)
+  }
 
-        this.melFrames.splice(0, 8)
+  async handleDeviceChange() {
+    if (!this.initialized || !this.ownsStream) return
 
-        if (this.embeddingBuffer.length >= 16) {
-          // Reuse pre-allocated buffer
-          const startIdx = this.embeddingBuffer.length - 16
-          for (let i = 0; i < 16; i++) {
-            this.embInputBuffer.set(this.embeddingBuffer[startIdx + i], i * 96)
-          }
+    let devices
+    try {
+      devices = await this.listDevices()
+    } catch (e) {
+      console.error("Could not list microphones:", e.message)
+      this.onError?.(new Error(`Could not list microphones: ${e.message}`))
+      return
+    }
+    const available = (id) => devices.some(device => device.deviceId === id)
+    const track = this.stream?.getTracks()[0]
+    const current = track?.getSettings?.().deviceId
 
-          const wake = await this.sessions.wake.run({
-            "x.1": new ort.Tensor("float32", this.embInputBuffer, [1, 16, 96])
-          })
+    // Reacquire when our device went away, or when the selected one came back after a fallback
+    if (track?.readyState === "ended" || (current && !available(current))) return this.recover()
+    if (this.deviceId && current !== this.deviceId && available(this.deviceId)) return this.recover()
+  }
+
+  reportDevice() {
+    const track = this.stream?.getTracks()[0]
+    const device = { deviceId: track?.getSettings?.().deviceId ?? this.deviceId, label: track?.label ?? "" }
+    this.log("Using microphone:", device.label || device.deviceId || "default")
+    this.onDeviceChange?.(device)
+  }
+
+  // Raw PCM (Float32Array or Int16Array) at any sample rate, for recorded or remote audio
+  pushAudio(samples, sampleRate = SAMPLE_RATE) {
+    if (this.pushBuffer?.inputRate !== sampleRate) {
+      this.pushBuffer = new FrameBuffer(sampleRate, SAMPLE_RATE, FRAME_SAMPLES, (frame) => this.receive(frame))
+    }
+    this.pushBuffer.push(samples)
+  }
 
-          const outputKey = Object.keys(wake)[0]
-          const tensor = wake[outputKey]
-          const tensorData = tensor.data ?? Object.values(tensor.cpuData)
-          const score = tensorData[0]
-          if (score > 0.1) this.log("Wake score:", score.toFixed(3), score >= this.confidence ? "TRIGGERED" : "")
-          if (score >= this.confidence) this.onDetection?.(score)
+  receive(frame) {
+    // Measured before the frame is transferred away
+    if (this.metering && !this.worker) this.onLevel?.(loudness(frame))
 
-          if (this.embeddingBuffer.length > 32) this.embeddingBuffer = this.embeddingBuffer.slice(-16)
+    if (this.worker) {
+      this.worker.postMessage({ type: "audio", samples: frame }, [frame.buffer])
+    } else if (this.running || this.listeners.size) {
+      this.enqueue(frame)
+    }
+  }
+
+  // Frames are processed one at a time so buffers are never updated concurrently
+  enqueue(samples) {
+    this.queue = this.queue.then(() => this.processFrame(samples))
+  }
+
+  async processFrame(samples) {
+    try {
+      await this.pipeline.process(samples, async (features) => {
+        for (const listener of this.listeners) await listener(features.slice())
+
+        if (this.running) {
+          const detection = await this.pipeline.detect(features, this.metering ? this.onScores : null)
+          if (detection) this.onDetection?.(detection)
         }
-      }
+      })
     } catch (e) {
       console.error("Wake word error:", e)
       this.onError?.(e)
     }
   }
 
+  classify(session, features) {
+    return classify(ort, session, features)
+  }
+
+  // Listeners receive every window of 16 embeddings, also while wake detection is paused
+  addListener(listener) {
+    this.listeners.add(listener)
+    this.worker?.postMessage({ type: "features", enabled: true })
+
+    return () => {
+      this.listeners.delete(listener)
+      this.worker?.postMessage({ type: "features", enabled: this.listeners.size > 0 })
+    }
+  }
+
+  // Reports the input level of every frame and the scores of every wake word to onLevel and onScores
+  meter(enabled) {
+    this.metering = enabled
+    this.worker?.postMessage({ type: "meter", enabled })
+  }
+
   stop() {
     this.log("Stopping wake word detection")
     this.running = false
     this.initialized = false
+    // Only tear down what we created; a caller-supplied stream or node stays in use
+    this.input?.disconnect?.(this.worklet)
     this.worklet?.disconnect()
-    this.audioContext?.close()
-    this.stream?.getTracks().forEach(t => t.stop())
+    if (this.ownsContext) this.audioContext?.close()
+    if (this.ownsStream) {
+      navigator.mediaDevices.removeEventListener?.("devicechange", this.handleDeviceChange)
+      this.stream?.getTracks().forEach(t => {
+        t.onended = null
+        t.stop()
+      })
+    }
+    this.ownsStream = false
+    this.input = null
+    this.worklet = null
+    this.audioContext = null
+    this.stream = null
+    this.pushBuffer = null
+    this.worker?.terminate()
+    this.worker = null
   }
 
   pause() {
     this.log("Pausing wake word detection")
     this.running = false
+    this.worker?.postMessage({ type: "pause" })
   }
 
   resume() {
     this.log("Resuming wake word detection, clearing buffers")
     // Clear buffers to avoid re-triggering on stale audio data
-    this.melFrames = []
-    this.embeddingBuffer = []
+    this.pipeline?.reset()
     this.running = true
+    this.worker?.postMessage({ type: "resume" })
   }
 }
 
+// Stands in for WakeWordDetector in push-to-talk mode: no models, no microphone, no detections.
+// The speech recognizer opens the microphone itself when listening starts.
+class ManualWake {
+  constructor() {
+    this.initialized = false
+    this.ownsStream = false
+  }
+
+  async initialize() {}
+
+  async fetchModels() {}
+
+  async start() {
+    this.initialized = true
+  }
+
+  async listDevices() {
+    return []
+  }
+
+  async setDevice() {}
+
+  pushAudio() {}
+
+  pause() {}
+
+  resume() {}
+
+  stop() {
+    this.initialized = false
+  }
+}
+
+// One entry per time a step is said, with how many times in a row the same command and slots were said
+function counted(steps) {
+  const same = (a, b) => a.phrase === b.phrase && JSON.stringify(a.slots) === JSON.stringify(b.slots)
+  const runs = []
+  for (const step of steps) {
+    const last = runs.at(-1)
+    if (last && same(last[0], step)) last.push(step)
+    else runs.push([step])
+  }
+  return runs.flatMap(run => run.map((step, i) => ({ ...step, count: run.length, repetition: i + 1 })))
+}
+
 class CommandRecognizer {
-  constructor(lang = "en-US", onError, debug = false) {
+  constructor(lang = "en-US", onError, debug = false, {
+    engine = new WebSpeechRecognizer(),
+    maxAlternatives = 3,
+    minConfidence = 0,
+    threshold = 0.8,
+    minCoverage = 0.25,
+    interim = false,
+    stability = 2,
+    delay = 0,
+    confirm = async () => true,
+    muted = () => false,
+    onHearing = null,
+    onTranscript = null,
+    onUnrecognized = null
+  } = {}) {
     this.lang = lang
     this.onError = onError
     this.debug = debug
-    this.recognition = null
+    this.engine = engine
+    this.maxAlternatives = maxAlternatives
+    this.minConfidence = minConfidence
+    this.threshold = threshold
+    this.minCoverage = minCoverage
+    this.interim = interim
+    this.stability = stability
+    this.delay = delay
+    this.confirm = confirm
+    this.muted = muted
+    // Whether an utterance has interim results and no final one yet
+    this.hearing = false
+    this.onHearing = onHearing
+    this.onTranscript = onTranscript
+    this.onUnrecognized = onUnrecognized
     this.commands = new Map()
+    // Event names dispatched early per utterance, so its final result doesn't repeat them
+    this.fired = new Map()
+    this.streak = null
+    // Free text goes here instead of matching commands, except the utterance that started it
+    this.dictation = null
+    this.handling = null
+    this.dictationAfter = null
+    // Takes final results while a command waits for a yes or no, except the utterance that asked
+    this.answer = null
+    this.answerAfter = null
+    // Commands run one step at a time; stop() abandons the steps still waiting
+    this.queue = Promise.resolve()
+    this.performing = 0
+    this.generation = 0
     this.running = false
     this.onSpeech = null
+    this.scope = null
   }
 
   log(...args) {
     if (this.debug) console.log("[Command]", ...args)
   }
 
-  register(phrase, element) {
-    const key = phrase.toLowerCase()
+  // An alias registers under its own phrase and dispatches with its canonical phrase
+  register(phrase, element, { name = phrase.replace(/ /g, "_"), identifier, canonical = phrase } = {}) {
+    const key = phraseKey(phrase)
     if (!this.commands.has(key)) this.commands.set(key, [])
-    this.commands.get(key).push(element)
+    this.commands.get(key).push({ element, name, identifier, canonical: phraseKey(canonical), pattern: this.compile(key) })
     this.log("Registered command:", key)
   }
 
-  start(onSpeech) {
-    this.log("Starting speech recognition")
-    const SR = window.SpeechRecognition || window.webkitSpeechRecognition
-    if (!SR) {
-      const error = new Error("Speech recognition not supported in this browser")
-      console.error(error.message)
-      this.onError?.(error)
-      return
+  compile(phrase) {
+    const slots = [...phrase.matchAll(SLOT)].map(m => m[1])
+    if (slots.length === 0) return null
+
+    // Matched against the folded transcript, so accents don't have to agree
+    const source = fold(phrase).split(SLOT)
+      .map((part, i) => i % 2 === 0 ? part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&") : "(.+?)")
+      .join("")
+    // Slots match whole words; a trailing slot takes the rest of the utterance
+    const trailing = phrase.endsWith("}")
+    const regex = new RegExp(`(?:^| )${source}${trailing ? "$" : "(?= |$)"}`, "d")
+    return { regex, slots, trailing }
+  }
+
+  score(pattern, phrase, transcript) {
+    if (!pattern) return findPhrase(fold(phrase), fold(transcript))
+
+    // Slot values keep the accents that were heard
+    const match = findPattern(pattern.regex, fold(transcript), transcript)
+    if (!match) return null
+
+    match.slots = Object.fromEntries(pattern.slots.map((slot, i) => {
+      const value = match.values[i]
+      return [slot, parseNumber(value, this.lang) ?? value]
+    }))
+    return match
+  }
+
+  // Only elements the user could interact with right now can be targets
+  candidates(modal) {
+    const commands = []
+    for (const [phrase, registered] of this.commands) {
+      const scoped = this.scope ? registered.filter(entry => this.scope(entry, entry.canonical)) : registered
+      const entries = available(scoped, modal)
+      if (entries.length > 0) commands.push([phrase, entries])
     }
+    return commands
+  }
 
-    this.recognition = new SR()
-    this.recognition.continuous = true
-    this.recognition.interimResults = false
-    this.recognition.lang = this.lang
-    this.running = true
-    this.onSpeech = onSpeech
+  resolve(alternatives) {
+    let best = null
+    const modal = topModal(document)
+    const commands = this.candidates(modal)
 
-    this.recognition.onresult = (e) => {
-      const transcript = e.results[e.results.length - 1][0].transcript.trim().toLowerCase()
-      this.log("Heard:", transcript)
-
-      for (const [phrase, elements] of this.commands) {
-        if (transcript.includes(phrase)) {
-          this.log("Matched command:", phrase)
-          elements.forEach(el => {
-            el.dispatchEvent(new CustomEvent(`speak:${phrase}`, {
-              bubbles: true,
-              detail: { transcript, phrase }
-            }))
-          })
+    for (const { transcript, confidence } of alternatives) {
+      for (const [phrase, entries] of commands) {
+        const match = this.score(entries[0].pattern, phrase, transcript)
+        // Coverage only ranks matches, so a phrase buried in a longer sentence is ruled out here
+        if (!match || match.score < this.threshold || match.coverage < this.minCoverage) continue
+
+        // Browsers report 0 when they have no confidence for an alternative
+        const rank = match.score * (confidence || 1)
+        if (!best || rank > best.rank) {
+          best = { rank, phrase, entries, transcript, confidence, score: match.score, slots: match.slots ?? {} }
         }
       }
+    }
 
-      this.onSpeech?.(transcript)
+    return best && { ...best, ...preferred(best.entries, modal) }
+  }
+
+  // Several commands in one utterance ("next and then pause", "next next next"), when every
+  // part matches a command on its own. An exact match of the whole utterance is never split,
+  // unless it ends in a slot, which would otherwise swallow the commands after it.
+  sequence(alternatives, match) {
+    if (match?.score === 1 && !match.entries.some(({ pattern }) => pattern?.trailing)) return null
+
+    for (const { transcript, confidence } of alternatives) {
+      const parts = splitCommands(transcript, this.lang)
+      if (parts.length < 2) continue
+
+      const steps = parts.map(part => this.resolve([{ transcript: part, confidence }]))
+      if (steps.every(Boolean)) return steps
     }
+    return null
+  }
+
+  // Dispatches steps in order. The same command said several times in a row fires once per
+  // time, with the count in the detail. A handler can hold back the next step, and commands
+  // heard later, with event.detail.waitUntil(promise); delay also pauses between steps.
+  // steps come from counted()
+  perform(steps, final, utterance) {
+    const { generation } = this
+    const run = async () => {
+      this.performing++
+      let confirmed = true
+      try {
+        for (const [i, step] of steps.entries()) {
+          if (i > 0 && this.delay > 0) await new Promise(resolve => setTimeout(resolve, this.delay))
+          if (generation !== this.generation) return
 
-    this.recognition.onerror = (e) => {
-      if (!["no-speech", "aborted"].includes(e.error)) {
-        console.error("Speech error:", e.error)
-        this.onError?.(new Error(`Speech recognition error: ${e.error}`))
+          // Saying a command several times in a row asks once, or again for the rest of the
+          // run when its start already fired on an interim result
+          if (i === 0 || step.repetition === 1) {
+            // Only an interim result leaves more of its utterance to come
+            this.answerAfter = final ? null : utterance
+            confirmed = !needsConfirmation(step) || await this.confirm(step)
+          }
+          if (!confirmed) continue
+
+          const holds = []
+          const waitUntil = (promise) => { holds.push(promise) }
+          step.entries.forEach(entry => this.dispatch(entry, { ...step, final, waitUntil }))
+          if (holds.length > 0) await Promise.all(holds)
+        }
+      } catch (error) {
+        // The steps left over may depend on the one that failed
+        console.error("Command failed:", error)
+        this.onError?.(error)
+      } finally {
+        this.performing--
       }
     }
 
-    this.recognition.onend = () => {
-      if (this.running) {
-        try {
-          this.recognition.start()
-        } catch (e) {
-          // Recognition may fail to restart if already running or browser restrictions
-          this.onError?.(e)
+    // Nothing is waiting most of the time, so commands dispatch right away
+    this.queue = this.performing > 0 ? this.queue.then(run) : run()
+  }
+
+  // The canonical phrases closest to what was heard, for "did you mean" hints. Slots can't be
+  // compared, so phrases with slots are scored on their words alone.
+  suggest(alternatives) {
+    const scores = new Map()
+    for (const [phrase, entries] of this.candidates(topModal(document))) {
+      const words = fold(phrase.replace(SLOT, " ")).replace(/\s+/g, " ").trim()
+      if (!words) continue
+
+      for (const { transcript } of alternatives) {
+        const score = findPhrase(words, fold(transcript))?.score ?? 0
+        for (const { canonical } of entries) {
+          if (score >= SUGGESTION_THRESHOLD && score > (scores.get(canonical) ?? 0)) scores.set(canonical, score)
         }
       }
     }
 
-    this.recognition.start()
+    return [...scores]
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, SUGGESTIONS)
+      .map(([phrase, score]) => ({ phrase, score }))
+  }
+
+  dispatch({ element, name, identifier, canonical }, {
+    transcript, phrase, slots, score, confidence, reason, final = true, count = 1, repetition = 1, waitUntil = () => {}
+  }) {
+    const params = { ...actionParams(element, identifier), ...slots }
+    const alias = phrase === canonical ? null : phrase
+    element.dispatchEvent(new CustomEvent(`speak:${name}`, {
+      bubbles: true,
+      detail: { transcript, phrase: canonical, alias, params, score, confidence, reason, final, count, repetition, waitUntil }
+    }))
+  }
+
+  // An interim match fires once the same command has been heard in `stability` interim results
+  // in a row. A trailing slot can still grow ("twenty" → "twenty three"), so those wait for the
+  // final result, as do commands marked data-speak-then-interim="false".
+  stable(match, utterance) {
+    const waits = match.entries.some(({ element, pattern }) => pattern?.trailing || element.dataset.speakThenInterim === "false")
+    if (waits) return false
+
+    const key = `${utterance} ${match.phrase} ${JSON.stringify(match.slots)}`
+    this.streak = { key, count: this.streak?.key === key ? this.streak.count + 1 : 1 }
+    return this.streak.count >= this.stability
+  }
+
+  clear() {
+    this.commands.clear()
+  }
+
+  dictate(dictation) {
+    this.dictation = dictation
+    this.dictationAfter = dictation && this.handling
+  }
+
+  start(onSpeech) {
+    this.log("Starting speech recognition")
+    this.running = true
+    this.onSpeech = onSpeech
+
+    // Dictation may start at any time and shows what is heard as it is spoken, so interim
+    // results are always requested; commands only use them with interim: true
+    this.engine.start({
+      lang: this.lang,
+      maxAlternatives: this.maxAlternatives,
+      interimResults: true,
+      onResult: (result) => this.handle(result),
+      onError: (error) => this.onError?.(error)
+    })
+  }
+
+  handle({ alternatives, final = true, utterance = null }) {
+    // Results that arrive while feedback plays may be the feedback itself
+    if (!this.running || this.muted()) return
+
+    this.hearing = !final
+    this.onHearing?.(this.hearing)
+
+    if (this.answer) {
+      if (final && (utterance === null || utterance !== this.answerAfter)) this.answer(alternatives)
+      return
+    }
+    if (this.dictation && (utterance === null || utterance !== this.dictationAfter)) {
+      this.dictation.hear(alternatives[0].transcript, final)
+      return
+    }
+    if (!final && !this.interim) return
+
+    this.handling = utterance
+    try {
+      this.match(alternatives, final, utterance)
+    } finally {
+      this.handling = null
+    }
+  }
+
+  match(alternatives, final, utterance) {
+    alternatives = alternatives.map(({ transcript, confidence }) => ({ transcript: normalize(transcript, this.lang), confidence }))
+    const transcript = alternatives[0].transcript
+    this.log(final ? "Heard:" : "Hearing:", alternatives)
+
+    const confident = alternatives.filter(a => !a.confidence || a.confidence >= this.minConfidence)
+    const match = this.resolve(confident)
+    const steps = (final && this.sequence(confident, match)) || (match ? [match] : [])
+    const fired = this.fired.get(utterance) ?? new Set()
+    if (final) {
+      this.fired.delete(utterance)
+      this.streak = null
+    }
+
+    // Each command that already fired on an interim result stands in for one step. Steps are
+    // counted first, so the rest of "next next" is repetition 2 of 2.
+    const earlier = new Set(fired)
+    const pending = counted(steps).filter(({ entries }) => {
+      const names = entries.map(({ name }) => name)
+      if (!names.every(name => earlier.has(name))) return true
+      names.forEach(name => earlier.delete(name))
+      return false
+    })
+
+    const dispatching = pending.length > 0 && (final || this.stable(pending[0], utterance))
+    if (dispatching) {
+      pending.forEach(step => this.log("Matched command:", step.phrase, "score:", step.score.toFixed(2), final ? "" : "(interim)"))
+      this.perform(pending, final, utterance)
+      if (!final) {
+        pending[0].entries.forEach(({ name }) => fired.add(name))
+        this.fired.set(utterance, fired)
+      }
+      this.onSpeech?.(transcript, pending[0])
+    } else if (final && fired.size === 0) {
+      this.onSpeech?.(transcript, null)
+    }
+    if (!final) return
+
+    // A command that fired on an interim result recognized this utterance too
+    const recognized = dispatching || fired.size > 0
+    this.onTranscript?.({ transcript, alternatives, recognized })
+    if (!recognized) {
+      const suggestions = this.suggest(alternatives)
+      this.log("Unrecognized:", transcript, "suggestions:", suggestions.map(s => s.phrase))
+      this.onUnrecognized?.({ transcript, alternatives, suggestions })
+    }
   }
 
   stop() {
     this.log("Stopping speech recognition")
     this.running = false
-    this.recognition?.stop()
+    this.hearing = false
+    this.fired.clear()
+    this.streak = null
+    this.generation++
+    this.engine.stop()
   }
 }
 
+const identities = new WeakMap()
+let lastIdentity = 0
+
+// Tells objects apart in engine keys, which otherwise compare config by value
+function identify(object) {
+  if (!identities.has(object)) identities.set(object, ++lastIdentity)
+  return identities.get(object)
+}
+
+// "sleeping" is ready and listening for the wake word; "permission" waits on the microphone prompt
+const MODES = ["wake-word", "push-to-talk", "hybrid"]
+
+const TRANSITIONS = {
+  stopped: ["loading"],
+  loading: ["permission", "sleeping", "error", "stopped"],
+  permission: ["sleeping", "error", "stopped"],
+  sleeping: ["awake", "error", "stopped"],
+  awake: ["confirming", "sleeping", "error", "stopped"],
+  confirming: ["awake", "sleeping", "error", "stopped"],
+  error: ["loading", "stopped"]
+}
+
 export default class SpeakThen {
   constructor(element, config = {}) {
     this.element = element
     this.config = {
       basePath: config.basePath || "/models",
       wakeModel: config.wakeModel || "hey_jarvis_v0.1.onnx",
+      wakeModels: config.wakeModels,
       confidence: config.confidence || 0.5,
       sleepAfter: config.sleepAfter || 5000,
+      vad: config.vad || false,
+      vadThreshold: config.vadThreshold || -45,
+      initialSilence: config.initialSilence || 3000,
+      trailingSilence: config.trailingSilence || 1000,
       lang: config.lang || "en-US",
+      maxAlternatives: config.maxAlternatives || 3,
+      recognitionConfidence: config.recognitionConfidence || 0,
+      matchThreshold: config.matchThreshold || 0.8,
+      minCoverage: config.minCoverage ?? 0.25,
+      interimResults: config.interimResults || false,
+      interimStability: config.interimStability || 2,
+      sequenceDelay: config.sequenceDelay || 0,
+      confirmTimeout: config.confirmTimeout || 5000,
+      speakQuestions: config.speakQuestions || false,
+      recognizer: config.recognizer || "web-speech",
+      keywordModels: config.keywordModels || {},
+      keywordConfidence: config.keywordConfidence || 0.5,
+      worker: config.worker || false,
+      audioSource: config.audioSource || "microphone",
+      deviceId: config.deviceId || null,
+      modelVersion: config.modelVersion || "1",
+      cacheModels: config.cacheModels ?? true,
+      synonyms: config.synonyms || {},
+      earcons: config.earcons || false,
+      feedbackVolume: config.feedbackVolume || 0.2,
+      mode: config.mode || "wake-word",
+      hotkey: config.hotkey || null,
+      dictationStop: config.dictationStop || null,
+      meterInterval: config.meterInterval || 0,
       debug: config.debug || false,
       onWake: config.onWake,
       onSleep: config.onSleep,
-      onError: config.onError
+      onError: config.onError,
+      onDeviceChange: config.onDeviceChange,
+      onPermissionChange: config.onPermissionChange,
+      onStateChange: config.onStateChange,
+      onModelProgress: config.onModelProgress,
+      onModelsLoaded: config.onModelsLoaded,
+      onTranscript: config.onTranscript,
+      onUnrecognized: config.onUnrecognized,
+      onDictationStart: config.onDictationStart,
+      onDictationEnd: config.onDictationEnd,
+      onConfirmationPending: config.onConfirmationPending,
+      onConfirmationResolved: config.onConfirmationResolved,
+      onLevel: config.onLevel,
+      onWakeScore: config.onWakeScore
     }
-    this.state = "sleeping"
+    if (!MODES.includes(this.config.mode)) {
+      throw new Error(`Unknown mode "${this.config.mode}". Use "wake-word", "push-to-talk" or "hybrid".`)
+    }
+    if (this.config.mode === "push-to-talk" && this.config.recognizer === "keyword") {
+      throw new Error("The keyword recognizer needs the wake word models. Use mode \"hybrid\" instead of \"push-to-talk\".")
+    }
+    this.state = "stopped"
     this.sleepTimer = null
-    this.started = false
-    this.wakeDetector = new WakeWordDetector(
+    // When the session last woke or heard a result, which bounds how long speech keeps it awake
+    this.heardAt = 0
+    this.held = false
+    this.confirmation = null
+    this.confirmTimer = null
+    this.hotkey = this.config.hotkey && this.config.mode !== "wake-word" ? new Hotkey(this.config.hotkey) : null
+    this.handleKey = this.handleKey.bind(this)
+    this.observer = null
+    this.permission = "unknown"
+    this.permissionStatus = null
+    this.config.wakeModels = (config.wakeModels?.length ? config.wakeModels : [this.config.wakeModel])
+      .map(definition => wakeWord(definition, this.config.confidence))
+    this.wakeWord = null
+    this.wakeDetector = this.config.mode === "push-to-talk" ? new ManualWake() : new WakeWordDetector(
       this.config.basePath,
-      this.config.wakeModel,
-      this.config.confidence,
+      this.config.wakeModels,
       this.config.onError,
-      this.config.debug
+      this.config.debug,
+      {
+        worker: this.config.worker,
+        source: this.config.audioSource,
+        deviceId: this.config.deviceId,
+        onDeviceChange: (device) => this.config.onDeviceChange?.(device),
+        modelVersion: this.config.modelVersion,
+        cacheModels: this.config.cacheModels,
+        onProgress: (progress) => this.config.onModelProgress?.(progress)
+      }
     )
-    this.commandRecognizer = new CommandRecognizer(this.config.lang, this.config.onError, this.config.debug)
+    this.recognizer = this.createRecognizer()
+    this.shared = null
+    this.commandRecognizer = new CommandRecognizer(this.config.lang, this.config.onError, this.config.debug, {
+      engine: this.recognizer,
+      maxAlternatives: this.config.maxAlternatives,
+      minConfidence: this.config.recognitionConfidence,
+      threshold: this.config.matchThreshold,
+      minCoverage: this.config.minCoverage,
+      interim: this.config.interimResults,
+      stability: this.config.interimStability,
+      delay: this.config.sequenceDelay,
+      confirm: (step) => this.confirm(step),
+      muted: () => this.shared?.muted ?? false,
+      onHearing: () => this.resultHeard(),
+      onTranscript: (heard) => this.config.onTranscript?.(heard),
+      onUnrecognized: (heard) => this.config.onUnrecognized?.(heard)
+    })
+    this.feedback = new Feedback({
+      earcons: this.config.earcons,
+      lang: this.config.lang,
+      volume: this.config.feedbackVolume,
+      debug: this.config.debug
+    })
 
+    // Only measured when something shows it; the wake detector feeds it through the shared engine
+    this.meter = this.config.meterInterval > 0 ? new Meter(this.config.meterInterval, {
+      onLevel: (level) => this.config.onLevel?.(level),
+      onWakeScore: (score) => this.config.onWakeScore?.(score)
+    }) : null
+
+    // Push-to-talk has no audio of its own to listen to, and listens until released anyway
+    this.vad = this.config.vad && this.config.mode !== "push-to-talk" ? new VoiceActivity({
+      threshold: this.config.vadThreshold,
+      onSpeechStart: () => this.speechStarted(),
+      onSpeechEnd: () => this.speechEnded()
+    }) : null
+
+    this.synonyms = synonymTable(this.config.synonyms)
     this.discoverCommands()
   }
 
@@ -295,6 +1075,25 @@ export default class SpeakThen {
     if (this.config.debug) console.log("[SpeakThen]", ...args)
   }
 
+  createRecognizer() {
+    const { recognizer } = this.config
+    if (typeof recognizer === "object") return recognizer
+
+    switch (recognizer) {
+      case "web-speech":
+        return new WebSpeechRecognizer()
+      case "keyword":
+        return new KeywordRecognizer({
+          basePath: this.config.basePath,
+          models: this.config.keywordModels,
+          confidence: this.config.keywordConfidence,
+          debug: this.config.debug
+        })
+      default:
+        throw new Error(`Unknown recognizer "${recognizer}". Use "web-speech", "keyword" or a recognizer object.`)
+    }
+  }
+
   discoverCommands() {
     this.log("Discovering commands from data-action attributes")
     const elements = this.element.querySelectorAll("[data-action]")
@@ -302,66 +1101,503 @@ export default class SpeakThen {
     elements.forEach(el => {
       const actions = el.dataset.action.split(/\s+/)
       actions.forEach(action => {
-        const match = action.match(/^speak:([^->]+)/)
+        const match = action.match(/^speak:([^->]+)(?:->([^#]+)#)?/)
         if (match) {
-          const phrase = match[1].replace(/_/g, " ")
-          this.commandRecognizer.register(phrase, el)
+          const [, name, identifier] = match
+          // The action name stays the command's identity in every language, for scopes,
+          // synonyms and detail.phrase; what was actually said is reported as the alias
+          const canonical = phraseFor(name.split("|")[0])
+          const phrases = new Set([...this.phrasesFor(el, name), ...this.synonyms.get(phraseKey(canonical)) ?? []])
+          phrases.forEach(phrase => this.commandRecognizer.register(phrase, el, { name, identifier, canonical }))
         }
       })
     })
     this.log("Commands discovered:", Array.from(this.commandRecognizer.commands.keys()))
   }
 
+  // Phrases for the current language (data-speak-then-phrases-fr="suivant, page suivante") replace
+  // the action name. Otherwise speak:next|skip|forward registers "skip" and "forward" as aliases of "next".
+  phrasesFor(element, name) {
+    for (const key of localeKeys("speakThenPhrases", this.config.lang)) {
+      const phrases = listedPhrases(element, key, name)
+      if (phrases.length > 0) return phrases
+    }
+    return [...name.split("|").map(phraseFor), ...listedPhrases(element, "speakThenAliases", name)]
+  }
+
+  refresh() {
+    this.commandRecognizer.clear()
+    this.discoverCommands()
+  }
+
+  observe() {
+    if (this.observer || typeof MutationObserver === "undefined") return
+
+    // Turbo Frames/Streams and client-side rendering add and remove speak: actions after connect
+    this.observer = new MutationObserver((mutations) => {
+      if (mutations.some(m => this.affectsCommands(m))) this.refresh()
+    })
+    this.observer.observe(this.element, { subtree: true, childList: true, attributes: true })
+  }
+
+  unobserve() {
+    this.observer?.disconnect()
+    this.observer = null
+  }
+
+  affectsCommands(mutation) {
+    // Per-locale attribute names are open-ended, so attributes can't be filtered up front
+    if (mutation.type === "attributes") return /^data-(action$|speak-then-(aliases|phrases))/.test(mutation.attributeName)
+
+    const nodes = [...mutation.addedNodes, ...mutation.removedNodes]
+    return nodes.some(node =>
+      node.nodeType === Node.ELEMENT_NODE &&
+      (node.hasAttribute("data-action") || node.querySelector("[data-action]"))
+    )
+  }
+
   async start() {
-    if (this.started) {
+    if (!TRANSITIONS[this.state].includes("loading")) {
       throw new Error("SpeakThen already started. Call stop() first.")
     }
 
     this.log("Starting SpeakThen with config:", {
       basePath: this.config.basePath,
-      wakeModel: this.config.wakeModel,
+      wakeModels: this.config.wakeModels.map(w => w.name),
       confidence: this.config.confidence,
       sleepAfter: this.config.sleepAfter,
-      lang: this.config.lang
+      lang: this.config.lang,
+      recognizer: this.config.recognizer
     })
 
-    await this.wakeDetector.initialize()
-    await this.wakeDetector.start(() => {
-      this.wake()
-    })
-    this.started = true
+    this.refresh()
+    this.observe()
+    this.transition("loading")
+
+    const permission = this.permission
+    const shared = SharedEngine.acquire(this.engineKey(), this.wakeDetector)
+    this.shared = shared
+    shared.subscribe(this)
+    this.wakeDetector = shared.detector
+    const engine = shared.recognizer(this.recognizerKey(), this.recognizer)
+    this.commandRecognizer.engine = engine
+    // stop() while loading or waiting on the microphone ends the start quietly
+    const stopped = () => this.shared !== shared
+
+    try {
+      await Promise.all([
+        shared.initialize(),
+        engine.initialize?.({ detector: this.wakeDetector })
+      ])
+      if (stopped()) return
+      this.config.onModelsLoaded?.()
+      const prompts = this.config.mode !== "push-to-talk" && this.config.audioSource === "microphone"
+      if (prompts && permission !== "granted" && !shared.started) {
+        this.transition("permission")
+      }
+      await shared.start(this)
+      if (stopped()) return
+    } catch (error) {
+      if (stopped()) return
+      this.teardown()
+      this.transition("error")
+      if (error.name === "NotAllowedError") {
+        // A start() that was already blocked is reported again so the UI can explain why
+        if (permission === "denied") this.config.onPermissionChange?.("denied", error)
+        else this.setPermission("denied", error)
+      }
+      throw error
+    }
+
+    if (this.wakeDetector.ownsStream) this.setPermission("granted")
+    this.listenForHotkey()
+    this.transition("sleeping")
     this.log("SpeakThen started, listening for wake word")
   }
 
-  wake() {
-    if (this.state === "awake") return
-    this.log("Waking up!")
-    this.state = "awake"
-    this.wakeDetector.pause()
-    this.config.onWake?.()
-    this.commandRecognizer.start(() => this.resetSleepTimer())
+  // Detection stopped for good after starting; the error was already reported through onError.
+  // start() can try again.
+  fail(error) {
+    if (!this.started) return
+    this.log("Failed:", error.message)
+    this.teardown()
+    this.transition("error")
+  }
+
+  // Instances share an engine when everything the wake word detector depends on matches
+  engineKey() {
+    const { basePath, wakeModels, worker, audioSource, modelVersion, cacheModels, mode } = this.config
+    return JSON.stringify({
+      manual: mode === "push-to-talk",
+      basePath,
+      wakeModels: wakeModels.map(({ name, model, confidence }) => ({ name, model, confidence })),
+      worker,
+      // Pushed audio belongs to one instance; streams and nodes are shared by identity
+      audioSource: audioSource === "microphone" ? audioSource : identify(audioSource === "push" ? this : audioSource),
+      modelVersion,
+      cacheModels
+    })
+  }
+
+  recognizerKey() {
+    const { recognizer, lang, maxAlternatives, keywordModels, keywordConfidence } = this.config
+    if (typeof recognizer === "object") return null
+    return JSON.stringify({ recognizer, lang, maxAlternatives, keywordModels, keywordConfidence })
+  }
+
+  // Downloads and caches the models before any controller connects, so start() only reads
+  // them from the cache. Takes the same config as the constructor.
+  static async preload(config = {}) {
+    const { wakeDetector } = new SpeakThen(document.createElement("div"), config)
+    await wakeDetector.fetchModels()
+  }
+
+  get started() {
+    return this.state === "sleeping" || this.listening
+  }
+
+  // Awake, or waiting for a yes or no
+  get listening() {
+    return this.state === "awake" || this.state === "confirming"
+  }
+
+  // Moves along TRANSITIONS and reports the change; returns false for a transition that isn't allowed
+  transition(to) {
+    const from = this.state
+    if (!TRANSITIONS[from].includes(to)) return false
+
+    this.log("State:", from, "->", to)
+    this.state = to
+    this.config.onStateChange?.({ from, to })
+    return true
+  }
+
+  // Resolves to "granted", "denied", "prompt" or "unknown" where the microphone permission
+  // can't be queried, and keeps this.permission current as the user changes it
+  async watchPermission() {
+    if (this.permissionStatus || !navigator.permissions?.query) return this.permission
+
+    try {
+      this.permissionStatus = await navigator.permissions.query({ name: "microphone" })
+    } catch {
+      // Some browsers don't know the "microphone" permission name
+      return this.permission
+    }
+
+    this.permissionStatus.onchange = () => this.setPermission(this.permissionStatus.state)
+    this.setPermission(this.permissionStatus.state)
+    return this.permission
+  }
+
+  unwatchPermission() {
+    if (this.permissionStatus) this.permissionStatus.onchange = null
+    this.permissionStatus = null
+  }
+
+  setPermission(state, error = null) {
+    if (state === this.permission) return
+    this.log("Microphone permission:", state)
+    this.permission = state
+    this.config.onPermissionChange?.(state, error)
+  }
+
+  pushAudio(samples, sampleRate) {
+    this.wakeDetector.pushAudio(samples, sampleRate)
+  }
+
+  listDevices() {
+    return this.wakeDetector.listDevices()
+  }
+
+  async setDevice(deviceId) {
+    this.config.deviceId = deviceId || null
+    await this.wakeDetector.setDevice(deviceId)
+  }
+
+  // Switches recognition, phrases and spoken feedback to lang without a restart
+  async setLang(lang) {
+    if (!lang || lang === this.config.lang) return
+    this.log("Switching language to", lang)
+    this.config.lang = lang
+    this.commandRecognizer.lang = lang
+    this.feedback.lang = lang
+    this.refresh()
+    if (!this.shared) return
+
+    // Recognizers are shared per language, so move to the one for lang
+    const { engine: previous, onSpeech, running } = this.commandRecognizer
+    if (running) this.commandRecognizer.stop()
+    if (typeof this.config.recognizer !== "object") this.recognizer = this.createRecognizer()
+    const engine = this.shared.recognizer(this.recognizerKey(), this.recognizer)
+    this.commandRecognizer.engine = engine
+    if (engine !== previous) await engine.initialize?.({ detector: this.wakeDetector })
+    if (running && this.listening) this.commandRecognizer.start(onSpeech)
+  }
+
+  wake(wakeWord = null, score = null) {
+    if (this.state !== "sleeping") return
+    this.log("Waking up!", wakeWord ?? "")
+    this.wakeWord = wakeWord
+    this.shared.pause(this)
+    this.commandRecognizer.scope = this.scopeFor(wakeWord)
+    this.transition("awake")
+    this.config.onWake?.({ wakeWord, score })
+    this.commandRecognizer.start((transcript, match) => this.heard(match))
+    this.vad?.reset()
     this.resetSleepTimer()
+    this.announce("wake")
+  }
+
+  heard(match) {
+    this.resetSleepTimer()
+    // A command waiting for a yes or no hasn't run yet
+    if (match) this.announce("match", this.confirmation ? null : confirmation(match, this.config.lang))
+    else this.announce("unrecognized")
+  }
+
+  // Asks "are you sure?" before a command marked data-speak-then-confirm runs, and listens
+  // for a yes or no until confirmTimeout. Resolves to whether the command should run.
+  confirm(step) {
+    if (this.state !== "awake") return Promise.resolve(false)
+
+    const [{ element, canonical }] = step.entries
+    const detail = { phrase: canonical, question: question(step, this.config.lang), element, transcript: step.transcript }
+    this.log("Asking:", detail.question)
+
+    return new Promise(resolve => {
+      this.confirmation = { detail, resolve }
+      this.confirmTimer = setTimeout(() => this.settle("timeout"), this.config.confirmTimeout)
+      this.commandRecognizer.answer = (alternatives) => {
+        const said = alternatives.map(({ transcript }) => answer(transcript, this.config.lang)).find(a => a !== null)
+        if (said !== undefined) this.settle(said ? "confirmed" : "cancelled")
+      }
+      clearTimeout(this.sleepTimer)
+      this.transition("confirming")
+      this.config.onConfirmationPending?.(detail)
+      if (this.config.speakQuestions) this.announce(null, detail.question)
+    })
+  }
+
+  // Answers the pending question from the page, e.g. from buttons in a confirmation dialog
+  answer(confirmed) {
+    this.settle(confirmed ? "confirmed" : "cancelled")
+  }
+
+  // Resolves the pending question with "confirmed", "cancelled" or "timeout". Going back to
+  // awake is left to the caller when it is about to sleep or stop anyway.
+  settle(result, resume = true) {
+    const { confirmation } = this
+    if (!confirmation) return
+
+    this.log("Answer:", result)
+    this.confirmation = null
+    clearTimeout(this.confirmTimer)
+    this.commandRecognizer.answer = null
+    if (resume && this.state === "confirming") {
+      this.transition("awake")
+      // Push-to-talk waited for the answer after the key was let go
+      if (this.config.mode === "push-to-talk" && !this.held) this.sleep()
+      else this.resetSleepTimer()
+    }
+    this.config.onConfirmationResolved?.({ ...confirmation.detail, result })
+    confirmation.resolve(result === "confirmed")
+  }
+
+  // Plays the earcon for kind, then says text, while the engine ignores what the microphone hears
+  async announce(kind, text = null) {
+    if (!this.feedback.has(kind) && !text) return
+
+    const { shared } = this
+    shared?.mute()
+    try {
+      await this.feedback.play(kind)
+      if (text) await this.feedback.say(text)
+    } catch (e) {
+      console.warn("Could not play feedback:", e.message)
+    } finally {
+      shared?.unmute()
+    }
+    // Feedback shouldn't use up the time left to speak the next command
+    if (this.state === "awake") this.resetSleepTimer()
+  }
+
+  // A wake word can limit listening to a subtree (scope: selector) and/or a list of phrases (commands)
+  scopeFor(name) {
+    const wakeWord = this.config.wakeModels.find(w => w.name === name)
+    if (!wakeWord?.scope && !wakeWord?.commands) return null
+
+    const phrases = wakeWord.commands?.map(command => command.replace(/_/g, " ").toLowerCase())
+    return (entry, phrase) => {
+      if (phrases && !phrases.includes(phrase)) return false
+      if (!wakeWord.scope) return true
+
+      const root = entry.element.closest(wakeWord.scope)
+      return root !== null && this.element.contains(root)
+    }
+  }
+
+  // Push-to-talk listens until sleep() or release() instead, and dictation until it stops
+  get timed() {
+    return !this.held && !this.dictation && !this.confirmation && this.config.mode !== "push-to-talk"
+  }
+
+  // Writes what is heard into field (the focused one by default) until the stop phrase,
+  // stopDictating() or sleep(). Returns false when there is nothing to write into.
+  dictate(field = document.activeElement) {
+    if (!this.started) return false
+    if (this.config.recognizer === "keyword") {
+      const error = new Error("Dictation needs a speech-to-text recognizer, not \"keyword\"")
+      console.error(error.message)
+      this.config.onError?.(error)
+      return false
+    }
+    if (!isTextField(field)) {
+      console.warn("Nothing to dictate into:", field)
+      return false
+    }
+
+    this.stopDictating()
+    this.wake()
+    this.log("Dictating into", field)
+    this.dictation = new Dictation(field, {
+      lang: this.config.lang,
+      stopPhrase: this.config.dictationStop,
+      onStop: () => this.stopDictating()
+    })
+    this.commandRecognizer.dictate(this.dictation)
+    clearTimeout(this.sleepTimer)
+    this.config.onDictationStart?.({ field })
+    return true
+  }
+
+  stopDictating() {
+    const { dictation } = this
+    if (!dictation) return
+
+    this.dictation = null
+    this.commandRecognizer.dictate(null)
+    const text = dictation.finish()
+    this.log("Stopped dictating:", text)
+    this.config.onDictationEnd?.({ field: dictation.field, text })
+    if (this.state === "awake") this.resetSleepTimer()
+  }
+
+  // Wakes and keeps listening until release(), for push-to-talk keys and buttons
+  hold() {
+    if (!this.started) return
+    this.held = true
+    clearTimeout(this.sleepTimer)
+    this.wake()
+  }
+
+  release() {
+    if (!this.held) return
+    this.held = false
+    // A pending question keeps listening for its answer
+    if (!this.confirmation) this.sleep()
+  }
+
+  listenForHotkey() {
+    if (!this.hotkey) return
+    window.addEventListener("keydown", this.handleKey)
+    window.addEventListener("keyup", this.handleKey)
+    // The key up is lost when the window loses focus mid-press
+    window.addEventListener("blur", this.handleKey)
+  }
+
+  unlistenForHotkey() {
+    window.removeEventListener("keydown", this.handleKey)
+    window.removeEventListener("keyup", this.handleKey)
+    window.removeEventListener("blur", this.handleKey)
+  }
+
+  handleKey(event) {
+    if (event.type === "blur") return this.release()
+
+    if (event.type === "keydown" && this.hotkey.matches(event)) {
+      event.preventDefault()
+      if (!event.repeat) this.hold()
+    } else if (event.type === "keyup" && this.hotkey.releases(event)) {
+      this.release()
+    }
   }
 
   resetSleepTimer() {
+    this.heardAt = Date.now()
+    this.startSleepTimer(this.vad?.speaking ? this.config.sleepAfter : this.sleepDelay)
+  }
+
+  startSleepTimer(delay) {
     clearTimeout(this.sleepTimer)
-    this.sleepTimer = setTimeout(() => this.sleep(), this.config.sleepAfter)
+    if (!this.timed) return
+    this.sleepTimer = setTimeout(() => this.sleep(), delay)
+  }
+
+  // With voice activity detection, the silence before the user says anything and the silence
+  // after they stop are timed separately, and speech keeps the session awake
+  get sleepDelay() {
+    if (!this.vad || this.commandRecognizer.hearing) return this.config.sleepAfter
+    return this.vad.spoke ? this.config.trailingSilence : this.config.initialSilence
+  }
+
+  // Interim results are speech too, and the session stays up until the final result arrives,
+  // which would be lost if it slept first. sleepAfter still bounds the wait, in case the
+  // recognizer never sends one.
+  resultHeard() {
+    if (this.state === "awake") this.resetSleepTimer()
+  }
+
+  // Speech only keeps the session awake until sleepAfter has passed without a result, so
+  // noise above the threshold (a TV, a fan) doesn't keep it listening
+  get speechLeft() {
+    return Math.max(0, this.heardAt + this.config.sleepAfter - Date.now())
+  }
+
+  speechStarted() {
+    if (this.state === "awake") this.startSleepTimer(this.speechLeft)
+  }
+
+  speechEnded() {
+    if (this.state === "awake") this.startSleepTimer(Math.min(this.sleepDelay, this.speechLeft))
   }
 
   sleep() {
-    if (this.state === "sleeping") return
-    this.log("Going to sleep after", this.config.sleepAfter, "ms of silence")
-    this.state = "sleeping"
+    if (!this.listening) return
+    this.log("Going to sleep after", this.sleepDelay, "ms of silence")
+    clearTimeout(this.sleepTimer)
+    this.held = false
+    this.stopDictating()
+    this.settle("cancelled", false)
+    this.transition("sleeping")
+    this.wakeWord = null
     this.commandRecognizer.stop()
+    this.commandRecognizer.scope = null
     this.config.onSleep?.()
-    this.wakeDetector.resume()
+    this.shared.resume(this)
+    this.announce("sleep")
   }
 
   stop() {
     this.log("Stopping SpeakThen")
+    this.teardown()
+    this.transition("stopped")
+  }
+
+  teardown() {
     clearTimeout(this.sleepTimer)
+    this.held = false
+    this.stopDictating()
+    this.settle("cancelled", false)
+    this.unlistenForHotkey()
+    if (this.listening) {
+      this.wakeWord = null
+      this.commandRecognizer.scope = null
+      this.config.onSleep?.()
+    }
+    this.unobserve()
     this.commandRecognizer.stop()
-    this.wakeDetector.stop()
-    this.started = false
+    this.feedback.stop()
+    this.shared?.unsubscribe(this)
+    this.shared = null
   }
 }
@@ -1,17 +1,26 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest"
+import * as ort from "onnxruntime-web"
 import SpeakThen from "./speak_then.js"
+import { WebSpeechRecognizer, KeywordRecognizer } from "./recognizers.js"
+import { clearModelDownloads } from "./model_cache.js"
+
+// Mocked downloads contain their own URL, so sessions can tell which model they were given
+const modelUrl = (bytes) => new TextDecoder().decode(bytes)
+
+const mockSession = () => ({
+  run: vi.fn().mockResolvedValue({
+    output: { data: new Float32Array(32) },
+    conv2d_19: { data: new Float32Array(96) },
+    dense: { data: new Float32Array([0.3]) }
+  })
+})
 
 vi.mock("onnxruntime-web", () => ({
   InferenceSession: {
-    create: vi.fn().mockResolvedValue({
-      run: vi.fn().mockResolvedValue({
-        output: { data: new Float32Array(32) },
-        conv2d_19: { data: new Float32Array(96) },
-        dense: { data: new Float32Array([0.3]) }
-      })
-    })
+    create: vi.fn()
   },
-  Tensor: vi.fn((type, data, shape) => ({ type, data, shape }))
+  Tensor: vi.fn(),
+  env: { wasm: {} }
 }))
 
 let mockMediaStream
@@ -30,6 +39,11 @@ const mockSpeechRecognition = vi.fn(() => ({
 }))
 
 function setupBrowserMocks() {
+  clearModelDownloads()
+  global.fetch = vi.fn(async (url) => new Response(url))
+  ort.InferenceSession.create.mockImplementation(async () => mockSession())
+  ort.Tensor.mockImplementation((type, data, shape) => ({ type, data, shape }))
+
   mockMediaStream = {
     getTracks: () => [{ stop: vi.fn() }]
   }
@@ -45,13 +59,16 @@ function setupBrowserMocks() {
     audioWorklet: {
       addModule: vi.fn().mockResolvedValue(undefined)
     },
-    createMediaStreamSource: vi.fn(() => ({ connect: vi.fn() })),
+    createMediaStreamSource: vi.fn(() => ({ connect: vi.fn(), disconnect: vi.fn() })),
     close: vi.fn()
   }
 
   global.navigator = {
     mediaDevices: {
-      getUserMedia: vi.fn().mockResolvedValue(mockMediaStream)
+      getUserMedia: vi.fn().mockResolvedValue(mockMediaStream),
+      enumerateDevices: vi.fn().mockResolvedValue([]),
+      addEventListener: vi.fn(),
+      removeEventListener: vi.fn()
     }
   }
 
@@ -59,10 +76,9 @@ function setupBrowserMocks() {
   global.AudioWorkletNode = vi.fn(() => mockAudioWorkletNode)
 
   // jsdom doesn't have createObjectURL/revokeObjectURL
-  vi.stubGlobal("URL", {
-    ...URL,
-    createObjectURL: vi.fn(() => "blob:mock"),
-    revokeObjectURL: vi.fn()
+  vi.stubGlobal("URL", class extends URL {
+    static createObjectURL = vi.fn(() => "blob:mock")
+    static revokeObjectURL = vi.fn()
   })
 
   global.SpeechRecognition = mockSpeechRecognition
@@ -128,6 +144,55 @@ describe("SpeakThen", () => {
     })
   })
 
+  describe("recognizer", () => {
+    it("uses the Web Speech API by default", () => {
+      const speakThen = new SpeakThen(element)
+
+      expect(speakThen.commandRecognizer.engine).toBeInstanceOf(WebSpeechRecognizer)
+    })
+
+    it("creates an on-device keyword recognizer", () => {
+      const speakThen = new SpeakThen(element, {
+        recognizer: "keyword",
+        keywordModels: { next: "next.onnx" },
+        keywordConfidence: 0.7
+      })
+
+      expect(speakThen.commandRecognizer.engine).toBeInstanceOf(KeywordRecognizer)
+      expect(speakThen.commandRecognizer.engine).toMatchObject({ models: { next: "next.onnx" }, confidence: 0.7 })
+    })
+
+    it("throws for an unknown recognizer", () => {
+      expect(() => new SpeakThen(element, { recognizer: "whisper" })).toThrow("Unknown recognizer")
+    })
+
+    it("accepts a custom recognizer object", async () => {
+      element.innerHTML = `
+        <button data-action="speak:next->player#next">Next</button>
+      `
+      const handler = vi.fn()
+      element.addEventListener("speak:next", handler)
+      const recognizer = {
+        initialize: vi.fn(),
+        start: vi.fn(),
+        stop: vi.fn()
+      }
+      speakThenInstance = new SpeakThen(element, { recognizer })
+      await speakThenInstance.start()
+
+      expect(recognizer.initialize).toHaveBeenCalledWith({ detector: speakThenInstance.wakeDetector })
+
+      speakThenInstance.wake()
+      expect(recognizer.start).toHaveBeenCalledWith(expect.objectContaining({ lang: "en-US", maxAlternatives: 3 }))
+
+      recognizer.start.mock.calls[0][0].onResult({ alternatives: [{ transcript: "Next" }], final: true })
+      expect(handler).toHaveBeenCalled()
+
+      speakThenInstance.sleep()
+      expect(recognizer.stop).toHaveBeenCalled()
+    })
+  })
+
   describe("command discovery", () => {
     it("discovers speak: actions from child elements", () => {
       element.innerHTML = `
@@ -171,6 +236,173 @@ describe("SpeakThen", () => {
       expect(speakThen.commandRecognizer.commands.has("next")).toBe(true)
       expect(speakThen.commandRecognizer.commands.size).toBe(1)
     })
+
+    describe("aliases", () => {
+      const canonicals = (speakThen, phrase) => speakThen.commandRecognizer.commands.get(phrase)?.map(entry => entry.canonical)
+
+      it("registers aliases from the action name", () => {
+        element.innerHTML = `
+          <button data-action="speak:next|skip|move_forward->player#next">Next</button>
+        `
+
+        const speakThen = new SpeakThen(element)
+
+        expect(canonicals(speakThen, "next")).toEqual(["next"])
+        expect(canonicals(speakThen, "skip")).toEqual(["next"])
+        expect(canonicals(speakThen, "move forward")).toEqual(["next"])
+      })
+
+      it("registers aliases from data-speak-then-aliases", () => {
+        element.innerHTML = `
+          <button data-action="speak:next->player#next" data-speak-then-aliases="skip, move_forward">Next</button>
+        `
+
+        const speakThen = new SpeakThen(element)
+
+        expect(canonicals(speakThen, "skip")).toEqual(["next"])
+        expect(canonicals(speakThen, "move forward")).toEqual(["next"])
+      })
+
+      it("picks data-speak-then-aliases per action name", () => {
+        element.innerHTML = `
+          <div data-action="speak:next->player#next speak:previous->player#previous"
+               data-speak-then-aliases='{"next": ["skip"], "previous": "back, rewind"}'></div>
+        `
+
+        const speakThen = new SpeakThen(element)
+
+        expect(canonicals(speakThen, "skip")).toEqual(["next"])
+        expect(canonicals(speakThen, "back")).toEqual(["previous"])
+        expect(canonicals(speakThen, "rewind")).toEqual(["previous"])
+      })
+
+      it("ignores invalid data-speak-then-aliases", () => {
+        vi.spyOn(console, "warn").mockImplementation(() => {})
+        element.innerHTML = `
+          <button data-action="speak:next->player#next" data-speak-then-aliases="{skip">Next</button>
+        `
+
+        const speakThen = new SpeakThen(element)
+
+        expect([...speakThen.commandRecognizer.commands.keys()]).toEqual(["next"])
+        expect(console.warn).toHaveBeenCalled()
+      })
+
+      it("adds synonyms from config to every matching command", () => {
+        element.innerHTML = `
+          <button data-action="speak:play_music->player#play">Play</button>
+        `
+
+        const speakThen = new SpeakThen(element, { synonyms: { play_music: ["start the music"] } })
+
+        expect(canonicals(speakThen, "start the music")).toEqual(["play music"])
+      })
+
+      it("registers each alias once", () => {
+        element.innerHTML = `
+          <button data-action="speak:next|skip->player#next" data-speak-then-aliases="skip">Next</button>
+        `
+
+        const speakThen = new SpeakThen(element, { synonyms: { next: ["skip"] } })
+
+        expect(speakThen.commandRecognizer.commands.get("skip")).toHaveLength(1)
+      })
+    })
+  })
+
+  describe("live discovery", () => {
+    const mutationsFlushed = () => new Promise(resolve => setTimeout(resolve, 0))
+
+    it("registers speak: actions added after start", async () => {
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.start()
+
+      element.insertAdjacentHTML("beforeend", `
+        <button data-action="speak:next->player#next">Next</button>
+      `)
+      await mutationsFlushed()
+
+      expect(speakThenInstance.commandRecognizer.commands.has("next")).toBe(true)
+    })
+
+    it("unregisters removed elements", async () => {
+      element.innerHTML = `
+        <button data-action="speak:next->player#next">Next</button>
+        <button data-action="speak:pause->player#pause">Pause</button>
+      `
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.start()
+
+      element.querySelector("button").remove()
+      await mutationsFlushed()
+
+      expect(speakThenInstance.commandRecognizer.commands.has("next")).toBe(false)
+      expect(speakThenInstance.commandRecognizer.commands.has("pause")).toBe(true)
+    })
+
+    it("follows edits to data-action", async () => {
+      element.innerHTML = `
+        <button data-action="speak:next->player#next">Next</button>
+      `
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.start()
+
+      element.querySelector("button").dataset.action = "speak:skip->player#next"
+      await mutationsFlushed()
+
+      expect(speakThenInstance.commandRecognizer.commands.has("next")).toBe(false)
+      expect(speakThenInstance.commandRecognizer.commands.has("skip")).toBe(true)
+    })
+
+    it("ignores mutations without speak: actions", async () => {
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.start()
+      const refresh = vi.spyOn(speakThenInstance, "refresh")
+
+      element.insertAdjacentHTML("beforeend", "<p>Status</p>")
+      await mutationsFlushed()
+
+      expect(refresh).not.toHaveBeenCalled()
+    })
+
+    it("ignores attribute changes that don't affect commands", async () => {
+      element.innerHTML = `
+        <button data-action="speak:next->player#next">Next</button>
+      `
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.start()
+      const refresh = vi.spyOn(speakThenInstance, "refresh")
+
+      element.querySelector("button").classList.add("active")
+      await mutationsFlushed()
+
+      expect(refresh).not.toHaveBeenCalled()
+    })
+
+    it("stops following the DOM after stop()", async () => {
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.start()
+      speakThenInstance.stop()
+
+      element.insertAdjacentHTML("beforeend", `
+        <button data-action="speak:next->player#next">Next</button>
+      `)
+      await mutationsFlushed()
+
+      expect(speakThenInstance.commandRecognizer.commands.has("next")).toBe(false)
+    })
+
+    it("re-discovers commands on refresh()", () => {
+      const speakThen = new SpeakThen(element)
+
+      element.innerHTML = `
+        <button data-action="speak:next->player#next">Next</button>
+      `
+      speakThen.refresh()
+
+      expect(speakThen.commandRecognizer.commands.has("next")).toBe(true)
+      expect(speakThen.commandRecognizer.commands.get("next")).toHaveLength(1)
+    })
   })
 
   describe("start()", () => {
@@ -181,6 +413,32 @@ describe("SpeakThen", () => {
       await expect(speakThenInstance.start()).rejects.toThrow("already started")
     })
 
+    it("stops cleanly while loading models", async () => {
+      speakThenInstance = new SpeakThen(element)
+
+      const starting = speakThenInstance.start()
+      speakThenInstance.stop()
+
+      await expect(starting).resolves.toBeUndefined()
+      expect(speakThenInstance.state).toBe("stopped")
+      expect(navigator.mediaDevices.getUserMedia).not.toHaveBeenCalled()
+    })
+
+    it("stops cleanly while waiting for the microphone", async () => {
+      let allow
+      navigator.mediaDevices.getUserMedia.mockReturnValueOnce(new Promise(resolve => { allow = resolve }))
+      speakThenInstance = new SpeakThen(element)
+
+      const starting = speakThenInstance.start()
+      await vi.waitFor(() => expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalled())
+      speakThenInstance.stop()
+      allow(mockMediaStream)
+
+      await expect(starting).resolves.toBeUndefined()
+      expect(speakThenInstance.state).toBe("stopped")
+      expect(speakThenInstance.wakeDetector.initialized).toBe(false)
+    })
+
     it("requests microphone access", async () => {
       speakThenInstance = new SpeakThen(element)
       await speakThenInstance.start()
@@ -194,134 +452,2809 @@ describe("SpeakThen", () => {
     })
   })
 
-  describe("stop()", () => {
-    it("allows restart after stop", async () => {
+  describe("models", () => {
+    it("reports download progress and when models are loaded", async () => {
+      const onModelProgress = vi.fn()
+      const onModelsLoaded = vi.fn()
+      speakThenInstance = new SpeakThen(element, { onModelProgress, onModelsLoaded })
+      await speakThenInstance.start()
+
+      expect(onModelProgress).toHaveBeenCalledWith(expect.objectContaining({ loaded: expect.any(Number), total: expect.any(Number) }))
+      expect(onModelsLoaded).toHaveBeenCalledTimes(1)
+    })
+
+    it("downloads models once for every instance on the page", async () => {
       speakThenInstance = new SpeakThen(element)
       await speakThenInstance.start()
       speakThenInstance.stop()
 
-      await expect(speakThenInstance.start()).resolves.not.toThrow()
+      await new SpeakThen(element).wakeDetector.initialize()
+
+      expect(fetch).toHaveBeenCalledTimes(3)
     })
-  })
 
-  describe("state transitions", () => {
-    it("transitions to awake on wake()", async () => {
-      const onWake = vi.fn()
-      speakThenInstance = new SpeakThen(element, { onWake })
+    it("preloads models before any instance starts", async () => {
+      await SpeakThen.preload({ wakeModels: ["hey_jarvis_v0.1.onnx", "hey_mycroft_v0.1.onnx"] })
+      expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+        "/models/melspectrogram.onnx",
+        "/models/embedding_model.onnx",
+        "/models/hey_jarvis_v0.1.onnx",
+        "/models/hey_mycroft_v0.1.onnx"
+      ])
+      expect(ort.InferenceSession.create).not.toHaveBeenCalled()
+
+      speakThenInstance = new SpeakThen(element, { wakeModels: ["hey_jarvis_v0.1.onnx", "hey_mycroft_v0.1.onnx"] })
       await speakThenInstance.start()
 
-      speakThenInstance.wake()
-
-      expect(speakThenInstance.state).toBe("awake")
-      expect(onWake).toHaveBeenCalled()
+      expect(fetch).toHaveBeenCalledTimes(4)
     })
 
-    it("does not re-wake if already awake", async () => {
-      const onWake = vi.fn()
-      speakThenInstance = new SpeakThen(element, { onWake })
+    it("keys downloads by model version", async () => {
+      await SpeakThen.preload({ modelVersion: "2" })
+
+      speakThenInstance = new SpeakThen(element, { modelVersion: "3" })
       await speakThenInstance.start()
 
-      speakThenInstance.wake()
-      speakThenInstance.wake()
+      expect(fetch).toHaveBeenCalledTimes(6)
+    })
+  })
 
-      expect(onWake).toHaveBeenCalledTimes(1)
+  describe("shared engine", () => {
+    let other
+    let second
+
+    beforeEach(() => {
+      element.innerHTML = '<button data-action="speak:next->player#next">Next</button>'
+      other = document.createElement("div")
+      other.innerHTML = '<button data-action="speak:next->list#next">Next</button>'
+      second = null
     })
 
-    it("transitions to sleeping on sleep()", async () => {
-      const onSleep = vi.fn()
-      speakThenInstance = new SpeakThen(element, { onSleep })
-      await speakThenInstance.start()
+    afterEach(() => {
+      second?.stop()
+    })
 
-      speakThenInstance.wake()
-      speakThenInstance.sleep()
+    const detect = (instance) => instance.wakeDetector.onDetection({ wakeWord: "hey_jarvis", score: 0.9 })
+    const hear = (transcript) => {
+      mockSpeechRecognition.mock.results.at(-1).value.onresult({ results: [[{ transcript }]] })
+    }
 
-      expect(speakThenInstance.state).toBe("sleeping")
-      expect(onSleep).toHaveBeenCalled()
+    it("shares the microphone and sessions between instances", async () => {
+      speakThenInstance = new SpeakThen(element)
+      second = new SpeakThen(other)
+      await Promise.all([speakThenInstance.start(), second.start()])
+
+      expect(second.wakeDetector).toBe(speakThenInstance.wakeDetector)
+      expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(1)
+      expect(global.AudioContext).toHaveBeenCalledTimes(1)
+      expect(ort.InferenceSession.create).toHaveBeenCalledTimes(3)
     })
 
-    it("does not re-sleep if already sleeping", async () => {
-      const onSleep = vi.fn()
-      speakThenInstance = new SpeakThen(element, { onSleep })
-      await speakThenInstance.start()
+    it("keeps separate engines for different wake words", async () => {
+      speakThenInstance = new SpeakThen(element)
+      second = new SpeakThen(other, { wakeModel: "hey_mycroft_v0.1.onnx" })
+      await Promise.all([speakThenInstance.start(), second.start()])
 
-      speakThenInstance.sleep()
+      expect(second.wakeDetector).not.toBe(speakThenInstance.wakeDetector)
+      expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(2)
+    })
 
-      expect(onSleep).not.toHaveBeenCalled()
+    it("does not share pushed audio", async () => {
+      speakThenInstance = new SpeakThen(element, { audioSource: "push" })
+      second = new SpeakThen(other, { audioSource: "push" })
+      await Promise.all([speakThenInstance.start(), second.start()])
+
+      expect(second.wakeDetector).not.toBe(speakThenInstance.wakeDetector)
     })
-  })
 
-  describe("sleep timer", () => {
-    beforeEach(() => {
-      vi.useFakeTimers()
+    it("releases the microphone when the last instance stops", async () => {
+      const track = { stop: vi.fn() }
+      navigator.mediaDevices.getUserMedia.mockResolvedValue({ getTracks: () => [track] })
+      speakThenInstance = new SpeakThen(element)
+      second = new SpeakThen(other)
+      await speakThenInstance.start()
+      await second.start()
+
+      speakThenInstance.stop()
+      expect(track.stop).not.toHaveBeenCalled()
+
+      second.stop()
+      expect(track.stop).toHaveBeenCalled()
     })
 
-    afterEach(() => {
-      vi.useRealTimers()
+    it("starts a fresh engine after everyone stopped", async () => {
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.start()
+      speakThenInstance.stop()
+
+      second = new SpeakThen(other)
+      await second.start()
+
+      expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(2)
+      expect(second.wakeDetector.initialized).toBe(true)
     })
 
-    it("auto-sleeps after configured timeout", async () => {
-      const onSleep = vi.fn()
-      speakThenInstance = new SpeakThen(element, { sleepAfter: 3000, onSleep })
+    it("wakes every instance and keeps commands to each one's own element", async () => {
+      const player = vi.fn()
+      const list = vi.fn()
+      element.querySelector("button").addEventListener("speak:next", player)
+      other.querySelector("button").addEventListener("speak:next", list)
+      speakThenInstance = new SpeakThen(element)
+      second = new SpeakThen(other)
       await speakThenInstance.start()
+      await second.start()
+
+      detect(speakThenInstance)
+      hear("next")
 
-      speakThenInstance.wake()
       expect(speakThenInstance.state).toBe("awake")
+      expect(second.state).toBe("awake")
+      expect(player).toHaveBeenCalledTimes(1)
+      expect(list).toHaveBeenCalledTimes(1)
+    })
 
-      vi.advanceTimersByTime(3000)
+    it("runs one speech recognition for all awake instances", async () => {
+      speakThenInstance = new SpeakThen(element)
+      second = new SpeakThen(other)
+      await speakThenInstance.start()
+      await second.start()
 
-      expect(speakThenInstance.state).toBe("sleeping")
-      expect(onSleep).toHaveBeenCalled()
+      detect(speakThenInstance)
+      const [recognition] = mockSpeechRecognition.mock.results.map(r => r.value)
+
+      expect(mockSpeechRecognition).toHaveBeenCalledTimes(1)
+      speakThenInstance.sleep()
+      expect(recognition.stop).not.toHaveBeenCalled()
+      second.sleep()
+      expect(recognition.stop).toHaveBeenCalled()
     })
 
-    it("resets timer on resetSleepTimer()", async () => {
-      const onSleep = vi.fn()
-      speakThenInstance = new SpeakThen(element, { sleepAfter: 3000, onSleep })
+    it("listens for the wake word while any instance is asleep", async () => {
+      speakThenInstance = new SpeakThen(element)
+      second = new SpeakThen(other)
       await speakThenInstance.start()
+      await second.start()
+      const detector = speakThenInstance.wakeDetector
 
-      speakThenInstance.wake()
-      vi.advanceTimersByTime(2000)
+      detect(speakThenInstance)
+      expect(detector.running).toBe(false)
 
-      speakThenInstance.resetSleepTimer()
-      vi.advanceTimersByTime(2000)
+      speakThenInstance.sleep()
+      expect(detector.running).toBe(true)
 
-      expect(speakThenInstance.state).toBe("awake")
+      speakThenInstance.stop()
+      expect(detector.running).toBe(false)
+    })
 
-      vi.advanceTimersByTime(1000)
+    it("reports errors to every instance", async () => {
+      const onError = vi.fn()
+      const otherError = vi.fn()
+      speakThenInstance = new SpeakThen(element, { onError })
+      second = new SpeakThen(other, { onError: otherError })
+      await speakThenInstance.start()
+      await second.start()
 
-      expect(speakThenInstance.state).toBe("sleeping")
+      speakThenInstance.wakeDetector.onError(new Error("boom"))
+
+      expect(onError).toHaveBeenCalled()
+      expect(otherError).toHaveBeenCalled()
     })
   })
-})
 
-describe("CommandRecognizer (via SpeakThen)", () => {
-  let element
-  let speakThenInstance
+  describe("permission", () => {
+    const denied = () => Object.assign(new Error("Permission denied"), { name: "NotAllowedError" })
 
-  beforeEach(() => {
-    element = document.createElement("div")
-    speakThenInstance = null
-  })
+    it("is unknown where the Permissions API is missing", async () => {
+      speakThenInstance = new SpeakThen(element)
 
-  afterEach(() => {
-    speakThenInstance?.stop()
-  })
+      expect(await speakThenInstance.watchPermission()).toBe("unknown")
+    })
 
-  it("uses configured language", () => {
-    speakThenInstance = new SpeakThen(element, { lang: "fr-FR" })
+    it("is unknown where the microphone permission can't be queried", async () => {
+      navigator.permissions = { query: vi.fn().mockRejectedValue(new TypeError("bad name")) }
+      speakThenInstance = new SpeakThen(element)
 
-    expect(speakThenInstance.commandRecognizer.lang).toBe("fr-FR")
-  })
+      expect(await speakThenInstance.watchPermission()).toBe("unknown")
+    })
 
-  it("registers multiple elements for same phrase", () => {
-    element.innerHTML = `
-      <button data-action="speak:play->player#play">Play 1</button>
-      <button data-action="speak:play->player#playAlt">Play 2</button>
-    `
+    it("reads and watches the permission state", async () => {
+      const onPermissionChange = vi.fn()
+      const status = { state: "prompt", onchange: null }
+      navigator.permissions = { query: vi.fn().mockResolvedValue(status) }
+      speakThenInstance = new SpeakThen(element, { onPermissionChange })
 
-    speakThenInstance = new SpeakThen(element)
-    const playElements = speakThenInstance.commandRecognizer.commands.get("play")
+      expect(await speakThenInstance.watchPermission()).toBe("prompt")
+      expect(navigator.permissions.query).toHaveBeenCalledWith({ name: "microphone" })
 
-    expect(playElements).toHaveLength(2)
+      status.state = "denied"
+      status.onchange()
+
+      expect(speakThenInstance.permission).toBe("denied")
+      expect(onPermissionChange).toHaveBeenLastCalledWith("denied", null)
+    })
+
+    it("stops watching on unwatchPermission()", async () => {
+      const status = { state: "prompt", onchange: null }
+      navigator.permissions = { query: vi.fn().mockResolvedValue(status) }
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.watchPermission()
+
+      speakThenInstance.unwatchPermission()
+
+      expect(status.onchange).toBeNull()
+    })
+
+    it("is granted once the microphone opens", async () => {
+      const onPermissionChange = vi.fn()
+      speakThenInstance = new SpeakThen(element, { onPermissionChange })
+      await speakThenInstance.start()
+
+      expect(speakThenInstance.permission).toBe("granted")
+      expect(onPermissionChange).toHaveBeenCalledWith("granted", null)
+    })
+
+    it("is denied when the microphone prompt is refused", async () => {
+      const onPermissionChange = vi.fn()
+      const error = denied()
+      navigator.mediaDevices.getUserMedia.mockRejectedValue(error)
+      speakThenInstance = new SpeakThen(element, { onPermissionChange })
+
+      await expect(speakThenInstance.start()).rejects.toThrow("Permission denied")
+
+      expect(speakThenInstance.permission).toBe("denied")
+      expect(speakThenInstance.started).toBe(false)
+      expect(onPermissionChange).toHaveBeenCalledWith("denied", error)
+    })
+
+    it("reports a start() blocked by an earlier denial", async () => {
+      const onPermissionChange = vi.fn()
+      navigator.mediaDevices.getUserMedia.mockRejectedValue(denied())
+      speakThenInstance = new SpeakThen(element, { onPermissionChange })
+      await speakThenInstance.start().catch(() => {})
+
+      await speakThenInstance.start().catch(() => {})
+
+      expect(onPermissionChange).toHaveBeenCalledTimes(2)
+    })
+
+    it("can start again after a denial", async () => {
+      navigator.mediaDevices.getUserMedia.mockRejectedValueOnce(denied())
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.start().catch(() => {})
+
+      await speakThenInstance.start()
+
+      expect(speakThenInstance.started).toBe(true)
+      expect(speakThenInstance.permission).toBe("granted")
+    })
+
+    it("leaves the permission alone for supplied audio", async () => {
+      speakThenInstance = new SpeakThen(element, { audioSource: "push" })
+      await speakThenInstance.start()
+
+      expect(speakThenInstance.permission).toBe("unknown")
+    })
+  })
+
+  describe("audio sources", () => {
+    it("uses a supplied MediaStream instead of requesting the microphone", async () => {
+      const track = { stop: vi.fn() }
+      const stream = { getAudioTracks: () => [track], getTracks: () => [track] }
+      speakThenInstance = new SpeakThen(element, { audioSource: stream })
+      await speakThenInstance.start()
+
+      expect(navigator.mediaDevices.getUserMedia).not.toHaveBeenCalled()
+      expect(mockAudioContext.createMediaStreamSource).toHaveBeenCalledWith(stream)
+
+      speakThenInstance.stop()
+      expect(track.stop).not.toHaveBeenCalled()
+    })
+
+    it("stops tracks of the microphone it opened", async () => {
+      const track = { stop: vi.fn() }
+      navigator.mediaDevices.getUserMedia.mockResolvedValue({ getTracks: () => [track] })
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.start()
+
+      speakThenInstance.stop()
+
+      expect(track.stop).toHaveBeenCalled()
+    })
+
+    describe("devices", () => {
+      const microphone = (deviceId, label = "") => {
+        const track = { stop: vi.fn(), label, readyState: "live", getSettings: () => ({ deviceId }) }
+        return { track, stream: { getTracks: () => [track] } }
+      }
+
+      it("requests the configured device", async () => {
+        speakThenInstance = new SpeakThen(element, { deviceId: "usb" })
+        await speakThenInstance.start()
+
+        expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith({
+          audio: expect.objectContaining({ deviceId: { exact: "usb" } })
+        })
+      })
+
+      it("lists audio inputs only", async () => {
+        navigator.mediaDevices.enumerateDevices.mockResolvedValue([
+          { kind: "audioinput", deviceId: "usb", label: "USB" },
+          { kind: "videoinput", deviceId: "cam", label: "Camera" },
+          { kind: "audiooutput", deviceId: "speakers", label: "Speakers" }
+        ])
+        speakThenInstance = new SpeakThen(element)
+
+        const devices = await speakThenInstance.listDevices()
+
+        expect(devices.map(d => d.deviceId)).toEqual(["usb"])
+      })
+
+      it("reports the active device on start", async () => {
+        const onDeviceChange = vi.fn()
+        navigator.mediaDevices.getUserMedia.mockResolvedValue(microphone("usb", "USB Headset").stream)
+        speakThenInstance = new SpeakThen(element, { onDeviceChange })
+        await speakThenInstance.start()
+
+        expect(onDeviceChange).toHaveBeenCalledWith({ deviceId: "usb", label: "USB Headset" })
+      })
+
+      it("switches the live microphone", async () => {
+        const onDeviceChange = vi.fn()
+        const first = microphone("default")
+        const second = microphone("usb", "USB Headset")
+        navigator.mediaDevices.getUserMedia.mockResolvedValueOnce(first.stream).mockResolvedValueOnce(second.stream)
+        speakThenInstance = new SpeakThen(element, { onDeviceChange })
+        await speakThenInstance.start()
+
+        await speakThenInstance.setDevice("usb")
+
+        expect(navigator.mediaDevices.getUserMedia).toHaveBeenLastCalledWith({
+          audio: expect.objectContaining({ deviceId: { exact: "usb" } })
+        })
+        expect(first.track.stop).toHaveBeenCalled()
+        expect(mockAudioContext.createMediaStreamSource).toHaveBeenLastCalledWith(second.stream)
+        expect(mockAudioContext.createMediaStreamSource.mock.results[1].value.connect)
+          .toHaveBeenCalledWith(mockAudioWorkletNode)
+        expect(onDeviceChange).toHaveBeenLastCalledWith({ deviceId: "usb", label: "USB Headset" })
+      })
+
+      it("only remembers the device before start", async () => {
+        speakThenInstance = new SpeakThen(element)
+
+        await speakThenInstance.setDevice("usb")
+        expect(navigator.mediaDevices.getUserMedia).not.toHaveBeenCalled()
+
+        await speakThenInstance.start()
+        expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith({
+          audio: expect.objectContaining({ deviceId: { exact: "usb" } })
+        })
+      })
+
+      it("reacquires the microphone when its track ends", async () => {
+        const first = microphone("usb")
+        navigator.mediaDevices.getUserMedia.mockResolvedValueOnce(first.stream)
+        speakThenInstance = new SpeakThen(element)
+        await speakThenInstance.start()
+
+        await first.track.onended()
+
+        expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(2)
+        expect(mockAudioContext.createMediaStreamSource).toHaveBeenCalledTimes(2)
+      })
+
+      it("falls back to the default microphone when the selected one is gone", async () => {
+        const first = microphone("usb")
+        navigator.mediaDevices.getUserMedia
+          .mockResolvedValueOnce(first.stream)
+          .mockRejectedValueOnce(new Error("OverconstrainedError"))
+          .mockResolvedValueOnce(microphone("default").stream)
+        speakThenInstance = new SpeakThen(element, { deviceId: "usb" })
+        await speakThenInstance.start()
+
+        await first.track.onended()
+
+        const lastCall = navigator.mediaDevices.getUserMedia.mock.calls[2][0]
+        expect(lastCall.audio.deviceId).toBeUndefined()
+      })
+
+      it("reports when no microphone can be reacquired", async () => {
+        const onError = vi.fn()
+        const first = microphone("default")
+        navigator.mediaDevices.getUserMedia
+          .mockResolvedValueOnce(first.stream)
+          .mockRejectedValueOnce(new Error("NotFoundError"))
+        speakThenInstance = new SpeakThen(element, { onError })
+        await speakThenInstance.start()
+
+        await first.track.onended()
+
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({
+          message: "Could not reacquire microphone: NotFoundError"
+        }))
+        expect(speakThenInstance.state).toBe("error")
+        expect(speakThenInstance.shared).toBeNull()
+      })
+
+      it("can start again after losing the microphone", async () => {
+        vi.spyOn(console, "error").mockImplementation(() => {})
+        const first = microphone("default")
+        navigator.mediaDevices.getUserMedia
+          .mockResolvedValueOnce(first.stream)
+          .mockRejectedValueOnce(new Error("NotFoundError"))
+          .mockResolvedValueOnce(microphone("default").stream)
+        speakThenInstance = new SpeakThen(element)
+        await speakThenInstance.start()
+        await first.track.onended()
+
+        await speakThenInstance.start()
+
+        expect(speakThenInstance.state).toBe("sleeping")
+      })
+
+      it("reacquires when the active device is unplugged", async () => {
+        navigator.mediaDevices.getUserMedia.mockResolvedValueOnce(microphone("usb").stream)
+        speakThenInstance = new SpeakThen(element)
+        await speakThenInstance.start()
+        const [, handler] = navigator.mediaDevices.addEventListener.mock.calls.find(([type]) => type === "devicechange")
+
+        navigator.mediaDevices.enumerateDevices.mockResolvedValue([{ kind: "audioinput", deviceId: "default" }])
+        await handler()
+
+        expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(2)
+      })
+
+      it("switches back when the selected device returns", async () => {
+        navigator.mediaDevices.getUserMedia.mockResolvedValueOnce(microphone("default").stream)
+        speakThenInstance = new SpeakThen(element, { deviceId: "usb" })
+        await speakThenInstance.start()
+        const [, handler] = navigator.mediaDevices.addEventListener.mock.calls.find(([type]) => type === "devicechange")
+
+        navigator.mediaDevices.enumerateDevices.mockResolvedValue([
+          { kind: "audioinput", deviceId: "default" },
+          { kind: "audioinput", deviceId: "usb" }
+        ])
+        await handler()
+
+        expect(navigator.mediaDevices.getUserMedia).toHaveBeenLastCalledWith({
+          audio: expect.objectContaining({ deviceId: { exact: "usb" } })
+        })
+      })
+
+      it("ignores device changes that do not affect it", async () => {
+        navigator.mediaDevices.getUserMedia.mockResolvedValueOnce(microphone("usb").stream)
+        speakThenInstance = new SpeakThen(element)
+        await speakThenInstance.start()
+        const [, handler] = navigator.mediaDevices.addEventListener.mock.calls.find(([type]) => type === "devicechange")
+
+        navigator.mediaDevices.enumerateDevices.mockResolvedValue([{ kind: "audioinput", deviceId: "usb" }])
+        await handler()
+
+        expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(1)
+      })
+
+      it("reports a failure to list devices", async () => {
+        const onError = vi.fn()
+        speakThenInstance = new SpeakThen(element, { onError })
+        await speakThenInstance.start()
+        const [, handler] = navigator.mediaDevices.addEventListener.mock.calls.find(([type]) => type === "devicechange")
+
+        navigator.mediaDevices.enumerateDevices.mockRejectedValueOnce(new Error("NotAllowedError"))
+        await expect(handler()).resolves.toBeUndefined()
+
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: "Could not list microphones: NotAllowedError" }))
+        expect(speakThenInstance.state).toBe("sleeping")
+      })
+
+      it("stops watching devices on stop()", async () => {
+        speakThenInstance = new SpeakThen(element)
+        await speakThenInstance.start()
+
+        speakThenInstance.stop()
+
+        expect(navigator.mediaDevices.removeEventListener)
+          .toHaveBeenCalledWith("devicechange", speakThenInstance.wakeDetector.handleDeviceChange)
+      })
+
+      it("does not watch devices for a supplied stream", async () => {
+        const track = { stop: vi.fn() }
+        const stream = { getAudioTracks: () => [track], getTracks: () => [track] }
+        speakThenInstance = new SpeakThen(element, { audioSource: stream })
+        await speakThenInstance.start()
+
+        expect(navigator.mediaDevices.addEventListener).not.toHaveBeenCalled()
+        expect(track.onended).toBeUndefined()
+      })
+    })
+
+    describe("AudioNode", () => {
+      let node
+
+      beforeEach(() => {
+        node = { context: mockAudioContext, connect: vi.fn(), disconnect: vi.fn() }
+      })
+
+      it("connects an existing node in its own context", async () => {
+        speakThenInstance = new SpeakThen(element, { audioSource: node })
+        await speakThenInstance.start()
+
+        expect(global.AudioContext).not.toHaveBeenCalled()
+        expect(global.AudioWorkletNode).toHaveBeenCalledWith(mockAudioContext, "speak-then-frames")
+        expect(node.connect).toHaveBeenCalledWith(mockAudioWorkletNode)
+      })
+
+      it("leaves the node and its context running on stop()", async () => {
+        speakThenInstance = new SpeakThen(element, { audioSource: node })
+        await speakThenInstance.start()
+
+        speakThenInstance.stop()
+
+        expect(node.disconnect).toHaveBeenCalledWith(mockAudioWorkletNode)
+        expect(mockAudioContext.close).not.toHaveBeenCalled()
+      })
+
+      it("registers the worklet once per context", async () => {
+        speakThenInstance = new SpeakThen(element, { audioSource: node })
+        await speakThenInstance.start()
+        speakThenInstance.stop()
+        await speakThenInstance.start()
+
+        expect(mockAudioContext.audioWorklet.addModule).toHaveBeenCalledTimes(1)
+      })
+    })
+
+    describe("push", () => {
+      it("opens no capture or audio graph", async () => {
+        speakThenInstance = new SpeakThen(element, { audioSource: "push" })
+        await speakThenInstance.start()
+
+        expect(navigator.mediaDevices.getUserMedia).not.toHaveBeenCalled()
+        expect(global.AudioContext).not.toHaveBeenCalled()
+      })
+
+      it("runs pushed audio through the pipeline in frames", async () => {
+        speakThenInstance = new SpeakThen(element, { audioSource: "push" })
+        await speakThenInstance.start()
+        const process = vi.spyOn(speakThenInstance.wakeDetector.pipeline, "process")
+
+        speakThenInstance.pushAudio(new Float32Array(3000))
+        await speakThenInstance.wakeDetector.queue
+
+        expect(process).toHaveBeenCalledTimes(2)
+        expect(process.mock.calls[0][0]).toHaveLength(1280)
+      })
+
+      it("resamples pushed audio", async () => {
+        speakThenInstance = new SpeakThen(element, { audioSource: "push" })
+        await speakThenInstance.start()
+        const process = vi.spyOn(speakThenInstance.wakeDetector.pipeline, "process")
+
+        speakThenInstance.pushAudio(new Int16Array(3838), 48000)
+        await speakThenInstance.wakeDetector.queue
+
+        expect(process).toHaveBeenCalledTimes(0)
+
+        speakThenInstance.pushAudio(new Int16Array(3), 48000)
+        await speakThenInstance.wakeDetector.queue
+
+        expect(process).toHaveBeenCalledTimes(1)
+      })
+    })
+  })
+
+  describe("modes", () => {
+    const press = (type, init = {}) => window.dispatchEvent(new KeyboardEvent(type, { code: "F2", key: "F2", ...init }))
+
+    beforeEach(() => {
+      vi.useFakeTimers()
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it("rejects unknown modes", () => {
+      expect(() => new SpeakThen(element, { mode: "always" })).toThrow('Unknown mode "always"')
+    })
+
+    it("rejects the keyword recognizer in push-to-talk mode", () => {
+      expect(() => new SpeakThen(element, { mode: "push-to-talk", recognizer: "keyword" })).toThrow("keyword recognizer")
+    })
+
+    describe("push-to-talk", () => {
+      it("loads no models and opens no microphone", async () => {
+        const onStateChange = vi.fn()
+        speakThenInstance = new SpeakThen(element, { mode: "push-to-talk", onStateChange })
+
+        await speakThenInstance.start()
+
+        expect(fetch).not.toHaveBeenCalled()
+        expect(ort.InferenceSession.create).not.toHaveBeenCalled()
+        expect(navigator.mediaDevices.getUserMedia).not.toHaveBeenCalled()
+        expect(onStateChange.mock.calls.map(([{ to }]) => to)).toEqual(["loading", "sleeping"])
+      })
+
+      it("does not share an engine with wake word instances", () => {
+        speakThenInstance = new SpeakThen(element, { mode: "push-to-talk" })
+        const other = new SpeakThen(document.createElement("div"))
+
+        expect(speakThenInstance.engineKey()).not.toBe(other.engineKey())
+      })
+
+      it("listens until sleep() instead of the sleep timer", async () => {
+        speakThenInstance = new SpeakThen(element, { mode: "push-to-talk", sleepAfter: 3000 })
+        await speakThenInstance.start()
+
+        speakThenInstance.wake()
+        vi.advanceTimersByTime(10000)
+        expect(speakThenInstance.state).toBe("awake")
+
+        speakThenInstance.sleep()
+        expect(speakThenInstance.state).toBe("sleeping")
+      })
+
+      it("listens while the hotkey is held", async () => {
+        speakThenInstance = new SpeakThen(element, { mode: "push-to-talk", hotkey: "F2" })
+        await speakThenInstance.start()
+
+        press("keydown")
+        expect(speakThenInstance.state).toBe("awake")
+
+        press("keyup")
+        expect(speakThenInstance.state).toBe("sleeping")
+      })
+
+      it("stops listening when the window loses focus", async () => {
+        speakThenInstance = new SpeakThen(element, { mode: "push-to-talk", hotkey: "F2" })
+        await speakThenInstance.start()
+
+        press("keydown")
+        window.dispatchEvent(new Event("blur"))
+
+        expect(speakThenInstance.state).toBe("sleeping")
+      })
+
+      it("stops watching the hotkey on stop", async () => {
+        speakThenInstance = new SpeakThen(element, { mode: "push-to-talk", hotkey: "F2" })
+        await speakThenInstance.start()
+        speakThenInstance.stop()
+
+        press("keydown")
+
+        expect(speakThenInstance.state).toBe("stopped")
+      })
+    })
+
+    describe("hybrid", () => {
+      it("loads the wake word models", async () => {
+        speakThenInstance = new SpeakThen(element, { mode: "hybrid", hotkey: "F2" })
+        await speakThenInstance.start()
+
+        expect(ort.InferenceSession.create).toHaveBeenCalled()
+      })
+
+      it("ignores the sleep timer while the hotkey is held", async () => {
+        speakThenInstance = new SpeakThen(element, { mode: "hybrid", hotkey: "F2", sleepAfter: 3000 })
+        await speakThenInstance.start()
+
+        press("keydown")
+        press("keydown", { repeat: true })
+        vi.advanceTimersByTime(10000)
+        expect(speakThenInstance.state).toBe("awake")
+
+        press("keyup")
+        expect(speakThenInstance.state).toBe("sleeping")
+      })
+
+      it("keeps the sleep timer after the wake word", async () => {
+        speakThenInstance = new SpeakThen(element, { mode: "hybrid", hotkey: "F2", sleepAfter: 3000 })
+        await speakThenInstance.start()
+
+        speakThenInstance.wake("hey_jarvis", 0.9)
+        vi.advanceTimersByTime(3000)
+
+        expect(speakThenInstance.state).toBe("sleeping")
+      })
+    })
+
+    it("ignores the hotkey in wake-word mode", async () => {
+      speakThenInstance = new SpeakThen(element, { hotkey: "F2" })
+      await speakThenInstance.start()
+
+      press("keydown")
+
+      expect(speakThenInstance.state).toBe("sleeping")
+    })
+  })
+
+  describe("stop()", () => {
+    it("allows restart after stop", async () => {
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.start()
+      speakThenInstance.stop()
+
+      await expect(speakThenInstance.start()).resolves.not.toThrow()
+    })
+
+    it("calls onSleep when stopped while awake", async () => {
+      const onSleep = vi.fn()
+      speakThenInstance = new SpeakThen(element, { onSleep })
+      await speakThenInstance.start()
+      speakThenInstance.wake()
+
+      speakThenInstance.stop()
+
+      expect(speakThenInstance.state).toBe("stopped")
+      expect(onSleep).toHaveBeenCalled()
+    })
+  })
+
+  describe("state transitions", () => {
+    const transitions = (onStateChange) => onStateChange.mock.calls.map(([{ from, to }]) => `${from}->${to}`)
+
+    it("starts out stopped", () => {
+      speakThenInstance = new SpeakThen(element)
+
+      expect(speakThenInstance.state).toBe("stopped")
+      expect(speakThenInstance.started).toBe(false)
+    })
+
+    it("loads, asks for the microphone and becomes ready on start()", async () => {
+      const onStateChange = vi.fn()
+      speakThenInstance = new SpeakThen(element, { onStateChange })
+      await speakThenInstance.start()
+
+      expect(transitions(onStateChange)).toEqual(["stopped->loading", "loading->permission", "permission->sleeping"])
+      expect(speakThenInstance.started).toBe(true)
+    })
+
+    it("skips the permission state once the microphone is granted", async () => {
+      const onStateChange = vi.fn()
+      speakThenInstance = new SpeakThen(element, { onStateChange })
+      await speakThenInstance.start()
+      speakThenInstance.stop()
+      onStateChange.mockClear()
+
+      await speakThenInstance.start()
+
+      expect(transitions(onStateChange)).toEqual(["stopped->loading", "loading->sleeping"])
+    })
+
+    it("skips the permission state for supplied audio", async () => {
+      const onStateChange = vi.fn()
+      speakThenInstance = new SpeakThen(element, { audioSource: "push", onStateChange })
+      await speakThenInstance.start()
+
+      expect(transitions(onStateChange)).toEqual(["stopped->loading", "loading->sleeping"])
+    })
+
+    it("is loading until the models are in", async () => {
+      let release
+      const downloaded = new Promise(resolve => { release = resolve })
+      fetch.mockImplementation(async (url) => {
+        await downloaded
+        return new Response(url)
+      })
+      speakThenInstance = new SpeakThen(element, { audioSource: "push" })
+
+      const starting = speakThenInstance.start()
+
+      expect(speakThenInstance.state).toBe("loading")
+      await expect(speakThenInstance.start()).rejects.toThrow("already started")
+      release()
+      await starting
+      expect(speakThenInstance.state).toBe("sleeping")
+    })
+
+    it("moves to error when start() fails", async () => {
+      const onStateChange = vi.fn()
+      ort.InferenceSession.create.mockRejectedValue(new Error("404"))
+      speakThenInstance = new SpeakThen(element, { onStateChange })
+
+      await expect(speakThenInstance.start()).rejects.toThrow("404")
+
+      expect(speakThenInstance.state).toBe("error")
+      expect(onStateChange).toHaveBeenLastCalledWith({ from: "loading", to: "error" })
+    })
+
+    it("can start again from error", async () => {
+      ort.InferenceSession.create.mockRejectedValueOnce(new Error("404"))
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.start().catch(() => {})
+
+      await speakThenInstance.start()
+
+      expect(speakThenInstance.state).toBe("sleeping")
+    })
+
+    it("reports wake, sleep and stop", async () => {
+      const onStateChange = vi.fn()
+      speakThenInstance = new SpeakThen(element, { onStateChange })
+      await speakThenInstance.start()
+      onStateChange.mockClear()
+
+      speakThenInstance.wake()
+      speakThenInstance.sleep()
+      speakThenInstance.stop()
+
+      expect(transitions(onStateChange)).toEqual(["sleeping->awake", "awake->sleeping", "sleeping->stopped"])
+    })
+
+    it("does not wake before start()", () => {
+      const onWake = vi.fn()
+      speakThenInstance = new SpeakThen(element, { onWake })
+
+      speakThenInstance.wake()
+
+      expect(speakThenInstance.state).toBe("stopped")
+      expect(onWake).not.toHaveBeenCalled()
+    })
+
+    it("transitions to awake on wake()", async () => {
+      const onWake = vi.fn()
+      speakThenInstance = new SpeakThen(element, { onWake })
+      await speakThenInstance.start()
+
+      speakThenInstance.wake()
+
+      expect(speakThenInstance.state).toBe("awake")
+      expect(onWake).toHaveBeenCalled()
+    })
+
+    it("does not re-wake if already awake", async () => {
+      const onWake = vi.fn()
+      speakThenInstance = new SpeakThen(element, { onWake })
+      await speakThenInstance.start()
+
+      speakThenInstance.wake()
+      speakThenInstance.wake()
+
+      expect(onWake).toHaveBeenCalledTimes(1)
+    })
+
+    it("transitions to sleeping on sleep()", async () => {
+      const onSleep = vi.fn()
+      speakThenInstance = new SpeakThen(element, { onSleep })
+      await speakThenInstance.start()
+
+      speakThenInstance.wake()
+      speakThenInstance.sleep()
+
+      expect(speakThenInstance.state).toBe("sleeping")
+      expect(onSleep).toHaveBeenCalled()
+    })
+
+    it("does not re-sleep if already sleeping", async () => {
+      const onSleep = vi.fn()
+      speakThenInstance = new SpeakThen(element, { onSleep })
+      await speakThenInstance.start()
+
+      speakThenInstance.sleep()
+
+      expect(onSleep).not.toHaveBeenCalled()
+    })
+  })
+
+  describe("embedding listeners", () => {
+    const feedFrames = async (detector, count) => {
+      for (let i = 0; i < count; i++) await detector.processFrame(new Float32Array(1280))
+    }
+
+    it("receive embedding windows while wake detection is paused", async () => {
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.start()
+      const detector = speakThenInstance.wakeDetector
+      const listener = vi.fn()
+      detector.addListener(listener)
+
+      detector.pause()
+      await feedFrames(detector, 196)
+
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(listener.mock.calls[0][0]).toHaveLength(16 * 96)
+    })
+
+    it("can be removed", async () => {
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.start()
+      const detector = speakThenInstance.wakeDetector
+      const listener = vi.fn()
+
+      detector.addListener(listener)()
+      await feedFrames(detector, 196)
+
+      expect(listener).not.toHaveBeenCalled()
+    })
+  })
+
+  describe("meter", () => {
+    beforeEach(() => {
+      vi.useFakeTimers({ shouldAdvanceTime: true })
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it("reports the input level and wake scores", async () => {
+      const onLevel = vi.fn()
+      const onWakeScore = vi.fn()
+      speakThenInstance = new SpeakThen(element, { audioSource: "push", meterInterval: 100, onLevel, onWakeScore })
+      await speakThenInstance.start()
+
+      speakThenInstance.pushAudio(new Float32Array(196 * 1280).fill(0.1))
+      await speakThenInstance.wakeDetector.queue
+
+      expect(onLevel).toHaveBeenCalledWith({ level: expect.closeTo(2 / 3), db: expect.closeTo(-20) })
+      expect(onWakeScore).toHaveBeenCalledWith({
+        wakeWord: "hey_jarvis",
+        score: expect.any(Number),
+        threshold: 0.5,
+        scores: { hey_jarvis: expect.any(Number) }
+      })
+    })
+
+    it("throttles reports to the interval", async () => {
+      const onLevel = vi.fn()
+      speakThenInstance = new SpeakThen(element, { audioSource: "push", meterInterval: 100, onLevel })
+      await speakThenInstance.start()
+
+      speakThenInstance.pushAudio(new Float32Array(10 * 1280))
+      vi.advanceTimersByTime(100)
+      speakThenInstance.pushAudio(new Float32Array(1280))
+      await speakThenInstance.wakeDetector.queue
+
+      expect(onLevel).toHaveBeenCalledTimes(2)
+    })
+
+    it("measures nothing without an interval", async () => {
+      speakThenInstance = new SpeakThen(element, { audioSource: "push" })
+      await speakThenInstance.start()
+
+      expect(speakThenInstance.meter).toBeNull()
+      expect(speakThenInstance.wakeDetector.metering).toBe(false)
+    })
+  })
+
+  describe("multiple wake words", () => {
+    const feedFrames = async (detector, count) => {
+      for (let i = 0; i < count; i++) await detector.processFrame(new Float32Array(1280))
+    }
+
+    const scoreModels = (scores) => {
+      ort.InferenceSession.create.mockImplementation(async (bytes) => {
+        const session = mockSession()
+        const model = modelUrl(bytes).split("/").pop()
+        if (model in scores) session.run.mockResolvedValue({ dense: { data: new Float32Array([scores[model]]) } })
+        return session
+      })
+    }
+
+    it("derives names from model files", () => {
+      const speakThen = new SpeakThen(element, {
+        wakeModels: ["hey_jarvis_v0.1.onnx", { model: "hey_mycroft_v0.1.onnx", confidence: 0.7 }]
+      })
+
+      expect(speakThen.config.wakeModels).toEqual([
+        { name: "hey_jarvis", model: "hey_jarvis_v0.1.onnx", confidence: 0.5 },
+        { name: "hey_mycroft", model: "hey_mycroft_v0.1.onnx", confidence: 0.7 }
+      ])
+    })
+
+    it("falls back to wakeModel", () => {
+      const speakThen = new SpeakThen(element, { wakeModel: "alexa_v0.1.onnx" })
+
+      expect(speakThen.config.wakeModels).toEqual([{ name: "alexa", model: "alexa_v0.1.onnx", confidence: 0.5 }])
+    })
+
+    it("shares mel and embedding sessions", async () => {
+      speakThenInstance = new SpeakThen(element, {
+        wakeModels: ["hey_jarvis_v0.1.onnx", "hey_mycroft_v0.1.onnx"]
+      })
+      await speakThenInstance.start()
+
+      const urls = ort.InferenceSession.create.mock.calls.map(([bytes]) => modelUrl(bytes))
+      expect(urls).toEqual([
+        "/models/melspectrogram.onnx",
+        "/models/embedding_model.onnx",
+        "/models/hey_jarvis_v0.1.onnx",
+        "/models/hey_mycroft_v0.1.onnx"
+      ])
+    })
+
+    it("reports which wake word fired", async () => {
+      scoreModels({ "hey_jarvis_v0.1.onnx": 0.6, "hey_mycroft_v0.1.onnx": 0.9 })
+      const onWake = vi.fn()
+      speakThenInstance = new SpeakThen(element, {
+        wakeModels: ["hey_jarvis_v0.1.onnx", "hey_mycroft_v0.1.onnx"],
+        onWake
+      })
+      await speakThenInstance.start()
+
+      await feedFrames(speakThenInstance.wakeDetector, 196)
+
+      expect(onWake).toHaveBeenCalledWith({ wakeWord: "hey_mycroft", score: expect.closeTo(0.9) })
+      expect(speakThenInstance.wakeWord).toBe("hey_mycroft")
+    })
+
+    it("uses each wake word's own confidence", async () => {
+      scoreModels({ "hey_jarvis_v0.1.onnx": 0.6 })
+      const onWake = vi.fn()
+      speakThenInstance = new SpeakThen(element, {
+        wakeModels: [{ model: "hey_jarvis_v0.1.onnx", confidence: 0.8 }],
+        onWake
+      })
+      await speakThenInstance.start()
+
+      await feedFrames(speakThenInstance.wakeDetector, 196)
+
+      expect(onWake).not.toHaveBeenCalled()
+    })
+
+    describe("scopes", () => {
+      const hear = (transcript) => {
+        speakThenInstance.commandRecognizer.engine.recognizer.recognition.onresult({ results: [[{ transcript }]] })
+      }
+
+      beforeEach(() => {
+        element.innerHTML = `
+          <div id="player">
+            <button data-action="speak:next->player#next">Next</button>
+            <button data-action="speak:play->player#play">Play</button>
+          </div>
+          <div id="editor">
+            <button data-action="speak:next->editor#nextPage">Next page</button>
+            <button data-action="speak:save->editor#save">Save</button>
+          </div>
+        `
+      })
+
+      const create = () => new SpeakThen(element, {
+        wakeModels: [
+          { model: "hey_jarvis_v0.1.onnx", scope: "#player" },
+          { model: "hey_mycroft_v0.1.onnx", scope: "#editor", commands: ["next"] }
+        ]
+      })
+
+      it("limits commands to the wake word's subtree", async () => {
+        const player = vi.fn()
+        const editor = vi.fn()
+        element.querySelector("#player button").addEventListener("speak:next", player)
+        element.querySelector("#editor button").addEventListener("speak:next", editor)
+        speakThenInstance = create()
+        await speakThenInstance.start()
+
+        speakThenInstance.wake("hey_jarvis")
+        hear("next")
+
+        expect(player).toHaveBeenCalled()
+        expect(editor).not.toHaveBeenCalled()
+      })
+
+      it("limits commands to the wake word's command set", async () => {
+        const save = vi.fn()
+        element.querySelector("#editor [data-action^='speak:save']").addEventListener("speak:save", save)
+        speakThenInstance = create()
+        await speakThenInstance.start()
+
+        speakThenInstance.wake("hey_mycroft")
+        hear("save")
+
+        expect(save).not.toHaveBeenCalled()
+      })
+
+      it("listens to every command after a manual wake", async () => {
+        const save = vi.fn()
+        element.querySelector("#editor [data-action^='speak:save']").addEventListener("speak:save", save)
+        speakThenInstance = create()
+        await speakThenInstance.start()
+
+        speakThenInstance.wake()
+        hear("save")
+
+        expect(save).toHaveBeenCalled()
+      })
+
+      it("clears the scope on sleep", async () => {
+        speakThenInstance = create()
+        await speakThenInstance.start()
+
+        speakThenInstance.wake("hey_jarvis")
+        speakThenInstance.sleep()
+
+        expect(speakThenInstance.commandRecognizer.scope).toBeNull()
+        expect(speakThenInstance.wakeWord).toBeNull()
+      })
+    })
+  })
+
+  describe("worker", () => {
+    let workers
+
+    beforeEach(() => {
+      workers = []
+      global.Worker = vi.fn(function (url, options) {
+        this.url = url
+        this.options = options
+        this.terminate = vi.fn()
+        this.postMessage = vi.fn((message) => {
+          if (message.type === "initialize") queueMicrotask(() => this.onmessage({ data: { type: "ready" } }))
+        })
+        workers.push(this)
+      })
+    })
+
+    afterEach(() => {
+      delete global.Worker
+    })
+
+    const messages = (worker) => worker.postMessage.mock.calls.map(([message]) => message)
+
+    it("loads models in a module worker", async () => {
+      speakThenInstance = new SpeakThen(element, { worker: true })
+      await speakThenInstance.start()
+
+      const [worker] = workers
+      expect(worker.url.href).toMatch(/\/wake_worker\.js/)
+      expect(worker.options).toEqual({ type: "module" })
+      const [initialize] = messages(worker)
+      expect(initialize).toMatchObject({
+        type: "initialize",
+        wakeWords: [{ name: "hey_jarvis", model: "hey_jarvis_v0.1.onnx", confidence: 0.5 }]
+      })
+      expect(modelUrl(initialize.models.mel)).toBe("/models/melspectrogram.onnx")
+      expect(initialize.models.wake.map(modelUrl)).toEqual(["/models/hey_jarvis_v0.1.onnx"])
+      expect(ort.InferenceSession.create).not.toHaveBeenCalled()
+    })
+
+    it("stops cleanly while loading models", async () => {
+      speakThenInstance = new SpeakThen(element, { worker: true })
+
+      const starting = speakThenInstance.start()
+      speakThenInstance.stop()
+
+      await expect(starting).resolves.toBeUndefined()
+      expect(workers).toHaveLength(1)
+      expect(workers[0].terminate).toHaveBeenCalled()
+      expect(speakThenInstance.wakeDetector.worker).toBeNull()
+    })
+
+    it("keeps the worker of a start that follows a stop while loading", async () => {
+      speakThenInstance = new SpeakThen(element, { worker: true })
+
+      const first = speakThenInstance.start()
+      speakThenInstance.stop()
+      const second = speakThenInstance.start()
+      await Promise.all([first, second])
+
+      expect(speakThenInstance.state).toBe("sleeping")
+      expect(speakThenInstance.wakeDetector.worker.terminate).not.toHaveBeenCalled()
+    })
+
+    it("accepts a worker script URL", async () => {
+      speakThenInstance = new SpeakThen(element, { worker: "/assets/wake_worker.js" })
+      await speakThenInstance.start()
+
+      expect(workers[0].url).toBe("/assets/wake_worker.js")
+    })
+
+    it("sends audio from the worklet straight to the worker", async () => {
+      speakThenInstance = new SpeakThen(element, { worker: true })
+      await speakThenInstance.start()
+
+      const audioPort = messages(workers[0]).find(m => m.type === "audio-port")
+      const [workletMessage, transfer] = mockAudioWorkletNode.port.postMessage.mock.calls[0]
+      expect(audioPort.port).toBeDefined()
+      expect(workletMessage.port).toBe(transfer[0])
+      expect(mockAudioWorkletNode.port.onmessage).toBeNull()
+    })
+
+    it("wakes on detections posted by the worker", async () => {
+      const onWake = vi.fn()
+      speakThenInstance = new SpeakThen(element, { worker: true, onWake })
+      await speakThenInstance.start()
+
+      workers[0].onmessage({ data: { type: "detection", wakeWord: "hey_jarvis", score: 0.8 } })
+
+      expect(onWake).toHaveBeenCalledWith({ wakeWord: "hey_jarvis", score: 0.8 })
+      expect(messages(workers[0]).at(-1)).toEqual({ type: "pause" })
+    })
+
+    it("resumes the worker on sleep", async () => {
+      speakThenInstance = new SpeakThen(element, { worker: true })
+      await speakThenInstance.start()
+
+      speakThenInstance.wake()
+      speakThenInstance.sleep()
+
+      expect(messages(workers[0]).at(-1)).toEqual({ type: "resume" })
+    })
+
+    it("requests features only while there are listeners", async () => {
+      speakThenInstance = new SpeakThen(element, { worker: true })
+      await speakThenInstance.start()
+      const listener = vi.fn()
+
+      const remove = speakThenInstance.wakeDetector.addListener(listener)
+      expect(messages(workers[0]).at(-1)).toEqual({ type: "features", enabled: true })
+
+      const features = new Float32Array(16 * 96)
+      workers[0].onmessage({ data: { type: "features", features } })
+      expect(listener).toHaveBeenCalledWith(features)
+
+      remove()
+      expect(messages(workers[0]).at(-1)).toEqual({ type: "features", enabled: false })
+    })
+
+    it("asks the worker for levels and scores when metering", async () => {
+      const onLevel = vi.fn()
+      const onWakeScore = vi.fn()
+      speakThenInstance = new SpeakThen(element, { worker: true, meterInterval: 100, onLevel, onWakeScore })
+      await speakThenInstance.start()
+
+      workers[0].onmessage({ data: { type: "level", level: 0.5, db: -30 } })
+      workers[0].onmessage({ data: { type: "scores", scores: [{ wakeWord: "hey_jarvis", score: 0.2, threshold: 0.5 }] } })
+
+      expect(messages(workers[0])).toContainEqual({ type: "meter", enabled: true })
+      expect(onLevel).toHaveBeenCalledWith({ level: 0.5, db: -30 })
+      expect(onWakeScore).toHaveBeenCalledWith(expect.objectContaining({ wakeWord: "hey_jarvis", score: 0.2 }))
+    })
+
+    it("reports worker errors", async () => {
+      const onError = vi.fn()
+      vi.spyOn(console, "error").mockImplementation(() => {})
+      speakThenInstance = new SpeakThen(element, { worker: true, onError })
+      await speakThenInstance.start()
+
+      workers[0].onmessage({ data: { type: "error", message: "boom" } })
+
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: "boom" }))
+    })
+
+    it("moves to error when the worker crashes", async () => {
+      const onError = vi.fn()
+      vi.spyOn(console, "error").mockImplementation(() => {})
+      speakThenInstance = new SpeakThen(element, { worker: true, onError })
+      await speakThenInstance.start()
+      const [worker] = workers
+
+      worker.onerror({ message: "out of memory" })
+
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: "Wake word worker failed: out of memory" }))
+      expect(speakThenInstance.state).toBe("error")
+      expect(worker.terminate).toHaveBeenCalled()
+    })
+
+    it("posts pushed audio to the worker", async () => {
+      speakThenInstance = new SpeakThen(element, { worker: true, audioSource: "push" })
+      await speakThenInstance.start()
+
+      speakThenInstance.pushAudio(new Float32Array(1280))
+
+      expect(messages(workers[0]).at(-1)).toEqual({ type: "audio", samples: expect.any(Float32Array) })
+    })
+
+    it("terminates the worker on stop()", async () => {
+      speakThenInstance = new SpeakThen(element, { worker: true })
+      await speakThenInstance.start()
+      const [worker] = workers
+
+      speakThenInstance.stop()
+
+      expect(worker.terminate).toHaveBeenCalled()
+    })
+  })
+
+  describe("feedback", () => {
+    const hear = (transcript) => {
+      speakThenInstance.commandRecognizer.engine.recognizer.recognition.onresult({
+        results: [[{ transcript }]]
+      })
+    }
+
+    const listen = async (config = {}) => {
+      speakThenInstance = new SpeakThen(element, { earcons: true, ...config })
+      vi.spyOn(speakThenInstance.feedback, "play").mockResolvedValue(undefined)
+      vi.spyOn(speakThenInstance.feedback, "say").mockResolvedValue(undefined)
+      await speakThenInstance.start()
+    }
+
+    // The wake earcon mutes listening until it has played
+    const wake = async () => {
+      speakThenInstance.wake()
+      await vi.waitFor(() => expect(speakThenInstance.shared.muted).toBe(false))
+    }
+
+    it("plays nothing by default", async () => {
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.start()
+
+      speakThenInstance.wake()
+      speakThenInstance.sleep()
+
+      expect(global.AudioContext).toHaveBeenCalledTimes(1)
+    })
+
+    it("plays earcons on wake and sleep", async () => {
+      await listen()
+
+      speakThenInstance.wake()
+      speakThenInstance.sleep()
+
+      expect(speakThenInstance.feedback.play.mock.calls).toEqual([["wake"], ["sleep"]])
+    })
+
+    it("plays the match earcon and says the confirmation with its slots", async () => {
+      element.innerHTML = `
+        <button data-action="speak:set_volume_to_{level}->player#volume"
+                data-speak-then-confirm-text="Volume set to {level}">Volume</button>
+      `
+      await listen()
+      await wake()
+
+      hear("set volume to seven")
+      await vi.waitFor(() => expect(speakThenInstance.feedback.say).toHaveBeenCalled())
+
+      expect(speakThenInstance.feedback.play).toHaveBeenLastCalledWith("match")
+      expect(speakThenInstance.feedback.say).toHaveBeenCalledWith("Volume set to 7")
+    })
+
+    it("says confirmations without earcons", async () => {
+      element.innerHTML = `
+        <button data-action="speak:save->form#save" data-speak-then-confirm-text="Saved">Save</button>
+      `
+      await listen({ earcons: false })
+      await wake()
+
+      hear("save")
+      await vi.waitFor(() => expect(speakThenInstance.feedback.say).toHaveBeenCalledWith("Saved"))
+    })
+
+    it("plays the unrecognized earcon when nothing matches", async () => {
+      element.innerHTML = `
+        <button data-action="speak:save->form#save">Save</button>
+      `
+      await listen()
+      await wake()
+
+      hear("banana")
+
+      expect(speakThenInstance.feedback.play).toHaveBeenLastCalledWith("unrecognized")
+    })
+
+    it("ignores speech while feedback plays", async () => {
+      element.innerHTML = `
+        <button data-action="speak:save->form#save" data-speak-then-confirm-text="Save">Save</button>
+      `
+      const handler = vi.fn()
+      element.querySelector("button").addEventListener("speak:save", handler)
+      await listen()
+      let finish
+      speakThenInstance.feedback.say.mockReturnValue(new Promise(resolve => { finish = resolve }))
+      await wake()
+
+      hear("save")
+      await vi.waitFor(() => expect(speakThenInstance.feedback.say).toHaveBeenCalled())
+      hear("save")
+
+      expect(handler).toHaveBeenCalledTimes(1)
+      expect(speakThenInstance.shared.muted).toBe(true)
+
+      finish()
+      await vi.waitFor(() => expect(speakThenInstance.shared.muted).toBe(false))
+      hear("save")
+
+      expect(handler).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe("dictation", () => {
+    const result = (transcript, isFinal = true, resultIndex = 0) => {
+      speakThenInstance.commandRecognizer.engine.recognizer.recognition.onresult({
+        resultIndex,
+        results: Object.assign([], { [resultIndex]: Object.assign([{ transcript }], { isFinal }), length: resultIndex + 1 })
+      })
+    }
+
+    const listen = async (config = {}) => {
+      element.innerHTML = `
+        <textarea data-action="speak:take_notes->notes#edit"></textarea>
+        <button data-action="speak:next->player#next">Next</button>
+      `
+      speakThenInstance = new SpeakThen(element, config)
+      await speakThenInstance.start()
+      return element.querySelector("textarea")
+    }
+
+    it("writes speech into the field instead of matching commands", async () => {
+      const field = await listen()
+      const next = vi.fn()
+      element.addEventListener("speak:next", next)
+
+      expect(speakThenInstance.dictate(field)).toBe(true)
+      expect(speakThenInstance.state).toBe("awake")
+      result("next", false)
+      expect(field.value).toBe("Next")
+      result("next comma please", true)
+
+      expect(field.value).toBe("Next, please")
+      expect(next).not.toHaveBeenCalled()
+    })
+
+    it("asks for interim results so text appears while speaking", async () => {
+      await listen()
+      speakThenInstance.wake()
+
+      expect(speakThenInstance.commandRecognizer.engine.recognizer.recognition.interimResults).toBe(true)
+    })
+
+    it("goes back to commands on the stop phrase", async () => {
+      const onDictationStart = vi.fn()
+      const onDictationEnd = vi.fn()
+      const field = await listen({ onDictationStart, onDictationEnd })
+      const next = vi.fn()
+      element.addEventListener("speak:next", next)
+      speakThenInstance.dictate(field)
+
+      result("valve replaced", true, 0)
+      result("stop dictation", true, 1)
+      result("next", true, 2)
+
+      expect(onDictationStart).toHaveBeenCalledWith({ field })
+      expect(onDictationEnd).toHaveBeenCalledWith({ field, text: "Valve replaced" })
+      expect(field.value).toBe("Valve replaced")
+      expect(next).toHaveBeenCalledTimes(1)
+    })
+
+    it("uses the configured stop phrase", async () => {
+      const field = await listen({ dictationStop: "over and out" })
+      speakThenInstance.dictate(field)
+
+      result("over and out")
+
+      expect(speakThenInstance.dictation).toBe(null)
+      expect(field.value).toBe("")
+    })
+
+    it("doesn't write the command that started it", async () => {
+      const field = await listen({ interimResults: true })
+      field.addEventListener("speak:take_notes", () => speakThenInstance.dictate(field))
+      speakThenInstance.wake()
+
+      result("take notes", false, 0)
+      result("take notes", false, 0)
+      expect(speakThenInstance.dictation).not.toBe(null)
+      result("take notes", true, 0)
+      result("pump checked", true, 1)
+
+      expect(field.value).toBe("Pump checked")
+    })
+
+    it("stays awake until dictation stops", async () => {
+      vi.useFakeTimers()
+      try {
+        const field = await listen({ sleepAfter: 3000 })
+        speakThenInstance.dictate(field)
+
+        vi.advanceTimersByTime(10000)
+        expect(speakThenInstance.state).toBe("awake")
+
+        speakThenInstance.stopDictating()
+        vi.advanceTimersByTime(3000)
+        expect(speakThenInstance.state).toBe("sleeping")
+      } finally {
+        vi.useRealTimers()
+      }
+    })
+
+    it("stops when going to sleep", async () => {
+      const onDictationEnd = vi.fn()
+      const field = await listen({ onDictationEnd })
+      speakThenInstance.dictate(field)
+      result("half a thou", false)
+
+      speakThenInstance.sleep()
+
+      expect(onDictationEnd).toHaveBeenCalledWith({ field, text: "" })
+      expect(field.value).toBe("")
+    })
+
+    it("needs a text field", async () => {
+      const warn = vi.spyOn(console, "warn").mockImplementation(() => {})
+      await listen()
+
+      expect(speakThenInstance.dictate(element.querySelector("button"))).toBe(false)
+      expect(speakThenInstance.state).toBe("sleeping")
+      warn.mockRestore()
+    })
+
+    it("doesn't dictate before start", async () => {
+      element.innerHTML = `<textarea></textarea>`
+      speakThenInstance = new SpeakThen(element)
+
+      expect(speakThenInstance.dictate(element.querySelector("textarea"))).toBe(false)
+    })
+  })
+
+  describe("confirmation", () => {
+    const hear = (transcript) => {
+      speakThenInstance.commandRecognizer.engine.recognizer.recognition.onresult({
+        results: [[{ transcript }]]
+      })
+    }
+
+    const listen = async (config = {}) => {
+      element.innerHTML = `
+        <button data-action="speak:delete->list#delete" data-speak-then-confirm>Delete</button>
+        <button data-action="speak:next->list#next">Next</button>
+      `
+      const events = []
+      element.addEventListener("speak:delete", () => events.push("delete"))
+      element.addEventListener("speak:next", () => events.push("next"))
+      speakThenInstance = new SpeakThen(element, config)
+      await speakThenInstance.start()
+      speakThenInstance.wake()
+      return events
+    }
+
+    it("asks before running the command", async () => {
+      const onConfirmationPending = vi.fn()
+      const events = await listen({ onConfirmationPending })
+
+      hear("delete")
+
+      expect(events).toEqual([])
+      expect(speakThenInstance.state).toBe("confirming")
+      expect(onConfirmationPending).toHaveBeenCalledWith({
+        phrase: "delete",
+        question: "Are you sure?",
+        element: element.querySelector("button"),
+        transcript: "delete"
+      })
+    })
+
+    it("runs the command on yes", async () => {
+      const onConfirmationResolved = vi.fn()
+      const events = await listen({ onConfirmationResolved })
+      hear("delete")
+
+      hear("yes please")
+
+      await vi.waitFor(() => expect(events).toEqual(["delete"]))
+      expect(speakThenInstance.state).toBe("awake")
+      expect(onConfirmationResolved).toHaveBeenCalledWith(expect.objectContaining({ phrase: "delete", result: "confirmed" }))
+    })
+
+    it("drops the command on no", async () => {
+      const onConfirmationResolved = vi.fn()
+      const events = await listen({ onConfirmationResolved })
+      hear("delete")
+
+      hear("no")
+      await Promise.resolve()
+
+      expect(events).toEqual([])
+      expect(speakThenInstance.state).toBe("awake")
+      expect(onConfirmationResolved).toHaveBeenCalledWith(expect.objectContaining({ result: "cancelled" }))
+    })
+
+    it("ignores other speech while waiting for the answer", async () => {
+      const events = await listen()
+      hear("delete")
+
+      hear("next")
+
+      expect(events).toEqual([])
+      expect(speakThenInstance.state).toBe("confirming")
+    })
+
+    it("takes the answer from the page", async () => {
+      const events = await listen()
+      hear("delete")
+
+      speakThenInstance.answer(true)
+
+      await vi.waitFor(() => expect(events).toEqual(["delete"]))
+    })
+
+    it("asks the question from the attribute with slots filled in", async () => {
+      const onConfirmationPending = vi.fn()
+      element.innerHTML = `
+        <button data-action="speak:delete_{count}_items->list#delete"
+                data-speak-then-confirm="Delete {count} items?"
+                data-speak-then-confirm-fr="Supprimer {count} éléments ?">Delete</button>
+      `
+      speakThenInstance = new SpeakThen(element, { onConfirmationPending })
+      await speakThenInstance.start()
+      speakThenInstance.wake()
+
+      hear("delete three items")
+
+      expect(onConfirmationPending.mock.calls[0][0].question).toBe("Delete 3 items?")
+    })
+
+    it("says the question when asked to", async () => {
+      await listen({ speakQuestions: true })
+      const say = vi.spyOn(speakThenInstance.feedback, "say").mockResolvedValue(undefined)
+
+      hear("delete")
+
+      await vi.waitFor(() => expect(say).toHaveBeenCalledWith("Are you sure?"))
+    })
+
+    it("holds back the commands after it", async () => {
+      const events = await listen()
+
+      hear("delete and then next")
+      expect(events).toEqual([])
+
+      hear("yes")
+      await vi.waitFor(() => expect(events).toEqual(["delete", "next"]))
+    })
+
+    it("cancels when going to sleep", async () => {
+      const onConfirmationResolved = vi.fn()
+      const events = await listen({ onConfirmationResolved })
+      hear("delete")
+
+      speakThenInstance.sleep()
+      await Promise.resolve()
+
+      expect(speakThenInstance.state).toBe("sleeping")
+      expect(onConfirmationResolved).toHaveBeenCalledWith(expect.objectContaining({ result: "cancelled" }))
+      expect(events).toEqual([])
+    })
+
+    describe("timeout", () => {
+      beforeEach(() => {
+        vi.useFakeTimers()
+      })
+
+      afterEach(() => {
+        vi.useRealTimers()
+      })
+
+      it("gives up after its own timeout, not sleepAfter", async () => {
+        const onConfirmationResolved = vi.fn()
+        const events = await listen({ sleepAfter: 1000, confirmTimeout: 3000, onConfirmationResolved })
+        hear("delete")
+
+        vi.advanceTimersByTime(2000)
+        expect(speakThenInstance.state).toBe("confirming")
+
+        vi.advanceTimersByTime(1000)
+        expect(onConfirmationResolved).toHaveBeenCalledWith(expect.objectContaining({ result: "timeout" }))
+        expect(speakThenInstance.state).toBe("awake")
+        expect(events).toEqual([])
+
+        vi.advanceTimersByTime(1000)
+        expect(speakThenInstance.state).toBe("sleeping")
+      })
+    })
+
+    describe("push-to-talk", () => {
+      it("waits for the answer after the key is let go, then sleeps", async () => {
+        element.innerHTML = `
+          <button data-action="speak:delete->list#delete" data-speak-then-confirm>Delete</button>
+        `
+        const handler = vi.fn()
+        element.addEventListener("speak:delete", handler)
+        speakThenInstance = new SpeakThen(element, { mode: "push-to-talk" })
+        await speakThenInstance.start()
+        speakThenInstance.hold()
+        hear("delete")
+
+        speakThenInstance.release()
+        expect(speakThenInstance.state).toBe("confirming")
+
+        hear("yes")
+        expect(speakThenInstance.state).toBe("sleeping")
+        await vi.waitFor(() => expect(handler).toHaveBeenCalled())
+      })
+    })
+  })
+
+  describe("sleep timer", () => {
+    beforeEach(() => {
+      vi.useFakeTimers()
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it("auto-sleeps after configured timeout", async () => {
+      const onSleep = vi.fn()
+      speakThenInstance = new SpeakThen(element, { sleepAfter: 3000, onSleep })
+      await speakThenInstance.start()
+
+      speakThenInstance.wake()
+      expect(speakThenInstance.state).toBe("awake")
+
+      vi.advanceTimersByTime(3000)
+
+      expect(speakThenInstance.state).toBe("sleeping")
+      expect(onSleep).toHaveBeenCalled()
+    })
+
+    it("resets timer on resetSleepTimer()", async () => {
+      const onSleep = vi.fn()
+      speakThenInstance = new SpeakThen(element, { sleepAfter: 3000, onSleep })
+      await speakThenInstance.start()
+
+      speakThenInstance.wake()
+      vi.advanceTimersByTime(2000)
+
+      speakThenInstance.resetSleepTimer()
+      vi.advanceTimersByTime(2000)
+
+      expect(speakThenInstance.state).toBe("awake")
+
+      vi.advanceTimersByTime(1000)
+
+      expect(speakThenInstance.state).toBe("sleeping")
+    })
+
+    describe("voice activity", () => {
+      const speech = (frames) => speakThenInstance.pushAudio(new Float32Array(frames * 1280).fill(0.1))
+      const silence = (frames) => speakThenInstance.pushAudio(new Float32Array(frames * 1280))
+
+      beforeEach(async () => {
+        speakThenInstance = new SpeakThen(element, {
+          audioSource: "push",
+          vad: true,
+          sleepAfter: 5000,
+          initialSilence: 2000,
+          trailingSilence: 800
+        })
+        await speakThenInstance.start()
+        speakThenInstance.wake()
+      })
+
+      it("sleeps after the initial silence when nothing is said", () => {
+        silence(10)
+        vi.advanceTimersByTime(1999)
+        expect(speakThenInstance.state).toBe("awake")
+
+        vi.advanceTimersByTime(1)
+        expect(speakThenInstance.state).toBe("sleeping")
+      })
+
+      it("stays awake while the user speaks", () => {
+        speech(2)
+        vi.advanceTimersByTime(4999)
+
+        expect(speakThenInstance.state).toBe("awake")
+      })
+
+      it("sleeps after the sleep timeout when speech goes on without a result", () => {
+        speech(2)
+        vi.advanceTimersByTime(2000)
+        speech(20)
+        vi.advanceTimersByTime(2999)
+        expect(speakThenInstance.state).toBe("awake")
+
+        vi.advanceTimersByTime(1)
+        expect(speakThenInstance.state).toBe("sleeping")
+      })
+
+      it("doesn't stay awake on noise that comes and goes", () => {
+        for (let i = 0; i < 10; i++) {
+          speech(5)
+          silence(1)
+          vi.advanceTimersByTime(500)
+        }
+
+        expect(speakThenInstance.state).toBe("sleeping")
+      })
+
+      it("sleeps after the trailing silence once speech ends", () => {
+        speech(5)
+        silence(1)
+        vi.advanceTimersByTime(799)
+        expect(speakThenInstance.state).toBe("awake")
+
+        vi.advanceTimersByTime(1)
+        expect(speakThenInstance.state).toBe("sleeping")
+      })
+
+      it("keeps waiting when speech resumes after a pause", () => {
+        speech(5)
+        silence(1)
+        vi.advanceTimersByTime(500)
+        speech(2)
+        vi.advanceTimersByTime(500)
+
+        expect(speakThenInstance.state).toBe("awake")
+      })
+
+      it("doesn't take a click for speech", () => {
+        speech(1)
+        silence(1)
+        vi.advanceTimersByTime(800)
+
+        expect(speakThenInstance.state).toBe("awake")
+      })
+
+      it("starts over on the next wake", () => {
+        speech(5)
+        silence(1)
+        vi.advanceTimersByTime(800)
+        speakThenInstance.wake()
+        vi.advanceTimersByTime(800)
+
+        expect(speakThenInstance.state).toBe("awake")
+      })
+
+      it("waits for the final result of an utterance", () => {
+        element.innerHTML = `<button data-action="speak:next->player#next">Next</button>`
+        speakThenInstance.refresh()
+        const handler = vi.fn()
+        element.addEventListener("speak:next", handler)
+        const result = (transcript, isFinal) => speakThenInstance.commandRecognizer.engine.recognizer.recognition.onresult({
+          resultIndex: 0,
+          results: [Object.assign([{ transcript }], { isFinal })]
+        })
+
+        speech(5)
+        result("next", false)
+        silence(1)
+        vi.advanceTimersByTime(1500)
+        expect(speakThenInstance.state).toBe("awake")
+
+        result("next", true)
+        expect(handler).toHaveBeenCalledTimes(1)
+
+        vi.advanceTimersByTime(800)
+        expect(speakThenInstance.state).toBe("sleeping")
+      })
+
+      it("gives up on a final result after the sleep timeout", () => {
+        speakThenInstance.commandRecognizer.engine.recognizer.recognition.onresult({
+          resultIndex: 0,
+          results: [Object.assign([{ transcript: "hello" }], { isFinal: false })]
+        })
+
+        vi.advanceTimersByTime(5000)
+
+        expect(speakThenInstance.state).toBe("sleeping")
+      })
+
+      it("measures levels without a meter", () => {
+        expect(speakThenInstance.meter).toBeNull()
+        expect(speakThenInstance.wakeDetector.metering).toBe(true)
+      })
+    })
+  })
+})
+
+describe("CommandRecognizer (via SpeakThen)", () => {
+  let element
+  let speakThenInstance
+
+  beforeEach(() => {
+    element = document.createElement("div")
+    speakThenInstance = null
+  })
+
+  afterEach(() => {
+    speakThenInstance?.stop()
+  })
+
+  it("uses configured language", () => {
+    speakThenInstance = new SpeakThen(element, { lang: "fr-FR" })
+
+    expect(speakThenInstance.commandRecognizer.lang).toBe("fr-FR")
+  })
+
+  it("registers multiple elements for same phrase", () => {
+    element.innerHTML = `
+      <button data-action="speak:play->player#play">Play 1</button>
+      <button data-action="speak:play->player#playAlt">Play 2</button>
+    `
+
+    speakThenInstance = new SpeakThen(element)
+    const playElements = speakThenInstance.commandRecognizer.commands.get("play")
+
+    expect(playElements).toHaveLength(2)
+  })
+
+  describe("matching", () => {
+    const hear = (transcript) => {
+      speakThenInstance.commandRecognizer.engine.recognizer.recognition.onresult({
+        results: [[{ transcript }]]
+      })
+    }
+
+    it("dispatches the action event name for multi-word phrases", async () => {
+      element.innerHTML = `
+        <button data-action="speak:play_music->player#play">Play</button>
+      `
+      const handler = vi.fn()
+      element.querySelector("button").addEventListener("speak:play_music", handler)
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.start()
+      speakThenInstance.wake()
+
+      hear("play music")
+
+      expect(handler).toHaveBeenCalledTimes(1)
+      expect(handler.mock.calls[0][0].detail).toMatchObject({ transcript: "play music", phrase: "play music" })
+    })
+
+    it("extracts slots into detail.params", async () => {
+      element.innerHTML = `
+        <button data-action="speak:set_volume_to_{level}->player#volume">Volume</button>
+      `
+      const handler = vi.fn()
+      element.querySelector("button").addEventListener("speak:set_volume_to_{level}", handler)
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.start()
+      speakThenInstance.wake()
+
+      hear("Set volume to twenty three")
+
+      expect(speakThenInstance.commandRecognizer.commands.has("set volume to {level}")).toBe(true)
+      expect(handler.mock.calls[0][0].detail.params).toEqual({ level: 23 })
+    })
+
+    it("extracts slots followed by literal words", async () => {
+      element.innerHTML = `
+        <button data-action="speak:set_timer_for_{amount}_{unit_name}->timer#set">Timer</button>
+      `
+      const handler = vi.fn()
+      element.querySelector("button").addEventListener("speak:set_timer_for_{amount}_{unit_name}", handler)
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.start()
+      speakThenInstance.wake()
+
+      hear("set timer for five minutes")
+
+      expect(handler.mock.calls[0][0].detail.params).toEqual({ amount: 5, unit_name: "minutes" })
+    })
+
+    it("keeps non-numeric slot values as strings", async () => {
+      element.innerHTML = `
+        <button data-action="speak:go_to_{section}->nav#go">Go</button>
+      `
+      const handler = vi.fn()
+      element.querySelector("button").addEventListener("speak:go_to_{section}", handler)
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.start()
+      speakThenInstance.wake()
+
+      hear("go to settings")
+
+      expect(handler.mock.calls[0][0].detail.params).toEqual({ section: "settings" })
+    })
+
+    it("merges Stimulus action params with slots", async () => {
+      element.innerHTML = `
+        <button data-action="speak:go_to_page_{number}->pager#go"
+                data-pager-book-id-param="42"
+                data-pager-number-param="1"
+                data-other-ignored-param="x">Go</button>
+      `
+      const handler = vi.fn()
+      element.querySelector("button").addEventListener("speak:go_to_page_{number}", handler)
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.start()
+      speakThenInstance.wake()
+
+      hear("go to page 12")
+
+      expect(handler.mock.calls[0][0].detail.params).toEqual({ bookId: 42, number: 12 })
+    })
+
+    describe("best match", () => {
+      const hearAlternatives = (...alternatives) => {
+        speakThenInstance.commandRecognizer.engine.recognizer.recognition.onresult({ results: [alternatives] })
+      }
+
+      const listen = async (html, ...names) => {
+        element.innerHTML = html
+        const handlers = Object.fromEntries(names.map(name => {
+          const handler = vi.fn()
+          element.addEventListener(`speak:${name}`, handler)
+          return [name, handler]
+        }))
+        speakThenInstance = new SpeakThen(element)
+        await speakThenInstance.start()
+        speakThenInstance.wake()
+        return handlers
+      }
+
+      it("requests alternatives from the recognizer", async () => {
+        await listen("")
+
+        expect(speakThenInstance.commandRecognizer.engine.recognizer.recognition.maxAlternatives).toBe(3)
+      })
+
+      it("matches on word boundaries only", async () => {
+        const { stop } = await listen(`
+          <button data-action="speak:stop->player#stop">Stop</button>
+        `, "stop")
+
+        hear("play non-stop music")
+
+        expect(stop).not.toHaveBeenCalled()
+      })
+
+      it("ignores a phrase buried in a longer sentence", async () => {
+        const { next } = await listen(`
+          <button data-action="speak:next->player#next">Next</button>
+        `, "next")
+
+        hear("the next one is wrong")
+        expect(next).not.toHaveBeenCalled()
+
+        hear("skip to next")
+        expect(next).toHaveBeenCalledTimes(1)
+      })
+
+      it("matches anywhere without a minimum coverage", async () => {
+        element.innerHTML = `<button data-action="speak:next->player#next">Next</button>`
+        const next = vi.fn()
+        element.addEventListener("speak:next", next)
+        speakThenInstance = new SpeakThen(element, { minCoverage: 0 })
+        await speakThenInstance.start()
+        speakThenInstance.wake()
+
+        hear("the next one is wrong")
+
+        expect(next).toHaveBeenCalledTimes(1)
+      })
+
+      it("tolerates small recognition errors", async () => {
+        const { play_music } = await listen(`
+          <button data-action="speak:play_music->player#play">Play</button>
+        `, "play_music")
+
+        hear("play musik")
+
+        expect(play_music).toHaveBeenCalledTimes(1)
+        expect(play_music.mock.calls[0][0].detail.score).toBeLessThan(1)
+      })
+
+      it("rejects words that are too far from any phrase", async () => {
+        const { next } = await listen(`
+          <button data-action="speak:next->player#next">Next</button>
+        `, "next")
+
+        hear("text")
+
+        expect(next).not.toHaveBeenCalled()
+      })
+
+      it("dispatches only the best-scoring command", async () => {
+        const { next, next_track } = await listen(`
+          <button data-action="speak:next->player#next">Next</button>
+          <button data-action="speak:next_track->player#nextTrack">Next track</button>
+        `, "next", "next_track")
+
+        hear("next track")
+
+        expect(next_track).toHaveBeenCalledTimes(1)
+        expect(next_track.mock.calls[0][0].detail.score).toBe(1)
+        expect(next).not.toHaveBeenCalled()
+      })
+
+      it("prefers a phrase that covers more of the utterance", async () => {
+        const { next } = await listen(`
+          <button data-action="speak:next->player#next">Next</button>
+        `, "next")
+
+        hear("next please")
+
+        expect(next.mock.calls[0][0].detail.score).toBeLessThan(1)
+        expect(next.mock.calls[0][0].detail.score).toBeGreaterThan(0.8)
+      })
+
+      it("considers every alternative", async () => {
+        const { pause } = await listen(`
+          <button data-action="speak:pause->player#pause">Pause</button>
+        `, "pause")
+
+        hearAlternatives(
+          { transcript: "paws", confidence: 0.8 },
+          { transcript: "pause", confidence: 0.6 }
+        )
+
+        expect(pause).toHaveBeenCalledTimes(1)
+        expect(pause.mock.calls[0][0].detail).toMatchObject({ transcript: "pause", confidence: 0.6, score: 1 })
+      })
+
+      it("ignores alternatives below the recognition confidence", async () => {
+        element.innerHTML = `
+          <button data-action="speak:pause->player#pause">Pause</button>
+        `
+        const pause = vi.fn()
+        element.addEventListener("speak:pause", pause)
+        speakThenInstance = new SpeakThen(element, { recognitionConfidence: 0.7 })
+        await speakThenInstance.start()
+        speakThenInstance.wake()
+
+        hearAlternatives({ transcript: "pause", confidence: 0.5 })
+
+        expect(pause).not.toHaveBeenCalled()
+      })
+    })
+
+    it("reports the canonical phrase for aliases", async () => {
+      element.innerHTML = `
+        <button data-action="speak:next|skip|move_forward->player#next">Next</button>
+      `
+      const handler = vi.fn()
+      element.querySelector("button").addEventListener("speak:next|skip|move_forward", handler)
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.start()
+      speakThenInstance.wake()
+
+      hear("skip")
+      hear("next")
+
+      expect(handler).toHaveBeenCalledTimes(2)
+      expect(handler.mock.calls[0][0].detail).toMatchObject({ phrase: "next", alias: "skip" })
+      expect(handler.mock.calls[1][0].detail).toMatchObject({ phrase: "next", alias: null })
+    })
+
+    it("extracts slots from aliases", async () => {
+      element.innerHTML = `
+        <button data-action="speak:set_volume_to_{level}|volume_{level}->player#volume">Volume</button>
+      `
+      const handler = vi.fn()
+      element.querySelector("button").addEventListener("speak:set_volume_to_{level}|volume_{level}", handler)
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.start()
+      speakThenInstance.wake()
+
+      hear("volume seven")
+
+      expect(handler.mock.calls[0][0].detail).toMatchObject({ phrase: "set volume to {level}", params: { level: 7 } })
+    })
+
+    describe("languages", () => {
+      const listen = async (html, config = {}) => {
+        element.innerHTML = html
+        speakThenInstance = new SpeakThen(element, { lang: "fr-FR", ...config })
+        await speakThenInstance.start()
+        speakThenInstance.wake()
+      }
+
+      it("uses the phrases for the current language", async () => {
+        await listen(`
+          <button data-action="speak:next->player#next" data-speak-then-phrases-fr="suivant, page suivante">Next</button>
+        `)
+        const handler = vi.fn()
+        element.querySelector("button").addEventListener("speak:next", handler)
+
+        hear("Page suivante !")
+
+        expect(speakThenInstance.commandRecognizer.commands.has("next")).toBe(false)
+        expect(handler.mock.calls[0][0].detail).toMatchObject({ phrase: "next", alias: "page suivante" })
+      })
+
+      it("keeps the action name for wake word commands and synonyms", async () => {
+        await listen(`
+          <button data-action="speak:next->player#next" data-speak-then-phrases-fr="suivant">Next</button>
+        `, { wakeModels: [{ model: "hey_jarvis_v0.1.onnx", commands: ["next"] }], synonyms: { next: ["avance"] } })
+        const handler = vi.fn()
+        element.querySelector("button").addEventListener("speak:next", handler)
+        speakThenInstance.sleep()
+        speakThenInstance.wake("hey_jarvis")
+
+        hear("suivant")
+        hear("avance")
+
+        expect(handler.mock.calls.map(([event]) => event.detail)).toMatchObject([
+          { phrase: "next", alias: "suivant" },
+          { phrase: "next", alias: "avance" }
+        ])
+      })
+
+      it("prefers phrases for the region", async () => {
+        await listen(`
+          <button data-action="speak:lunch->menu#lunch"
+                  data-speak-then-phrases-fr="déjeuner"
+                  data-speak-then-phrases-fr-ca="dîner">Lunch</button>
+        `, { lang: "fr-CA" })
+
+        expect([...speakThenInstance.commandRecognizer.commands.keys()]).toEqual(["dîner"])
+      })
+
+      it("falls back to the action name", async () => {
+        await listen(`
+          <button data-action="speak:ok->dialog#close">OK</button>
+        `)
+
+        expect(speakThenInstance.commandRecognizer.commands.has("ok")).toBe(true)
+      })
+
+      it("ignores accents and reads numbers in the language", async () => {
+        await listen(`
+          <button data-action="speak:volume_{level}->player#volume" data-speak-then-phrases-fr="régler le volume à {level}">Volume</button>
+        `)
+        const handler = vi.fn()
+        element.querySelector("button").addEventListener("speak:volume_{level}", handler)
+
+        hear("regler le volume a vingt et un")
+
+        expect(handler.mock.calls[0][0].detail.params).toEqual({ level: 21 })
+      })
+
+      it("keeps accents in slot values", async () => {
+        await listen(`
+          <button data-action="speak:go_to_{place}->nav#go" data-speak-then-phrases-fr="aller à {place}">Go</button>
+        `)
+        const handler = vi.fn()
+        element.querySelector("button").addEventListener("speak:go_to_{place}", handler)
+
+        hear("aller a l'école")
+
+        expect(handler.mock.calls[0][0].detail.params).toEqual({ place: "l'école" })
+      })
+
+      it("says the confirmation for the language", async () => {
+        await listen(`
+          <button data-action="speak:save->form#save"
+                  data-speak-then-phrases-fr="enregistrer"
+                  data-speak-then-confirm-text="Saved"
+                  data-speak-then-confirm-text-fr="Enregistré">Save</button>
+        `)
+        const say = vi.spyOn(speakThenInstance.feedback, "say").mockResolvedValue(undefined)
+
+        hear("enregistrer")
+
+        await vi.waitFor(() => expect(say).toHaveBeenCalledWith("Enregistré"))
+      })
+
+      it("switches language while listening", async () => {
+        await listen(`
+          <button data-action="speak:next->player#next" data-speak-then-phrases-fr="suivant" data-speak-then-phrases-de="weiter">Next</button>
+        `)
+        const handler = vi.fn()
+        element.querySelector("button").addEventListener("speak:next", handler)
+
+        await speakThenInstance.setLang("de-DE")
+
+        const recognition = speakThenInstance.commandRecognizer.engine.recognizer.recognition
+        expect(recognition.lang).toBe("de-DE")
+        expect(recognition.start).toHaveBeenCalled()
+        expect(speakThenInstance.feedback.lang).toBe("de-DE")
+
+        hear("weiter")
+        expect(handler.mock.calls[0][0].detail).toMatchObject({ phrase: "next", alias: "weiter" })
+      })
+
+      it("follows edits to per-language phrases", async () => {
+        await listen(`
+          <button data-action="speak:next->player#next" data-speak-then-phrases-fr="suivant">Next</button>
+        `)
+
+        element.querySelector("button").dataset.speakThenPhrasesFr = "après"
+        await new Promise(resolve => setTimeout(resolve, 0))
+
+        expect([...speakThenInstance.commandRecognizer.commands.keys()]).toEqual(["après"])
+      })
+    })
+
+    it("does not dispatch when the fixed words are missing", async () => {
+      element.innerHTML = `
+        <button data-action="speak:go_to_page_{number}->pager#go">Go</button>
+      `
+      const handler = vi.fn()
+      element.querySelector("button").addEventListener("speak:go_to_page_{number}", handler)
+      speakThenInstance = new SpeakThen(element)
+      await speakThenInstance.start()
+      speakThenInstance.wake()
+
+      hear("go to slide 12")
+
+      expect(handler).not.toHaveBeenCalled()
+    })
+
+    describe("targeting", () => {
+      const listen = async (html) => {
+        document.body.append(element)
+        element.innerHTML = html
+        speakThenInstance = new SpeakThen(element)
+        await speakThenInstance.start()
+        speakThenInstance.wake()
+      }
+
+      const spy = (selector, name) => {
+        const handler = vi.fn()
+        element.querySelector(selector).addEventListener(`speak:${name}`, handler)
+        return handler
+      }
+
+      afterEach(() => {
+        element.remove()
+      })
+
+      it("skips hidden and disabled elements", async () => {
+        await listen(`
+          <button id="hidden" hidden data-action="speak:save->form#save">Save</button>
+          <button id="disabled" disabled data-action="speak:save->form#save">Save</button>
+          <button id="visible" data-action="speak:save->form#save">Save</button>
+        `)
+        const hidden = spy("#hidden", "save")
+        const disabled = spy("#disabled", "save")
+        const visible = spy("#visible", "save")
+
+        hear("save")
+
+        expect(hidden).not.toHaveBeenCalled()
+        expect(disabled).not.toHaveBeenCalled()
+        expect(visible.mock.calls[0][0].detail.reason).toBe("only")
+      })
+
+      it("ignores phrases whose elements are all unavailable", async () => {
+        await listen(`
+          <dialog><button id="closed" data-action="speak:next_page->pager#next">Next page</button></dialog>
+          <button id="next" data-action="speak:next->pager#next">Next</button>
+        `)
+        const closed = spy("#closed", "next_page")
+        const next = spy("#next", "next")
+
+        hear("next page")
+
+        expect(closed).not.toHaveBeenCalled()
+        expect(next).toHaveBeenCalledTimes(1)
+      })
+
+      it("only dispatches inside an open modal", async () => {
+        await listen(`
+          <button id="row" data-action="speak:delete->rows#delete">Delete</button>
+          <div role="dialog" aria-modal="true">
+            <button id="confirm" data-action="speak:delete->modal#delete">Delete</button>
+          </div>
+        `)
+        const row = spy("#row", "delete")
+        const confirm = spy("#confirm", "delete")
+
+        hear("delete")
+
+        expect(row).not.toHaveBeenCalled()
+        expect(confirm.mock.calls[0][0].detail.reason).toBe("modal")
+      })
+
+      it("prefers the element nearest the focused one", async () => {
+        await listen(`
+          <form id="billing"><input><button data-action="speak:save->form#save">Save</button></form>
+          <form id="shipping"><input><button data-action="speak:save->form#save">Save</button></form>
+        `)
+        const billing = spy("#billing button", "save")
+        const shipping = spy("#shipping button", "save")
+        element.querySelector("#shipping input").focus()
+
+        hear("save")
+
+        expect(billing).not.toHaveBeenCalled()
+        expect(shipping.mock.calls[0][0].detail.reason).toBe("focus")
+      })
+
+      it("dispatches to every element when nothing decides between them", async () => {
+        await listen(`
+          <button id="a" data-action="speak:save->form#save">Save</button>
+          <button id="b" data-action="speak:save->form#save">Save</button>
+        `)
+        const a = spy("#a", "save")
+        const b = spy("#b", "save")
+
+        hear("save")
+
+        expect(a.mock.calls[0][0].detail.reason).toBe("all")
+        expect(b).toHaveBeenCalledTimes(1)
+      })
+    })
+
+    describe("sequences", () => {
+      const listen = async (config = {}) => {
+        element.innerHTML = `
+          <button data-action="speak:next->player#next">Next</button>
+          <button data-action="speak:pause->player#pause">Pause</button>
+          <button data-action="speak:volume_{level}->player#volume">Volume</button>
+          <button data-action="speak:rock_and_roll->radio#play">Rock and roll</button>
+          <button data-action="speak:rock->radio#rock">Rock</button>
+          <button data-action="speak:roll->radio#roll">Roll</button>
+        `
+        const events = []
+        for (const name of ["next", "pause", "volume_{level}", "rock_and_roll", "rock", "roll"]) {
+          element.addEventListener(`speak:${name}`, (event) => events.push([name, event.detail]))
+        }
+        speakThenInstance = new SpeakThen(element, config)
+        await speakThenInstance.start()
+        speakThenInstance.wake()
+        return events
+      }
+
+      it("dispatches commands in spoken order", async () => {
+        const events = await listen()
+
+        hear("pause and then next")
+
+        expect(events.map(([name]) => name)).toEqual(["pause", "next"])
+        expect(events[0][1]).toMatchObject({ transcript: "pause", count: 1, repetition: 1 })
+      })
+
+      it("fires a repeated command once per time it was said", async () => {
+        const events = await listen()
+
+        hear("next next next then pause")
+
+        expect(events.map(([name, { count, repetition }]) => [name, count, repetition])).toEqual([
+          ["next", 3, 1], ["next", 3, 2], ["next", 3, 3], ["pause", 1, 1]
+        ])
+      })
+
+      it("keeps slots to their own step", async () => {
+        const events = await listen()
+
+        hear("volume five and then next")
+
+        expect(events.map(([name, { params }]) => [name, params])).toEqual([["volume_{level}", { level: 5 }], ["next", {}]])
+      })
+
+      it("matches the whole utterance when a part matches nothing", async () => {
+        const events = await listen()
+
+        hear("next and have fun")
+
+        expect(events.map(([name]) => name)).toEqual(["next"])
+      })
+
+      it("doesn't split a phrase heard exactly", async () => {
+        const events = await listen()
+
+        hear("rock and roll")
+
+        expect(events.map(([name]) => name)).toEqual(["rock_and_roll"])
+      })
+
+      it("waits for a step's handler before the next step", async () => {
+        const events = await listen()
+        let finish
+        element.addEventListener("speak:pause", ({ detail }) => detail.waitUntil(new Promise(resolve => { finish = resolve })))
+
+        hear("pause and next")
+        hear("rock")
+        expect(events.map(([name]) => name)).toEqual(["pause"])
+
+        finish()
+        await vi.waitFor(() => expect(events.map(([name]) => name)).toEqual(["pause", "next", "rock"]))
+      })
+
+      it("drops the rest of the steps when a handler fails", async () => {
+        const onError = vi.fn()
+        const error = vi.spyOn(console, "error").mockImplementation(() => {})
+        const events = await listen({ onError })
+        element.addEventListener("speak:pause", ({ detail }) => detail.waitUntil(Promise.reject(new Error("Player gone"))))
+
+        hear("pause and next")
+
+        await vi.waitFor(() => expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: "Player gone" })))
+        expect(events.map(([name]) => name)).toEqual(["pause"])
+        error.mockRestore()
+      })
+
+      it("pauses between steps", async () => {
+        vi.useFakeTimers()
+        try {
+          const events = await listen({ sequenceDelay: 500 })
+
+          hear("next and pause")
+          expect(events.map(([name]) => name)).toEqual(["next"])
+
+          await vi.advanceTimersByTimeAsync(500)
+          expect(events.map(([name]) => name)).toEqual(["next", "pause"])
+        } finally {
+          vi.useRealTimers()
+        }
+      })
+
+      it("abandons waiting steps on stop", async () => {
+        vi.useFakeTimers()
+        try {
+          const events = await listen({ sequenceDelay: 500 })
+
+          hear("next and pause")
+          speakThenInstance.stop()
+          await vi.advanceTimersByTimeAsync(500)
+
+          expect(events.map(([name]) => name)).toEqual(["next"])
+        } finally {
+          vi.useRealTimers()
+        }
+      })
+    })
+
+    describe("transcripts", () => {
+      const listen = async (html, config = {}) => {
+        element.innerHTML = html
+        speakThenInstance = new SpeakThen(element, config)
+        await speakThenInstance.start()
+        speakThenInstance.wake()
+      }
+
+      it("reports every final transcript", async () => {
+        const onTranscript = vi.fn()
+        await listen(`<button data-action="speak:next->player#next">Next</button>`, { onTranscript })
+
+        hear("Next")
+        hear("hello")
+
+        expect(onTranscript.mock.calls.map(([heard]) => heard)).toEqual([
+          { transcript: "next", alternatives: [{ transcript: "next", confidence: undefined }], recognized: true },
+          { transcript: "hello", alternatives: [{ transcript: "hello", confidence: undefined }], recognized: false }
+        ])
+      })
+
+      it("reports unrecognized speech with the closest phrases", async () => {
+        const onUnrecognized = vi.fn()
+        await listen(`
+          <button data-action="speak:next_slide->deck#next" data-speak-then-aliases="forward">Next</button>
+          <button data-action="speak:next_line->editor#next">Next line</button>
+          <button data-action="speak:previous_slide->deck#previous">Previous</button>
+        `, { onUnrecognized })
+
+        hear("nex sli")
+
+        const [{ transcript, suggestions }] = onUnrecognized.mock.calls[0]
+        expect(transcript).toBe("nex sli")
+        expect(suggestions.map(s => s.phrase)).toEqual(["next slide", "next line"])
+        expect(suggestions[0].score).toBeGreaterThan(suggestions[1].score)
+      })
+
+      it("suggests each canonical phrase once", async () => {
+        const onUnrecognized = vi.fn()
+        await listen(`
+          <button data-action="speak:next->player#next" data-speak-then-aliases="next one">Next</button>
+        `, { onUnrecognized })
+
+        hear("nex on")
+
+        expect(onUnrecognized.mock.calls[0][0].suggestions.map(s => s.phrase)).toEqual(["next"])
+      })
+
+      it("compares the words of phrases with slots", async () => {
+        const onUnrecognized = vi.fn()
+        await listen(`
+          <button data-action="speak:set_volume_to_{level}->player#volume">Volume</button>
+        `, { onUnrecognized })
+
+        hear("set volum")
+
+        expect(onUnrecognized.mock.calls[0][0].suggestions.map(s => s.phrase)).toEqual(["set volume to {level}"])
+      })
+
+      it("doesn't suggest commands that are unavailable", async () => {
+        const onUnrecognized = vi.fn()
+        await listen(`
+          <button data-action="speak:next->player#next" hidden>Next</button>
+        `, { onUnrecognized })
+
+        hear("nex")
+
+        expect(onUnrecognized.mock.calls[0][0].suggestions).toEqual([])
+      })
+
+      it("doesn't report a command that fired on an interim result as unrecognized", async () => {
+        const onTranscript = vi.fn()
+        const onUnrecognized = vi.fn()
+        await listen(`<button data-action="speak:next->player#next">Next</button>`, { interimResults: true, onTranscript, onUnrecognized })
+        const result = (transcript, isFinal) => speakThenInstance.commandRecognizer.engine.recognizer.recognition.onresult({
+          resultIndex: 0,
+          results: [Object.assign([{ transcript }], { isFinal })]
+        })
+
+        result("next", false)
+        result("next", false)
+        expect(onTranscript).not.toHaveBeenCalled()
+
+        result("next please", true)
+        expect(onTranscript.mock.calls[0][0]).toMatchObject({ transcript: "next please", recognized: true })
+        expect(onUnrecognized).not.toHaveBeenCalled()
+      })
+    })
+
+    describe("interim results", () => {
+      // One utterance: interim results, then a final one with the same utterance index
+      const result = (transcript, isFinal = false) => {
+        speakThenInstance.commandRecognizer.engine.recognizer.recognition.onresult({
+          resultIndex: 0,
+          results: [Object.assign([{ transcript }], { isFinal })]
+        })
+      }
+
+      const listen = async (html, name, config = {}) => {
+        element.innerHTML = html
+        const handler = vi.fn()
+        element.addEventListener(`speak:${name}`, handler)
+        speakThenInstance = new SpeakThen(element, { interimResults: true, ...config })
+        await speakThenInstance.start()
+        speakThenInstance.wake()
+        return handler
+      }
+
+      it("asks the recognizer for interim results", async () => {
+        await listen(`<button data-action="speak:next->player#next">Next</button>`, "next")
+
+        expect(speakThenInstance.commandRecognizer.engine.recognizer.recognition.interimResults).toBe(true)
+      })
+
+      it("ignores interim results unless enabled", async () => {
+        const handler = await listen(`<button data-action="speak:next->player#next">Next</button>`, "next", { interimResults: false })
+
+        result("next")
+        result("next")
+        expect(handler).not.toHaveBeenCalled()
+
+        result("next", true)
+        expect(handler).toHaveBeenCalledTimes(1)
+      })
+
+      it("fires once the command is stable and not again on the final result", async () => {
+        const handler = await listen(`<button data-action="speak:next->player#next">Next</button>`, "next")
+
+        result("next")
+        expect(handler).not.toHaveBeenCalled()
+
+        result("next")
+        expect(handler).toHaveBeenCalledTimes(1)
+        expect(handler.mock.calls[0][0].detail).toMatchObject({ phrase: "next", final: false })
+
+        result("next")
+        result("next", true)
+        expect(handler).toHaveBeenCalledTimes(1)
+      })
+
+      it("uses the configured stability", async () => {
+        const handler = await listen(`<button data-action="speak:next->player#next">Next</button>`, "next", { interimStability: 3 })
+
+        result("next")
+        result("next")
+        expect(handler).not.toHaveBeenCalled()
+
+        result("next")
+        expect(handler).toHaveBeenCalledTimes(1)
+      })
+
+      it("doesn't repeat a command heard through an alias", async () => {
+        const handler = await listen(`
+          <button data-action="speak:next->player#next" data-speak-then-aliases="skip">Next</button>
+        `, "next")
+
+        result("next")
+        result("next")
+        result("skip", true)
+
+        expect(handler).toHaveBeenCalledTimes(1)
+      })
+
+      it("still fires a different command in the final result", async () => {
+        element.innerHTML = `
+          <button data-action="speak:next->player#next">Next</button>
+          <button data-action="speak:next_track->player#skip">Skip</button>
+        `
+        const next = vi.fn()
+        const nextTrack = vi.fn()
+        element.addEventListener("speak:next", next)
+        element.addEventListener("speak:next_track", nextTrack)
+        speakThenInstance = new SpeakThen(element, { interimResults: true })
+        await speakThenInstance.start()
+        speakThenInstance.wake()
+
+        result("next")
+        result("next")
+        result("next track", true)
+
+        expect(next).toHaveBeenCalledTimes(1)
+        expect(nextTrack).toHaveBeenCalledTimes(1)
+        expect(nextTrack.mock.calls[0][0].detail.final).toBe(true)
+      })
+
+      it("fires the rest of a sequence on the final result", async () => {
+        element.innerHTML = `
+          <button data-action="speak:next->player#next">Next</button>
+          <button data-action="speak:pause->player#pause">Pause</button>
+        `
+        const events = []
+        element.addEventListener("speak:next", () => events.push("next"))
+        element.addEventListener("speak:pause", () => events.push("pause"))
+        speakThenInstance = new SpeakThen(element, { interimResults: true })
+        await speakThenInstance.start()
+        speakThenInstance.wake()
+
+        result("next")
+        result("next and")
+        result("next and next then pause", true)
+
+        expect(events).toEqual(["next", "next", "pause"])
+      })
+
+      it("counts a repeat that finishes on the final result", async () => {
+        const handler = await listen(`<button data-action="speak:next->player#next">Next</button>`, "next")
+
+        result("next")
+        result("next")
+        result("next next", true)
+
+        expect(handler).toHaveBeenCalledTimes(2)
+        expect(handler.mock.calls[1][0].detail).toMatchObject({ count: 2, repetition: 2, final: true })
+      })
+
+      it("doesn't take the answer to a question from the utterance that asked it", async () => {
+        const onConfirmationResolved = vi.fn()
+        const handler = await listen(`
+          <button data-action="speak:cancel_subscription->account#cancel" data-speak-then-confirm>Cancel</button>
+        `, "cancel_subscription", { onConfirmationResolved })
+
+        result("cancel subscription")
+        result("cancel subscription")
+        expect(speakThenInstance.state).toBe("confirming")
+
+        result("cancel subscription", true)
+        expect(speakThenInstance.state).toBe("confirming")
+        expect(onConfirmationResolved).not.toHaveBeenCalled()
+
+        speakThenInstance.commandRecognizer.engine.recognizer.recognition.onresult({
+          resultIndex: 1,
+          results: [[{ transcript: "cancel subscription" }], Object.assign([{ transcript: "yes" }], { isFinal: true })]
+        })
+        await vi.waitFor(() => expect(handler).toHaveBeenCalledTimes(1))
+        expect(onConfirmationResolved).toHaveBeenCalledWith(expect.objectContaining({ result: "confirmed" }))
+      })
+
+      it("fires the same command again in a new utterance", async () => {
+        const handler = await listen(`<button data-action="speak:next->player#next">Next</button>`, "next")
+
+        result("next")
+        result("next")
+        result("next", true)
+        result("next", true)
+
+        expect(handler).toHaveBeenCalledTimes(2)
+      })
+
+      it("waits for the final result when the command ends in a slot", async () => {
+        const handler = await listen(`
+          <button data-action="speak:volume_{level}->player#volume">Volume</button>
+        `, "volume_{level}")
+
+        result("volume twenty")
+        result("volume twenty")
+        expect(handler).not.toHaveBeenCalled()
+
+        result("volume twenty three", true)
+        expect(handler).toHaveBeenCalledTimes(1)
+        expect(handler.mock.calls[0][0].detail.params).toEqual({ level: 23 })
+      })
+
+      it("waits for the final result when the element opts out", async () => {
+        const handler = await listen(`
+          <button data-action="speak:delete->list#delete" data-speak-then-interim="false">Delete</button>
+        `, "delete")
+
+        result("delete")
+        result("delete")
+        expect(handler).not.toHaveBeenCalled()
+
+        result("delete", true)
+        expect(handler).toHaveBeenCalledTimes(1)
+      })
+
+      it("reports unrecognized speech only for final results", async () => {
+        await listen(`<button data-action="speak:next->player#next">Next</button>`, "next")
+        const heard = vi.spyOn(speakThenInstance, "heard")
+
+        result("hello")
+        result("hello")
+        expect(heard).not.toHaveBeenCalled()
+
+        result("hello there", true)
+        expect(heard).toHaveBeenCalledWith(null)
+      })
+    })
   })
 
   it("calls onError when speech recognition not supported", async () => {
@@ -0,0 +1,68 @@
+// Decides which of the elements registered for a phrase a command goes to. Elements the user
+// can't see or use are skipped, an open modal hides everything outside it, and when several
+// elements are left the ones nearest the focused element win.
+
+function matches(element, selector) {
+  try {
+    return element.matches(selector)
+  } catch {
+    // Older engines don't know :modal
+    return false
+  }
+}
+
+function visible(element) {
+  if (typeof element.checkVisibility === "function") {
+    return element.checkVisibility({ visibilityProperty: true })
+  }
+
+  if (element.closest("[hidden]")) return false
+  for (let node = element; node; node = node.parentElement) {
+    if (getComputedStyle(node).display === "none") return false
+  }
+  return getComputedStyle(element).visibility !== "hidden"
+}
+
+export function interactable(element) {
+  return !matches(element, ":disabled") &&
+    !element.closest("[inert]") &&
+    !element.closest("dialog:not([open])") &&
+    visible(element)
+}
+
+// The modal shown last; showModal() dialogs and aria-modal widgets both block the page behind them
+export function topModal(document) {
+  const modals = [...document.querySelectorAll("dialog[open], [aria-modal='true']")]
+    .filter(element => element.localName !== "dialog" || matches(element, ":modal") || element.getAttribute("aria-modal") === "true")
+    .filter(element => interactable(element))
+  return modals.at(-1) ?? null
+}
+
+export function available(entries, modal) {
+  return entries.filter(({ element }) => (!modal || modal.contains(element)) && interactable(element))
+}
+
+// How many steps up from the focused element it takes to reach an ancestor of element
+function distanceFromFocus(element, focus) {
+  let distance = 0
+  for (let node = focus; node; node = node.parentElement, distance++) {
+    if (node.contains(element)) return distance
+  }
+  return Infinity
+}
+
+// Returns the entries to dispatch to and why: "only" (the one available element), "modal"
+// (inside the open modal), "focus" (nearest the focused element) or "all" (no way to choose)
+export function preferred(entries, modal) {
+  if (entries.length === 1) return { entries, reason: modal ? "modal" : "only" }
+
+  const focus = entries[0].element.ownerDocument.activeElement
+  if (focus && focus !== focus.ownerDocument.body) {
+    const distances = entries.map(({ element }) => distanceFromFocus(element, focus))
+    const nearest = Math.min(...distances)
+    const closest = entries.filter((_, i) => distances[i] === nearest)
+    if (closest.length < entries.length) return { entries: closest, reason: "focus" }
+  }
+
+  return { entries, reason: modal ? "modal" : "all" }
+}
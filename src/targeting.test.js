@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach } from "vitest"
+import { interactable, topModal, available, preferred } from "./targeting.js"
+
+const entry = (selector) => ({ element: document.querySelector(selector) })
+
+describe("interactable", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <button id="plain">Plain</button>
+      <button id="disabled" disabled>Disabled</button>
+      <fieldset disabled><button id="fieldset">In disabled fieldset</button></fieldset>
+      <div hidden><button id="hidden">Hidden</button></div>
+      <div style="display: none"><button id="undisplayed">Not displayed</button></div>
+      <button id="invisible" style="visibility: hidden">Invisible</button>
+      <div inert><button id="inert">Inert</button></div>
+      <dialog><button id="closed">In closed dialog</button></dialog>
+      <dialog open><button id="open">In open dialog</button></dialog>
+    `
+  })
+
+  it("accepts visible, enabled elements", () => {
+    expect(interactable(document.querySelector("#plain"))).toBe(true)
+    expect(interactable(document.querySelector("#open"))).toBe(true)
+  })
+
+  it.each(["disabled", "fieldset", "hidden", "undisplayed", "invisible", "inert", "closed"])("skips #%s", (id) => {
+    expect(interactable(document.querySelector(`#${id}`))).toBe(false)
+  })
+})
+
+describe("topModal", () => {
+  it("finds the last open modal", () => {
+    document.body.innerHTML = `
+      <div role="dialog" aria-modal="true" id="first"></div>
+      <div role="dialog" aria-modal="true" id="second"></div>
+    `
+
+    expect(topModal(document).id).toBe("second")
+  })
+
+  it("ignores hidden modals and non-modal dialogs", () => {
+    document.body.innerHTML = `
+      <div role="dialog" aria-modal="true" hidden></div>
+      <dialog open></dialog>
+    `
+
+    expect(topModal(document)).toBeNull()
+  })
+})
+
+describe("available", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <button id="row">Delete row</button>
+      <div role="dialog" aria-modal="true"><button id="modal">Delete</button></div>
+    `
+  })
+
+  it("keeps only elements inside the modal", () => {
+    const modal = topModal(document)
+
+    expect(available([entry("#row"), entry("#modal")], modal).map(e => e.element.id)).toEqual(["modal"])
+  })
+
+  it("keeps every interactable element without a modal", () => {
+    expect(available([entry("#row"), entry("#modal")], null)).toHaveLength(2)
+  })
+})
+
+describe("preferred", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <section id="one"><input id="field-one"><button id="save-one">Save</button></section>
+      <section id="two"><input id="field-two"><button id="save-two">Save</button></section>
+    `
+  })
+
+  it("explains a single target", () => {
+    expect(preferred([entry("#save-one")], null).reason).toBe("only")
+    expect(preferred([entry("#save-one")], document.body).reason).toBe("modal")
+  })
+
+  it("prefers the element nearest the focused one", () => {
+    document.querySelector("#field-two").focus()
+
+    const { entries, reason } = preferred([entry("#save-one"), entry("#save-two")], null)
+
+    expect(entries.map(e => e.element.id)).toEqual(["save-two"])
+    expect(reason).toBe("focus")
+  })
+
+  it("keeps every element without focus", () => {
+    document.activeElement.blur()
+
+    const { entries, reason } = preferred([entry("#save-one"), entry("#save-two")], null)
+
+    expect(entries).toHaveLength(2)
+    expect(reason).toBe("all")
+  })
+})
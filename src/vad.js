@@ -0,0 +1,37 @@
+// Tells speech from silence by the loudness of each frame. A couple of loud frames in a row
+// start speech, so a click or a bump doesn't count; the first quiet frame ends it.
+
+// 80ms frames, so speech has to last 160ms
+const ONSET_FRAMES = 2
+
+export class VoiceActivity {
+  constructor({ threshold = -45, onSpeechStart = null, onSpeechEnd = null } = {}) {
+    this.threshold = threshold
+    this.onSpeechStart = onSpeechStart
+    this.onSpeechEnd = onSpeechEnd
+    this.reset()
+  }
+
+  // Forgets what was heard, e.g. when a new listening session starts
+  reset() {
+    this.loud = 0
+    this.speaking = false
+    // Whether there was speech since the reset
+    this.spoke = false
+  }
+
+  // level is { db } from loudness()
+  hear({ db }) {
+    if (db >= this.threshold) {
+      if (this.speaking || ++this.loud < ONSET_FRAMES) return
+      this.speaking = true
+      this.spoke = true
+      this.onSpeechStart?.()
+    } else {
+      this.loud = 0
+      if (!this.speaking) return
+      this.speaking = false
+      this.onSpeechEnd?.()
+    }
+  }
+}
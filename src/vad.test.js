@@ -0,0 +1,59 @@
+import { describe, it, expect, vi } from "vitest"
+import { VoiceActivity } from "./vad.js"
+
+const LOUD = { level: 0.6, db: -24 }
+const QUIET = { level: 0.1, db: -54 }
+
+describe("VoiceActivity", () => {
+  it("starts speech after two loud frames and ends it on a quiet one", () => {
+    const onSpeechStart = vi.fn()
+    const onSpeechEnd = vi.fn()
+    const vad = new VoiceActivity({ onSpeechStart, onSpeechEnd })
+
+    vad.hear(LOUD)
+    expect(vad.speaking).toBe(false)
+
+    vad.hear(LOUD)
+    vad.hear(LOUD)
+    expect(vad.speaking).toBe(true)
+    expect(onSpeechStart).toHaveBeenCalledTimes(1)
+
+    vad.hear(QUIET)
+    expect(vad.speaking).toBe(false)
+    expect(onSpeechEnd).toHaveBeenCalledTimes(1)
+  })
+
+  it("ignores single loud frames", () => {
+    const onSpeechStart = vi.fn()
+    const vad = new VoiceActivity({ onSpeechStart })
+
+    for (let i = 0; i < 5; i++) {
+      vad.hear(LOUD)
+      vad.hear(QUIET)
+    }
+
+    expect(onSpeechStart).not.toHaveBeenCalled()
+    expect(vad.spoke).toBe(false)
+  })
+
+  it("takes a threshold in dBFS", () => {
+    const vad = new VoiceActivity({ threshold: -20 })
+
+    vad.hear(LOUD)
+    vad.hear(LOUD)
+
+    expect(vad.speaking).toBe(false)
+  })
+
+  it("remembers speech until reset", () => {
+    const vad = new VoiceActivity()
+    vad.hear(LOUD)
+    vad.hear(LOUD)
+    vad.hear(QUIET)
+    expect(vad.spoke).toBe(true)
+
+    vad.reset()
+
+    expect(vad.spoke).toBe(false)
+  })
+})
@@ -0,0 +1,174 @@
+// The openWakeWord inference pipeline (melspectrogram → embedding → wake classifiers),
+// independent of where audio comes from and which onnxruntime build runs it.
+// Used on the main thread, in the wake worker and by the evaluation CLI.
+
+export const SAMPLE_RATE = 16000
+export const FRAME_SAMPLES = 1280
+
+const MELSPEC_WINDOW = 76
+const MEL_BINS = 32
+const EMBEDDING_WINDOW = 16
+const EMBEDDING_SIZE = 96
+
+export function modelPaths(basePath, wakeWords) {
+  return {
+    mel: `${basePath}/melspectrogram.onnx`,
+    emb: `${basePath}/embedding_model.onnx`,
+    wake: wakeWords.map(({ model }) => `${basePath}/${model}`)
+  }
+}
+
+// models holds a URL, path or the bytes of each model, shaped like modelPaths()
+export async function createSessions(ort, models, opts = { executionProviders: ["wasm"] }) {
+  // Load all models in parallel for faster initialization; wake words share mel and embedding
+  const [mel, emb, ...wake] = await Promise.all([
+    ort.InferenceSession.create(models.mel, opts),
+    ort.InferenceSession.create(models.emb, opts),
+    ...models.wake.map(model => ort.InferenceSession.create(model, opts))
+  ])
+
+  return { mel, emb, wake }
+}
+
+export function loadSessions(ort, basePath, wakeWords, opts) {
+  return createSessions(ort, modelPaths(basePath, wakeWords), opts)
+}
+
+// Cuts audio at any sample rate into fixed-size frames at the output rate, resampling with
+// linear interpolation. Self-contained so it can also be inlined into the AudioWorklet.
+export class FrameBuffer {
+  constructor(inputRate, outputRate, frameSize, onFrame) {
+    this.inputRate = inputRate
+    this.step = inputRate / outputRate
+    this.frameSize = frameSize
+    this.onFrame = onFrame
+    this.position = 0
+    this.previous = 0
+    this.frame = new Float32Array(frameSize)
+    this.length = 0
+  }
+
+  push(input) {
+    const samples = input instanceof Int16Array ? Float32Array.from(input, v => v / 32768) : input
+    if (samples.length === 0) return
+
+    if (this.step === 1) {
+      for (let i = 0; i < samples.length; i++) this.write(samples[i])
+      return
+    }
+
+    // position is relative to this chunk; -1 < position < 0 interpolates from the previous chunk
+    let position = this.position
+    while (position < samples.length - 1) {
+      const i = Math.floor(position)
+      const a = i < 0 ? this.previous : samples[i]
+      this.write(a + (samples[i + 1] - a) * (position - i))
+      position += this.step
+    }
+    this.position = position - samples.length
+    this.previous = samples[samples.length - 1]
+  }
+
+  write(sample) {
+    this.frame[this.length++] = sample
+    if (this.length === this.frameSize) {
+      // The receiver owns the frame (it may be transferred), so start a new one
+      this.onFrame(this.frame)
+      this.frame = new Float32Array(this.frameSize)
+      this.length = 0
+    }
+  }
+}
+
+function tensorData(tensor) {
+  return tensor.data ?? Object.values(tensor.cpuData)
+}
+
+export async function classify(ort, session, features) {
+  const result = await session.run({
+    "x.1": new ort.Tensor("float32", features, [1, EMBEDDING_WINDOW, EMBEDDING_SIZE])
+  })
+
+  const outputKey = Object.keys(result)[0]
+  return tensorData(result[outputKey])[0]
+}
+
+export class WakePipeline {
+  constructor(ort, sessions, wakeWords, log = () => {}) {
+    this.ort = ort
+    this.sessions = sessions
+    this.wakeWords = wakeWords
+    this.log = log
+    this.melFrames = []
+    this.embeddingBuffer = []
+
+    // Pre-allocated buffers for inference (avoids GC pressure)
+    this.melInputBuffer = new Float32Array(MELSPEC_WINDOW * MEL_BINS)
+    this.embInputBuffer = new Float32Array(EMBEDDING_WINDOW * EMBEDDING_SIZE)
+  }
+
+  reset() {
+    this.melFrames = []
+    this.embeddingBuffer = []
+  }
+
+  // Feeds one frame of 16kHz audio and calls onWindow(features) for every new window of
+  // 16 embeddings. features is reused between calls; copy it to keep it.
+  async process(samples, onWindow) {
+    const { ort } = this
+    const audio = new ort.Tensor("float32", Float32Array.from(samples), [1, samples.length])
+    const mel = await this.sessions.mel.run({ input: audio })
+    const melData = Array.from(tensorData(mel.output))
+
+    for (let i = 0; i < melData.length / MEL_BINS; i++) {
+      const frame = melData.slice(i * MEL_BINS, (i + 1) * MEL_BINS)
+      for (let j = 0; j < frame.length; j++) {
+        frame[j] = (frame[j] / 10.0) + 2.0
+      }
+      this.melFrames.push(frame)
+    }
+
+    while (this.melFrames.length >= MELSPEC_WINDOW) {
+      // Reuse pre-allocated buffer
+      for (let i = 0; i < MELSPEC_WINDOW; i++) {
+        this.melInputBuffer.set(this.melFrames[i], i * MEL_BINS)
+      }
+
+      const emb = await this.sessions.emb.run({
+        input_1: new ort.Tensor("float32", this.melInputBuffer, [1, MELSPEC_WINDOW, MEL_BINS, 1])
+      })
+      this.embeddingBuffer.push(Array.from(tensorData(emb.conv2d_19)))
+
+      this.melFrames.splice(0, 8)
+
+      if (this.embeddingBuffer.length >= EMBEDDING_WINDOW) {
+        // Reuse pre-allocated buffer
+        const startIdx = this.embeddingBuffer.length - EMBEDDING_WINDOW
+        for (let i = 0; i < EMBEDDING_WINDOW; i++) {
+          this.embInputBuffer.set(this.embeddingBuffer[startIdx + i], i * EMBEDDING_SIZE)
+        }
+
+        await onWindow(this.embInputBuffer)
+
+        if (this.embeddingBuffer.length > 32) this.embeddingBuffer = this.embeddingBuffer.slice(-EMBEDDING_WINDOW)
+      }
+    }
+  }
+
+  // Scores every wake word and returns the strongest one over its threshold. onScores, when
+  // given, receives every score as [{ wakeWord, score, threshold }], e.g. for meters.
+  async detect(features, onScores = null) {
+    let detection = null
+    const scores = []
+
+    for (const [i, { name, confidence }] of this.wakeWords.entries()) {
+      const score = await classify(this.ort, this.sessions.wake[i], features)
+      if (score > 0.1) this.log("Wake score:", name, score.toFixed(3), score >= confidence ? "TRIGGERED" : "")
+      if (score >= confidence && score > (detection?.score ?? 0)) detection = { wakeWord: name, score }
+      scores.push({ wakeWord: name, score, threshold: confidence })
+    }
+
+    onScores?.(scores)
+    return detection
+  }
+}
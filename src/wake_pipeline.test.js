@@ -0,0 +1,151 @@
+import { describe, it, expect, vi } from "vitest"
+import { WakePipeline, FrameBuffer, loadSessions, classify, FRAME_SAMPLES } from "./wake_pipeline.js"
+
+const ort = {
+  InferenceSession: { create: vi.fn(async (url) => ({ url })) },
+  Tensor: vi.fn(function (type, data, dims) {
+    this.type = type
+    this.data = data
+    this.dims = dims
+  })
+}
+
+const session = (output) => ({ run: vi.fn().mockResolvedValue(output) })
+
+const sessions = (...scores) => ({
+  mel: session({ output: { data: new Float32Array(32) } }),
+  emb: session({ conv2d_19: { data: new Float32Array(96) } }),
+  wake: scores.map(score => session({ dense: { data: new Float32Array([score]) } }))
+})
+
+const feed = async (pipeline, frames, onWindow) => {
+  for (let i = 0; i < frames; i++) await pipeline.process(new Float32Array(FRAME_SAMPLES), onWindow)
+}
+
+describe("FrameBuffer", () => {
+  it("cuts audio into frames", () => {
+    const frames = []
+    const buffer = new FrameBuffer(16000, 16000, 4, (frame) => frames.push(Array.from(frame)))
+
+    buffer.push(new Float32Array([1, 2, 3]))
+    buffer.push(new Float32Array([4, 5, 6, 7, 8, 9]))
+
+    expect(frames).toEqual([[1, 2, 3, 4], [5, 6, 7, 8]])
+  })
+
+  it("hands over a new frame each time", () => {
+    const frames = []
+    const buffer = new FrameBuffer(16000, 16000, 2, (frame) => frames.push(frame))
+
+    buffer.push(new Float32Array([1, 2, 3, 4]))
+
+    expect(frames[0]).not.toBe(frames[1])
+  })
+
+  it("converts Int16 samples", () => {
+    const frames = []
+    const buffer = new FrameBuffer(16000, 16000, 2, (frame) => frames.push(Array.from(frame)))
+
+    buffer.push(new Int16Array([16384, -32768]))
+
+    expect(frames).toEqual([[0.5, -1]])
+  })
+
+  it("resamples across chunk boundaries", () => {
+    const frames = []
+    const buffer = new FrameBuffer(48000, 16000, 4, (frame) => frames.push(Array.from(frame)))
+    const ramp = Float32Array.from({ length: 24 }, (_, i) => i)
+
+    buffer.push(ramp.subarray(0, 10))
+    buffer.push(ramp.subarray(10))
+
+    expect(frames).toEqual([[0, 3, 6, 9], [12, 15, 18, 21]])
+  })
+
+  it("interpolates between samples", () => {
+    const frames = []
+    const buffer = new FrameBuffer(8000, 16000, 4, (frame) => frames.push(Array.from(frame)))
+
+    buffer.push(new Float32Array([0, 1, 2]))
+
+    expect(frames).toEqual([[0, 0.5, 1, 1.5]])
+  })
+})
+
+describe("loadSessions", () => {
+  it("loads shared models and one classifier per wake word", async () => {
+    const loaded = await loadSessions(ort, "/models", [{ model: "a.onnx" }, { model: "b.onnx" }])
+
+    expect(loaded).toEqual({
+      mel: { url: "/models/melspectrogram.onnx" },
+      emb: { url: "/models/embedding_model.onnx" },
+      wake: [{ url: "/models/a.onnx" }, { url: "/models/b.onnx" }]
+    })
+  })
+})
+
+describe("classify", () => {
+  it("returns the first output value", async () => {
+    const classifier = session({ dense: { cpuData: { 0: 0.7 } } })
+
+    expect(await classify(ort, classifier, new Float32Array(16 * 96))).toBe(0.7)
+  })
+})
+
+describe("WakePipeline", () => {
+  it("emits a window once 16 embeddings are buffered", async () => {
+    const pipeline = new WakePipeline(ort, sessions(0), [])
+    const onWindow = vi.fn()
+
+    await feed(pipeline, 195, onWindow)
+    expect(onWindow).not.toHaveBeenCalled()
+
+    await feed(pipeline, 1, onWindow)
+    expect(onWindow).toHaveBeenCalledTimes(1)
+    expect(onWindow.mock.calls[0][0]).toHaveLength(16 * 96)
+  })
+
+  it("starts over after reset()", async () => {
+    const pipeline = new WakePipeline(ort, sessions(0), [])
+    const onWindow = vi.fn()
+
+    await feed(pipeline, 195, onWindow)
+    pipeline.reset()
+    await feed(pipeline, 1, onWindow)
+
+    expect(onWindow).not.toHaveBeenCalled()
+  })
+
+  it("detects the strongest wake word over its threshold", async () => {
+    const wakeWords = [
+      { name: "hey_jarvis", confidence: 0.5 },
+      { name: "hey_mycroft", confidence: 0.5 },
+      { name: "alexa", confidence: 0.95 }
+    ]
+    const pipeline = new WakePipeline(ort, sessions(0.6, 0.8, 0.9), wakeWords)
+
+    const detection = await pipeline.detect(new Float32Array(16 * 96))
+
+    expect(detection.wakeWord).toBe("hey_mycroft")
+    expect(detection.score).toBeCloseTo(0.8)
+  })
+
+  it("reports every score with its threshold", async () => {
+    const wakeWords = [{ name: "hey_jarvis", confidence: 0.5 }, { name: "alexa", confidence: 0.95 }]
+    const pipeline = new WakePipeline(ort, sessions(0.3, 0.9), wakeWords)
+    const onScores = vi.fn()
+
+    await pipeline.detect(new Float32Array(16 * 96), onScores)
+
+    expect(onScores).toHaveBeenCalledWith([
+      { wakeWord: "hey_jarvis", score: expect.closeTo(0.3), threshold: 0.5 },
+      { wakeWord: "alexa", score: expect.closeTo(0.9), threshold: 0.95 }
+    ])
+  })
+
+  it("returns null below every threshold", async () => {
+    const pipeline = new WakePipeline(ort, sessions(0.3), [{ name: "hey_jarvis", confidence: 0.5 }])
+
+    expect(await pipeline.detect(new Float32Array(16 * 96))).toBeNull()
+  })
+})
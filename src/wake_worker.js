@@ -0,0 +1,71 @@
+import * as ort from "onnxruntime-web"
+import { WakePipeline, createSessions } from "./wake_pipeline.js"
+import { loudness } from "./meter.js"
+
+// Runs the wake word pipeline off the main thread. Audio frames arrive straight from the
+// AudioWorklet over a transferred MessagePort; detections and, when the main thread has
+// embedding listeners, feature windows are posted back, as are levels and wake scores while
+// the main thread meters them.
+
+let pipeline = null
+let running = false
+let wantsFeatures = false
+let metering = false
+let queue = Promise.resolve()
+
+function fail(error) {
+  self.postMessage({ type: "error", message: error.message })
+}
+
+function enqueue(samples) {
+  if (metering) self.postMessage({ type: "level", ...loudness(samples) })
+  if (!pipeline || !(running || wantsFeatures)) return
+
+  queue = queue.then(() => pipeline.process(samples, async (features) => {
+    if (wantsFeatures) {
+      const copy = features.slice()
+      self.postMessage({ type: "features", features: copy }, [copy.buffer])
+    }
+    if (running) {
+      const onScores = metering ? (scores) => self.postMessage({ type: "scores", scores }) : null
+      const detection = await pipeline.detect(features, onScores)
+      if (detection) self.postMessage({ type: "detection", ...detection })
+    }
+  })).catch(fail)
+}
+
+self.onmessage = async ({ data }) => {
+  switch (data.type) {
+    case "initialize":
+      try {
+        Object.assign(ort.env.wasm, data.wasm)
+        const log = (...args) => data.debug && console.log("[WakeWorker]", ...args)
+        const sessions = await createSessions(ort, data.models)
+        pipeline = new WakePipeline(ort, sessions, data.wakeWords, log)
+        self.postMessage({ type: "ready" })
+      } catch (e) {
+        fail(e)
+      }
+      break
+    case "audio-port":
+      data.port.onmessage = (e) => enqueue(e.data)
+      break
+    case "audio":
+      enqueue(data.samples)
+      break
+    case "resume":
+      // Clear buffers to avoid re-triggering on stale audio data
+      pipeline?.reset()
+      running = true
+      break
+    case "pause":
+      running = false
+      break
+    case "features":
+      wantsFeatures = data.enabled
+      break
+    case "meter":
+      metering = data.enabled
+      break
+  }
+}
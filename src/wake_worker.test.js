@@ -0,0 +1,130 @@
+import { describe, it, expect, vi, beforeAll, beforeEach } from "vitest"
+import * as ort from "onnxruntime-web"
+
+vi.mock("onnxruntime-web", () => ({
+  InferenceSession: { create: vi.fn() },
+  Tensor: vi.fn(),
+  env: { wasm: {} }
+}))
+
+const bytes = (text) => new TextEncoder().encode(text)
+const session = (output) => ({ run: vi.fn().mockResolvedValue(output) })
+
+let posted
+const send = (data) => self.onmessage({ data })
+const settle = () => new Promise(resolve => setTimeout(resolve, 0))
+
+describe("wake worker", () => {
+  let port
+  let wakeScore
+
+  beforeAll(async () => {
+    self.postMessage = (message) => posted.push(message)
+    await import("./wake_worker.js")
+  })
+
+  beforeEach(() => {
+    posted = []
+    wakeScore = 0.9
+    port = {}
+    ort.InferenceSession.create.mockImplementation(async (model) => {
+      const url = new TextDecoder().decode(model)
+      if (url.endsWith("melspectrogram.onnx")) return session({ output: { data: new Float32Array(32) } })
+      if (url.endsWith("embedding_model.onnx")) return session({ conv2d_19: { data: new Float32Array(96) } })
+      return { run: vi.fn(async () => ({ dense: { data: new Float32Array([wakeScore]) } })) }
+    })
+  })
+
+  const initialize = async () => {
+    await send({
+      type: "initialize",
+      models: {
+        mel: bytes("melspectrogram.onnx"),
+        emb: bytes("embedding_model.onnx"),
+        wake: [bytes("hey_jarvis_v0.1.onnx")]
+      },
+      wakeWords: [{ name: "hey_jarvis", model: "hey_jarvis_v0.1.onnx", confidence: 0.5 }],
+      wasm: { numThreads: 1 }
+    })
+    send({ type: "audio-port", port })
+  }
+
+  const feed = async (frames) => {
+    for (let i = 0; i < frames; i++) port.onmessage({ data: new Float32Array(1280) })
+    await settle()
+  }
+
+  it("loads models and applies the wasm settings", async () => {
+    await initialize()
+
+    expect(ort.env.wasm.numThreads).toBe(1)
+    expect(ort.InferenceSession.create).toHaveBeenCalledWith(bytes("hey_jarvis_v0.1.onnx"), expect.anything())
+    expect(posted).toContainEqual({ type: "ready" })
+  })
+
+  it("posts detections while running", async () => {
+    await initialize()
+    send({ type: "resume" })
+
+    await feed(196)
+
+    expect(posted).toContainEqual({ type: "detection", wakeWord: "hey_jarvis", score: expect.closeTo(0.9) })
+  })
+
+  it("processes audio pushed from the main thread", async () => {
+    await initialize()
+    send({ type: "resume" })
+
+    for (let i = 0; i < 196; i++) send({ type: "audio", samples: new Float32Array(1280) })
+    await settle()
+
+    expect(posted).toContainEqual({ type: "detection", wakeWord: "hey_jarvis", score: expect.closeTo(0.9) })
+  })
+
+  it("ignores audio while paused", async () => {
+    await initialize()
+    send({ type: "pause" })
+
+    await feed(196)
+
+    expect(posted.filter(m => m.type === "detection")).toHaveLength(0)
+  })
+
+  it("posts features when requested, even while paused", async () => {
+    await initialize()
+    send({ type: "pause" })
+    send({ type: "features", enabled: true })
+
+    await feed(196)
+    send({ type: "features", enabled: false })
+
+    const features = posted.filter(m => m.type === "features")
+    expect(features).toHaveLength(1)
+    expect(features[0].features).toHaveLength(16 * 96)
+  })
+
+  it("posts levels and wake scores while metering", async () => {
+    await initialize()
+    send({ type: "pause" })
+    send({ type: "meter", enabled: true })
+
+    await feed(196)
+    expect(posted.filter(m => m.type === "level")).toHaveLength(196)
+    expect(posted.filter(m => m.type === "scores")).toHaveLength(0)
+
+    send({ type: "resume" })
+    await feed(196)
+    send({ type: "meter", enabled: false })
+
+    expect(posted).toContainEqual({ type: "level", level: 0, db: -60 })
+    expect(posted).toContainEqual({ type: "scores", scores: [{ wakeWord: "hey_jarvis", score: expect.closeTo(0.9), threshold: 0.5 }] })
+  })
+
+  it("reports initialization errors", async () => {
+    ort.InferenceSession.create.mockRejectedValue(new Error("404"))
+
+    await send({ type: "initialize", models: { mel: bytes(""), emb: bytes(""), wake: [] }, wakeWords: [], wasm: {} })
+
+    expect(posted).toContainEqual({ type: "error", message: "404" })
+  })
+})